@@ -47,6 +47,7 @@ async function migrateExistingBookings() {
       try {
         // Generate unique QR code
         const qrCode = await generateBookingQRCode({
+          _id: booking._id,
           userId: booking.userId.toString(),
           serviceName: booking.serviceName || 'Unknown Service',
           totalAmount: booking.totalAmount || 0
@@ -54,6 +55,7 @@ async function migrateExistingBookings() {
         
         // Update booking with QR code
         booking.qrCode = qrCode;
+        booking.qrIssuedAt = new Date();
         await booking.save();
         
         successCount++;
@@ -0,0 +1,112 @@
+// Business rules for changing bookings after they are made.
+// Each value can be overridden through the environment without a code change.
+
+const parseJsonEnv = (name, fallback) => {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (err) {
+    console.warn(`⚠️  ${name} is not valid JSON, using defaults`);
+    return fallback;
+  }
+};
+
+// Refund tiers by whole days remaining before scheduledDate; the first tier the booking qualifies for wins
+const DEFAULT_CANCELLATION_TIERS = [
+  { minDaysBefore: 14, refundPercent: 100 },
+  { minDaysBefore: 7, refundPercent: 50 },
+  { minDaysBefore: 0, refundPercent: 0 },
+];
+
+const cancellationTiers = parseJsonEnv('CANCELLATION_POLICY', DEFAULT_CANCELLATION_TIERS)
+  .filter(tier => Number.isFinite(Number(tier.minDaysBefore)) && Number.isFinite(Number(tier.refundPercent)))
+  .map(tier => ({
+    minDaysBefore: Number(tier.minDaysBefore),
+    refundPercent: Math.min(100, Math.max(0, Number(tier.refundPercent))),
+  }))
+  .sort((a, b) => b.minDaysBefore - a.minDaysBefore);
+
+/**
+ * Refund percentage for a cancellation made `daysBefore` days ahead of the event
+ * @param {number} daysBefore
+ * @returns {number} 0-100
+ */
+const refundPercentFor = (daysBefore) => {
+  const tier = cancellationTiers.find(t => daysBefore >= t.minDaysBefore);
+  return tier ? tier.refundPercent : 0;
+};
+
+// Customers can change date, headcount or menu until this many days before the event
+const parseNumberEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) ? value : fallback;
+};
+
+const modificationCutoffDays = parseNumberEnv('MODIFICATION_CUTOFF_DAYS', 3);
+
+// Bookings totalling at least depositMinimumTotal are paid as a deposit plus a balance;
+// smaller ones are paid in full. Due dates are whole days in BUSINESS_TIMEZONE.
+const paymentPlan = {
+  depositPercent: Math.min(100, Math.max(0, parseNumberEnv('DEPOSIT_PERCENT', 30))),
+  depositMinimumTotal: parseNumberEnv('DEPOSIT_MINIMUM_TOTAL', 2000),
+  // Days after booking for the deposit (or the full amount) to be paid
+  depositDueDays: parseNumberEnv('DEPOSIT_DUE_DAYS', 3),
+  // Days before the event for the balance to be paid
+  balanceDueDaysBeforeEvent: parseNumberEnv('BALANCE_DUE_DAYS_BEFORE_EVENT', 7),
+};
+
+// Scans collected offline are accepted up to this many hours after they were taken
+const offlineScanMaxAgeHours = parseNumberEnv('CHECKIN_OFFLINE_MAX_AGE_HOURS', 72);
+
+// Reasons an admin picks from when rejecting a payment receipt; shown to the customer by label
+const DEFAULT_RECEIPT_REJECTION_REASONS = [
+  { code: 'blurry', label: 'The receipt is blurry or unreadable' },
+  { code: 'wrong_amount', label: 'The amount paid does not match the amount due' },
+  { code: 'wrong_account', label: 'The payment was made to the wrong account' },
+  { code: 'duplicate', label: 'This receipt has already been submitted' },
+];
+
+// Always offered, for rejections none of the configured reasons fits; the admin's comment says why
+const OTHER_REJECTION_REASON = { code: 'other', label: 'Other' };
+
+const receiptRejectionReasons = parseJsonEnv('RECEIPT_REJECTION_REASONS', DEFAULT_RECEIPT_REJECTION_REASONS)
+  .filter(reason => reason && typeof reason.code === 'string' && reason.code && typeof reason.label === 'string')
+  .map(reason => ({ code: reason.code, label: reason.label }));
+if (!receiptRejectionReasons.some(reason => reason.code === OTHER_REJECTION_REASON.code)) {
+  receiptRejectionReasons.push(OTHER_REJECTION_REASON);
+}
+
+// Receipt images whose perceptual hashes differ in at most this many of 64 bits are flagged as
+// the same slip. Capped at 7, the most the 8-band index lookup is guaranteed to find.
+const duplicateReceiptMaxDistance = Math.min(7, Math.max(0, parseNumberEnv('DUPLICATE_RECEIPT_MAX_DISTANCE', 5)));
+
+// Bookings with no receipt this many hours after they were made are expired (0 turns expiry off).
+// The customer is emailed warningHoursBefore the deadline.
+const bookingExpiry = {
+  unpaidHours: Math.max(0, parseNumberEnv('BOOKING_EXPIRY_HOURS', 72)),
+  warningHoursBefore: Math.max(0, parseNumberEnv('BOOKING_EXPIRY_WARNING_HOURS', 24)),
+  sweepIntervalMinutes: Math.max(1, parseNumberEnv('BOOKING_EXPIRY_SWEEP_MINUTES', 15)),
+};
+
+// Reminder emails before the event: days before scheduledDate, sent at `hour` business time
+const eventReminders = {
+  daysBefore: [...new Set((process.env.EVENT_REMINDER_DAYS || '7,1')
+    .split(',')
+    .map(Number)
+    .filter(days => Number.isInteger(days) && days > 0))]
+    .sort((a, b) => b - a),
+  hour: Math.min(23, Math.max(0, Math.floor(parseNumberEnv('EVENT_REMINDER_HOUR', 9)))),
+};
+
+module.exports = {
+  cancellationTiers,
+  refundPercentFor,
+  modificationCutoffDays,
+  paymentPlan,
+  offlineScanMaxAgeHours,
+  OTHER_REJECTION_REASON,
+  receiptRejectionReasons,
+  duplicateReceiptMaxDistance,
+  bookingExpiry,
+  eventReminders,
+};
@@ -0,0 +1,14 @@
+// Business details printed on invoices and official receipts
+const businessProfile = {
+  name: process.env.BUSINESS_NAME || process.env.EMAIL_FROM_NAME || 'Booking System',
+  registrationNo: process.env.BUSINESS_REGISTRATION_NO || '',
+  // Use "\n" in the env value for a multi-line address
+  address: (process.env.BUSINESS_ADDRESS || '').replace(/\\n/g, '\n'),
+  phone: process.env.BUSINESS_PHONE || '',
+  email: process.env.BUSINESS_EMAIL || process.env.EMAIL_FROM || '',
+  currency: process.env.BUSINESS_CURRENCY || 'RM',
+};
+
+module.exports = {
+  businessProfile
+};
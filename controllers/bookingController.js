@@ -1,7 +1,56 @@
 const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
-const { generateBookingQRCode } = require('../utils/qrCodeUtils');
-const { sanitizeText, sanitizeJsonString } = require('../utils/sanitize');
+const Service = require('../models/Service');
+const {
+  generateBookingQRCode,
+  parseQRImageOptions,
+  renderQRCodeImage,
+  reissueBookingQRCode,
+  revokeInactiveBookingQRCode,
+} = require('../utils/qrCodeUtils');
+const { sanitizeText } = require('../utils/sanitize');
+const { parseServiceDetails, calculateBookingPrice, amountsMatch, roundCurrency } = require('../utils/pricingUtils');
+const { buildServiceDetails, toEditableDetails, expandServiceDetails } = require('../utils/serviceDetailsUtils');
+const { reserveCapacity, releaseCapacity, changeReservation, getAvailability } = require('../utils/capacityUtils');
+const { toDateKey, todayKey, addDaysToKey, daysBetweenKeys } = require('../utils/dateUtils');
+const { refundPercentFor, modificationCutoffDays } = require('../config/bookingPolicy');
+const { storeUploadedFile } = require('../middleware/fileUpload');
+const { getStorage } = require('../utils/storage');
+const { receiptLink, refundProofLink, receiptStorageKey, sendStoredFile } = require('../utils/fileLinks');
+const { applyPaymentTransition, currentLifecycleStatus, canTransitionLifecycle } = require('../utils/bookingLifecycle');
+const { historySnapshot, recordHistory, customerTimeline } = require('../utils/bookingHistory');
+const { describeReceipts, settleReceiptReviews, rejectionReasonCode, describeRejection } = require('../utils/receiptReview');
+const { receiptFingerprint, findDuplicateReceipts } = require('../utils/receiptDuplicates');
+const { expiryDeadline } = require('../utils/bookingExpiry');
+const { scheduleEventReminders } = require('../utils/eventReminders');
+const {
+  notifyBookingCreated,
+  notifyReceiptUploaded,
+  installmentStatuses,
+  notifyPaymentStatusSet
+} = require('../utils/bookingNotifications');
+const {
+  PAYABLE_STATUSES,
+  buildPaymentSchedule,
+  ensurePaymentSchedule,
+  approvedAmount,
+  committedAmount,
+  refundDueAmount,
+  outstandingBalance,
+  payableInstallments,
+  findInstallment,
+  installmentUnderReview,
+  syncPaymentStatus,
+  setPaymentStatus,
+  rescheduleUnpaid,
+  describePaymentSchedule,
+} = require('../utils/paymentSchedule');
+const { invoiceMetaFor, renderBookingInvoice } = require('../utils/invoicePdf');
+
+// Payment states that mean the booking has already been cancelled (or expired unpaid)
+const CANCELLED_STATUSES = ['cancelled', 'refund_pending', 'refunded', 'expired'];
+// serviceDetails keys a customer may change through PATCH /:id
+const MODIFIABLE_DETAIL_FIELDS = ['eventType', 'numPeople', 'foodPackage', 'selectedSides', 'drink', 'dessert', 'specialRequests'];
 
 // Helper to parse optional dates safely
 function parseDate(value) {
@@ -15,27 +64,7 @@ function normalizeBookingForResponse(booking) {
   if (!booking) return null;
   const b = booking.toObject ? booking.toObject() : booking;
 
-  let details = {};
-  if (typeof b.serviceDetails === 'string') {
-    try {
-      details = JSON.parse(b.serviceDetails);
-    } catch (e) {
-      details = {};
-    }
-  } else if (typeof b.serviceDetails === 'object' && b.serviceDetails !== null) {
-    details = b.serviceDetails;
-  }
-
-  const expandedDetails = {
-    eventType: details.eventType || null,
-    numPeople: details.numPeople || null,
-    foodPackage: details.foodPackage || null,
-    selectedSides: details.selectedSides || null,
-    drink: details.drink || null,
-    dessert: details.dessert || null,
-    notes: details.notes || details.specialRequests || null,
-    specialRequests: details.specialRequests || details.notes || null,
-  };
+  const expandedDetails = expandServiceDetails(b.serviceDetails, b.priceBreakdown);
 
   // Extract receipt metadata for easy frontend access
   const latestReceipt = b.receiptUploads && b.receiptUploads.length > 0 
@@ -43,7 +72,8 @@ function normalizeBookingForResponse(booking) {
     : null;
   
   const receiptFileName = latestReceipt ? latestReceipt.filename : null;
-  const receiptUrl = latestReceipt ? latestReceipt.url : null;
+  const receiptUrl = latestReceipt ? receiptLink(b, latestReceipt).url : null;
+  const refundProof = refundProofLink(b);
 
   return {
     id: b._id ? b._id.toString() : null,
@@ -53,61 +83,171 @@ function normalizeBookingForResponse(booking) {
     serviceDetails: expandedDetails,
     scheduledDate: b.scheduledDate,
     totalAmount: b.totalAmount,
+    priceBreakdown: b.priceBreakdown || [],
     paymentStatus: b.paymentStatus,
+    // Kept for older frontends that read the payment state as `status`
     status: b.paymentStatus,
+    lifecycleStatus: currentLifecycleStatus(b),
+    // Unpaid bookings expire at this time unless a receipt is uploaded; null once paid
+    expiresAt: expiryDeadline(b),
+    expiredAt: b.expiredAt || null,
     notes: b.notes,
-    receiptUploads: b.receiptUploads || [],
+    receiptUploads: describeReceipts(b),
     receiptFileName: receiptFileName,
     receiptUrl: receiptUrl,
     qrCode: b.qrCode,
+    qrIssuedAt: b.qrIssuedAt || null,
+    qrRevokedAt: b.qrRevokedAt || null,
     paymentCompletedAt: b.paymentCompletedAt,
+    paymentSchedule: describePaymentSchedule(b),
+    amountPaid: approvedAmount(b),
+    outstandingAmount: outstandingBalance(b),
+    revisionCount: (b.revisions || []).length,
+    cancellation: b.cancellation || null,
+    refund: b.refund ? { ...b.refund, proofUrl: refundProof ? refundProof.url : null } : null,
+    checkIn: b.checkIn || null,
     createdAt: b.createdAt,
     updatedAt: b.updatedAt,
   };
 }
 
+// Schedule reminder emails for the booking's date without holding up (or failing) the request
+function queueEventReminders(booking, logTag) {
+  scheduleEventReminders(booking).catch(error => {
+    console.error(`[${logTag}] Failed to schedule event reminders`, {
+      bookingId: booking._id.toString(),
+      error: error.message
+    });
+  });
+}
+
+/**
+ * Load a booking the requester may act on: their own, or any booking for admins.
+ * Sends the 401/400/404 response itself and resolves to null when the booking is unavailable.
+ */
+async function loadAccessibleBooking(req, res, logTag) {
+  const { id } = req.params;
+
+  if (!req.user || !req.user.userId) {
+    console.error(`[${logTag}] Authentication failed: No JWT token or userId found`);
+    res.status(401).json({
+      success: false,
+      errorCode: 'UNAUTHORIZED',
+      message: 'Unauthorized: User ID not found in token'
+    });
+    return null;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    console.warn(`[${logTag}] Validation failed: Invalid booking ID format`, { bookingId: id });
+    res.status(400).json({
+      success: false,
+      errorCode: 'VALIDATION_ERROR',
+      message: 'Invalid booking ID format',
+      bookingId: id
+    });
+    return null;
+  }
+
+  const query = { _id: new mongoose.Types.ObjectId(id) };
+  if (req.user.role !== 'admin') {
+    query.userId = new mongoose.Types.ObjectId(req.user.userId);
+  }
+
+  const booking = await Booking.findOne(query);
+  if (!booking) {
+    console.warn(`[${logTag}] NOT_FOUND`, { bookingId: id, userId: req.user.userId });
+    res.status(404).json({
+      success: false,
+      errorCode: 'NOT_FOUND',
+      message: 'Booking not found',
+      bookingId: id
+    });
+    return null;
+  }
+
+  return booking;
+}
+
+// Work out what cancelling this booking today would refund under the configured policy
+function buildCancellationQuote(booking) {
+  const eventKey = booking.scheduledDate ? toDateKey(booking.scheduledDate) : null;
+  const daysBeforeEvent = eventKey ? daysBetweenKeys(todayKey(), eventKey) : null;
+  const alreadyCancelled = CANCELLED_STATUSES.includes(booking.paymentStatus);
+  const eventPassed = daysBeforeEvent !== null && daysBeforeEvent < 0;
+  // Delivered, no-show and closed bookings are finished, whatever their date says
+  const fulfilled = !alreadyCancelled && !canTransitionLifecycle(currentLifecycleStatus(booking), 'cancelled', 'system');
+
+  // Receipts still under review count, so a cancellation never strands money the customer sent
+  const amountPaid = committedAmount(booking);
+  // Bookings without a date have nothing scheduled yet, so they get the most generous tier
+  const refundPercent = daysBeforeEvent === null ? refundPercentFor(Infinity) : refundPercentFor(daysBeforeEvent);
+  // An overpayment left by a revision is owed back in full; the policy only applies to the rest
+  const overpayment = refundDueAmount(booking);
+
+  return {
+    cancellable: !alreadyCancelled && !eventPassed && !fulfilled,
+    reason: alreadyCancelled
+      ? 'Booking is already cancelled'
+      : eventPassed ? 'The event date has already passed'
+        : fulfilled ? 'The booking has already been fulfilled' : null,
+    daysBeforeEvent,
+    amountPaid,
+    refundPercent,
+    refundAmount: roundCurrency(overpayment + (amountPaid - overpayment) * refundPercent / 100),
+  };
+}
+
 exports.createBooking = async (req, res) => {
-  const { serviceName, serviceDetails, scheduledDate, totalAmount, notes } = req.body;
-  const amount = Number(totalAmount);
+  const { serviceDetails, scheduledDate, totalAmount, notes } = req.body;
 
   // Log incoming request
   console.log('[createBooking] Request received', {
     userId: req.user?.userId || 'MISSING',
-    serviceName: serviceName || 'MISSING',
-    totalAmount: totalAmount || 'MISSING',
+    clientTotalAmount: totalAmount ?? 'NONE',
     hasServiceDetails: !!serviceDetails,
     hasScheduledDate: !!scheduledDate,
     hasNotes: !!notes
   });
 
-  // Validate required fields
-  if (!serviceName || !serviceName.trim()) {
-    console.warn('[createBooking] Validation failed: serviceName is missing or empty');
+  // Ensure userId exists in the authenticated user's token
+  if (!req.user || !req.user.userId) {
+    console.error('[createBooking] Authentication failed: No JWT token or userId found');
+    return res.status(401).json({ 
+      success: false,
+      errorCode: 'UNAUTHORIZED',
+      message: 'Unauthorized: User ID not found in token'
+    });
+  }
+
+  const eventDate = parseDate(scheduledDate);
+  if (!eventDate) {
+    console.warn('[createBooking] Validation failed: scheduledDate is missing or invalid', { scheduledDate });
     return res.status(400).json({
       success: false,
       errorCode: 'VALIDATION_ERROR',
-      message: 'Service name is required.',
-      field: 'serviceName'
+      message: 'A valid event date is required.',
+      field: 'scheduledDate'
     });
   }
 
-  if (Number.isNaN(amount) || amount <= 0) {
-    console.warn('[createBooking] Validation failed: totalAmount is invalid', { totalAmount, amount });
+  if (toDateKey(eventDate) < todayKey()) {
+    console.warn('[createBooking] Validation failed: scheduledDate is in the past', { scheduledDate });
     return res.status(400).json({
       success: false,
       errorCode: 'VALIDATION_ERROR',
-      message: 'Valid total amount greater than 0 is required.',
-      field: 'totalAmount'
+      message: 'The event date cannot be in the past.',
+      field: 'scheduledDate'
     });
   }
 
-  // Ensure userId exists in the authenticated user's token
-  if (!req.user || !req.user.userId) {
-    console.error('[createBooking] Authentication failed: No JWT token or userId found');
-    return res.status(401).json({ 
+  if (!serviceDetails) {
+    console.warn('[createBooking] Validation failed: serviceDetails is missing');
+    return res.status(400).json({
       success: false,
-      errorCode: 'UNAUTHORIZED',
-      message: 'Unauthorized: User ID not found in token'
+      errorCode: 'VALIDATION_ERROR',
+      message: 'Service details are required.',
+      field: 'serviceDetails'
     });
   }
 
@@ -115,31 +255,61 @@ exports.createBooking = async (req, res) => {
     // Convert userId string to MongoDB ObjectId for proper comparison
     const userId = new mongoose.Types.ObjectId(req.user.userId);
 
-    // Sanitize user-supplied text fields to prevent stored XSS
-    const cleanServiceName = sanitizeText(serviceName);
-    const cleanNotes = notes ? sanitizeText(notes) : undefined;
-    const cleanServiceDetails = serviceDetails ? sanitizeJsonString(serviceDetails) : undefined;
+    // Price the booking from the catalog; the client total is only used as a cross-check
+    let pricing;
+    let typedDetails;
+    try {
+      const details = parseServiceDetails(serviceDetails);
+      pricing = await calculateBookingPrice(details);
+      typedDetails = buildServiceDetails(details, pricing);
+    } catch (pricingErr) {
+      if (!pricingErr.isPricingError) throw pricingErr;
+      console.warn('[createBooking] Pricing failed', {
+        errorCode: pricingErr.errorCode,
+        field: pricingErr.field,
+        message: pricingErr.message
+      });
+      return res.status(400).json({
+        success: false,
+        errorCode: pricingErr.errorCode,
+        message: pricingErr.message,
+        field: pricingErr.field
+      });
+    }
 
-    // Ensure sanitized serviceName remains valid after stripping scripts/tags
-    if (!cleanServiceName || !cleanServiceName.trim()) {
-      console.warn('[createBooking] Validation failed after sanitization: serviceName empty');
+    if (!amountsMatch(totalAmount, pricing.total)) {
+      console.warn('[createBooking] Validation failed: totalAmount does not match catalog price', {
+        clientTotalAmount: totalAmount,
+        serverTotalAmount: pricing.total
+      });
       return res.status(400).json({
         success: false,
-        errorCode: 'VALIDATION_ERROR',
-        message: 'Service name is required and must contain valid text.',
-        field: 'serviceName'
+        errorCode: 'PRICE_MISMATCH',
+        message: 'The total amount does not match the current price for the selected services.',
+        field: 'totalAmount',
+        expectedTotalAmount: pricing.total,
+        priceBreakdown: pricing.lineItems
       });
     }
+
+    const amount = pricing.total;
+
+    // Sanitize user-supplied text fields to prevent stored XSS
+    const cleanServiceName = sanitizeText(pricing.foodPackage.name);
+    const cleanNotes = notes ? sanitizeText(notes) : undefined;
+
     console.log('[createBooking] Validation passed, attempting MongoDB create', {
       userId: userId.toString(),
-      serviceName: serviceName.trim(),
+      serviceName: cleanServiceName,
       totalAmount: amount
     });
     
-    // Generate unique QR code before creating booking
+    // The QR code is signed over the booking id, so the id is chosen before the booking is created
+    const bookingId = new mongoose.Types.ObjectId();
     let qrCode;
     try {
       qrCode = await generateBookingQRCode({
+        _id: bookingId,
         userId,
         serviceName: cleanServiceName,
         totalAmount: amount
@@ -164,17 +334,59 @@ exports.createBooking = async (req, res) => {
       userId: userId.toString()
     });
     
+    // Hold the date before writing the booking so concurrent requests can't overbook it
+    let reservation;
+    try {
+      reservation = await reserveCapacity(eventDate, pricing.numPeople);
+    } catch (capacityErr) {
+      if (!capacityErr.isCapacityError) throw capacityErr;
+      console.warn('[createBooking] Capacity check failed', {
+        errorCode: capacityErr.errorCode,
+        scheduledDate: eventDate.toISOString(),
+        numPeople: pricing.numPeople
+      });
+      return res.status(capacityErr.errorCode === 'DATE_FULL' ? 409 : 400).json({
+        success: false,
+        errorCode: capacityErr.errorCode,
+        message: capacityErr.message,
+        field: 'scheduledDate',
+        availability: capacityErr.availability
+      });
+    }
+
     // Create booking with validation
-    const booking = await Booking.create({
-      userId: userId,
-      serviceName: cleanServiceName,
-      serviceDetails: cleanServiceDetails,
-      scheduledDate: parseDate(scheduledDate),
-      totalAmount: amount,
-      notes: cleanNotes,
-      paymentStatus: 'pending',
-      qrCode: qrCode,
-    });
+    let booking;
+    try {
+      booking = new Booking({
+        _id: bookingId,
+        userId: userId,
+        serviceName: cleanServiceName,
+        serviceDetails: typedDetails,
+        scheduledDate: eventDate,
+        capacityReservation: reservation,
+        totalAmount: amount,
+        priceBreakdown: pricing.lineItems,
+        notes: cleanNotes,
+        paymentStatus: 'pending',
+        lifecycleStatus: 'awaiting_payment',
+        installments: buildPaymentSchedule(amount, eventDate),
+        qrCode: qrCode,
+        qrIssuedAt: new Date(),
+      });
+      recordHistory(booking, null, { action: 'created', req });
+      await booking.save();
+    } catch (createErr) {
+      await releaseCapacity(reservation).catch(releaseErr => {
+        console.error('[createBooking] Failed to release capacity after create error', {
+          dateKey: reservation.dateKey,
+          error: releaseErr.message
+        });
+      });
+      throw createErr;
+    }
+    queueEventReminders(booking, 'createBooking');
+    // Emails go out in the background; failures are logged, not returned
+    notifyBookingCreated(booking);
 
     // Verify booking was actually saved
     if (!booking || !booking._id) {
@@ -225,6 +437,16 @@ exports.createBooking = async (req, res) => {
       });
     }
     
+    if (error.name === 'ValidationError') {
+      console.warn('[createBooking] Schema validation failed', { fields: Object.keys(error.errors || {}) });
+      return res.status(400).json({
+        success: false,
+        errorCode: 'VALIDATION_ERROR',
+        message: error.message,
+        fields: Object.keys(error.errors || {})
+      });
+    }
+
     console.error('[createBooking] EXCEPTION', {
       errorName: error.name,
       errorMessage: error.message,
@@ -244,6 +466,70 @@ exports.createBooking = async (req, res) => {
   }
 };
 
+exports.getServiceCatalog = async (req, res) => {
+  try {
+    const services = await Service.find({ isActive: true })
+      .select('code name description category priceType price minPax maxPax')
+      .sort({ category: 1, name: 1 });
+
+    const catalog = { foodPackages: [], sides: [], drinks: [], desserts: [] };
+    const groupFor = { foodPackage: 'foodPackages', side: 'sides', drink: 'drinks', dessert: 'desserts' };
+    services.forEach(service => {
+      catalog[groupFor[service.category]].push(service.toObject());
+    });
+
+    res.json({ success: true, catalog });
+  } catch (error) {
+    console.error('[getServiceCatalog] EXCEPTION', {
+      errorName: error.name,
+      errorMessage: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      errorCode: 'CATALOG_FETCH_FAILED',
+      message: 'Unable to load service catalog',
+      error: process.env.NODE_ENV === 'production'
+        ? 'An error occurred while loading the service catalog.'
+        : error.message
+    });
+  }
+};
+
+// Public calendar of remaining capacity per day
+exports.getAvailability = async (req, res) => {
+  const from = req.query.from || todayKey();
+  const to = req.query.to || addDaysToKey(toDateKey(from) || todayKey(), 30);
+
+  try {
+    const days = await getAvailability(from, to);
+    res.json({ success: true, from: days[0].date, to: days[days.length - 1].date, days });
+  } catch (error) {
+    if (error.isCapacityError) {
+      return res.status(400).json({
+        success: false,
+        errorCode: error.errorCode,
+        message: error.message
+      });
+    }
+    console.error('[getAvailability] EXCEPTION', {
+      from,
+      to,
+      errorName: error.name,
+      errorMessage: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      errorCode: 'AVAILABILITY_FETCH_FAILED',
+      message: 'Unable to load availability',
+      error: process.env.NODE_ENV === 'production'
+        ? 'An error occurred while loading availability.'
+        : error.message
+    });
+  }
+};
+
 exports.getUserBookings = async (req, res) => {
   console.log('[getUserBookings] Request received', {
     userId: req.user?.userId || 'MISSING'
@@ -377,6 +663,7 @@ exports.getBookingById = async (req, res) => {
     });
 
     const bookingData = normalizeBookingForResponse(booking);
+    bookingData.timeline = customerTimeline(booking);
     
     res.json({ 
       success: true,
@@ -468,11 +755,25 @@ exports.uploadReceipt = async (req, res) => {
       });
     }
 
+    if (CANCELLED_STATUSES.includes(booking.paymentStatus)) {
+      const expired = booking.paymentStatus === 'expired';
+      console.warn('[uploadReceipt] Booking is cancelled', { bookingId: id, paymentStatus: booking.paymentStatus });
+      return res.status(409).json({
+        success: false,
+        errorCode: expired ? 'BOOKING_EXPIRED' : 'BOOKING_CANCELLED',
+        message: expired
+          ? 'This booking expired because no payment was received in time. Please make a new booking.'
+          : 'Receipts cannot be uploaded for a cancelled booking',
+        bookingId: id,
+        paymentStatus: booking.paymentStatus
+      });
+    }
+
     // Validate file upload
-    if (!req.file.filename || !req.file.size) {
+    if (!req.file.buffer || !req.file.size) {
       console.error('[uploadReceipt] File validation failed', {
         bookingId: id,
-        hasFilename: !!req.file.filename,
+        hasContent: !!req.file.buffer,
         hasSize: !!req.file.size
       });
       return res.status(400).json({ 
@@ -483,28 +784,91 @@ exports.uploadReceipt = async (req, res) => {
       });
     }
 
-    let backendUrl = process.env.BACKEND_URL || 'https://fyp-project-backend.onrender.com';
-    backendUrl = backendUrl.replace(/\/*$/, ''); // ensure no trailing slash
-    const receiptUrl = `${backendUrl}/uploads/receipts/${req.file.filename}`;
+    // The receipt pays the installment the customer picked, or the next one due
+    ensurePaymentSchedule(booking);
+    const requestedInstallmentId = req.body && req.body.installmentId;
+    const installment = requestedInstallmentId
+      ? findInstallment(booking, requestedInstallmentId)
+      : payableInstallments(booking)[0];
+
+    if (!installment || !PAYABLE_STATUSES.includes(installment.status)) {
+      console.warn('[uploadReceipt] No payable installment', {
+        bookingId: id,
+        installmentId: requestedInstallmentId || null,
+        installmentStatus: installment ? installment.status : null,
+        paymentStatus: booking.paymentStatus
+      });
+      return res.status(409).json({
+        success: false,
+        errorCode: requestedInstallmentId && !installment ? 'INSTALLMENT_NOT_FOUND' : 'NOTHING_DUE',
+        message: requestedInstallmentId
+          ? 'This installment is not awaiting a payment receipt'
+          : 'This booking has no payment awaiting a receipt',
+        bookingId: id,
+        paymentStatus: booking.paymentStatus
+      });
+    }
+
+    // Flag slips already submitted for another booking; the upload still goes through and the
+    // reviewer decides. A failed lookup must not block the customer.
+    const fingerprint = await receiptFingerprint(req.file);
+    let duplicateMatches = [];
+    try {
+      duplicateMatches = await findDuplicateReceipts(booking, fingerprint);
+    } catch (lookupErr) {
+      console.error('[uploadReceipt] Duplicate receipt lookup failed', { bookingId: id, error: lookupErr.message });
+    }
+    if (duplicateMatches.length > 0) {
+      console.warn('[uploadReceipt] Receipt matches other bookings', {
+        bookingId: id,
+        matches: duplicateMatches.map(match => ({ bookingId: match.bookingId.toString(), match: match.match }))
+      });
+    }
+
+    // Only now that the upload is accepted is the file written to storage
+    const stored = await storeUploadedFile('receipts', req.file);
 
     console.log('[uploadReceipt] Attempting MongoDB update', {
       bookingId: id,
-      fileName: req.file.filename,
+      fileName: stored.filename,
+      storageKey: stored.key,
       fileSize: req.file.size,
       mimeType: req.file.mimetype
     });
 
     // Add receipt to booking
     booking.receiptUploads.push({
-      filename: req.file.filename,
-      url: receiptUrl,
+      filename: stored.filename,
+      storageKey: stored.key,
       mimeType: req.file.mimetype,
+      detectedType: req.file.detectedType,
+      sha256: fingerprint.sha256,
+      perceptualHash: fingerprint.perceptualHash || undefined,
+      perceptualHashBands: fingerprint.perceptualHashBands,
+      duplicateMatches: duplicateMatches.length > 0 ? duplicateMatches : undefined,
       size: req.file.size,
       uploadedAt: new Date(),
+      installmentId: installment._id,
+      reviewStatus: 'pending',
     });
 
-    booking.paymentStatus = 'receipt_submitted';
-    await booking.save();
+    const before = historySnapshot(booking);
+    installment.status = 'receipt_submitted';
+    syncPaymentStatus(booking, 'system');
+    recordHistory(booking, before, { action: 'receipt_uploaded', req });
+    try {
+      await booking.save();
+    } catch (saveErr) {
+      // Don't leave an orphaned file behind
+      await getStorage().delete(stored.key).catch(deleteErr => {
+        console.error('[uploadReceipt] Failed to delete stored file after save error', {
+          storageKey: stored.key,
+          error: deleteErr.message
+        });
+      });
+      throw saveErr;
+    }
+    notifyReceiptUploaded(booking, installment);
 
     // Verify receipt was saved
     if (!booking.receiptUploads || booking.receiptUploads.length === 0) {
@@ -516,10 +880,11 @@ exports.uploadReceipt = async (req, res) => {
     console.log('[uploadReceipt] SUCCESS', {
       bookingId: booking._id.toString(),
       userId: userId.toString(),
-      fileName: req.file.filename,
+      fileName: stored.filename,
       fileSize: req.file.size,
       receiptCount: booking.receiptUploads.length,
-      paymentStatus: booking.paymentStatus
+      paymentStatus: booking.paymentStatus,
+      installmentId: installment._id.toString()
     });
 
     const bookingData = normalizeBookingForResponse(booking);
@@ -529,9 +894,10 @@ exports.uploadReceipt = async (req, res) => {
       success: true,
       booking: bookingData,
       bookingId: booking._id.toString(),
-      paymentStatus: 'receipt_submitted',
-      receiptUrl: receiptUrl,
-      receiptFile: req.file.filename
+      paymentStatus: booking.paymentStatus,
+      installmentId: installment._id.toString(),
+      receiptUrl: bookingData.receiptUrl,
+      receiptFile: stored.filename
     });
   } catch (error) {
     console.error('[uploadReceipt] EXCEPTION', {
@@ -586,7 +952,7 @@ exports.updatePaymentStatus = async (req, res) => {
       statusValue = 'receipt_submitted';
     }
 
-    // Validate paymentStatus value
+    // Validate paymentStatus value; cancellation and refunds have their own endpoints
     const validStatuses = ['pending', 'receipt_submitted', 'completed', 'rejected'];
     if (!statusValue || !validStatuses.includes(statusValue)) {
       console.warn('[updatePaymentStatus] Validation failed: Invalid payment status', {
@@ -656,20 +1022,39 @@ exports.updatePaymentStatus = async (req, res) => {
 
     // Store old status for logging
     const oldStatus = booking.paymentStatus;
+    const before = historySnapshot(booking);
+    const previousStatuses = installmentStatuses(booking);
 
-    // Update payment status
-    booking.paymentStatus = statusValue;
-
-    // If status is being set to 'completed', record the completion time
-    if (statusValue === 'completed' && !booking.paymentCompletedAt) {
-      booking.paymentCompletedAt = new Date();
-    } else if (statusValue !== 'completed') {
-      // Clear completion time if status changes away from completed
-      booking.paymentCompletedAt = undefined;
+    // Update payment status; the transition table decides what this requester may do
+    try {
+      setPaymentStatus(booking, statusValue, req.user.role === 'admin' ? 'admin' : 'user', req.user.userId);
+    } catch (transitionErr) {
+      if (!transitionErr.isTransitionError) throw transitionErr;
+      console.warn('[updatePaymentStatus] Illegal transition', {
+        bookingId: id,
+        userRole: req.user.role,
+        from: transitionErr.from,
+        to: transitionErr.to
+      });
+      return res.status(409).json({
+        success: false,
+        errorCode: transitionErr.errorCode,
+        message: transitionErr.message,
+        bookingId: id,
+        paymentStatus: oldStatus,
+        allowed: transitionErr.allowed
+      });
     }
 
     // Save the updated booking
+    if (req.user.role === 'admin') settleReceiptReviews(booking, req.user.userId);
+    recordHistory(booking, before, { action: 'payment_status_changed', req });
     await booking.save();
+    if (req.user.role === 'admin') {
+      // Optional reasonCode / comment, as for the receipt review endpoints
+      const comment = req.body.comment ? sanitizeText(req.body.comment) : undefined;
+      notifyPaymentStatusSet(booking, previousStatuses, describeRejection(rejectionReasonCode(req.body.reasonCode, comment), comment));
+    }
 
     console.log('[updatePaymentStatus] SUCCESS', {
       bookingId: booking._id.toString(),
@@ -708,3 +1093,582 @@ exports.updatePaymentStatus = async (req, res) => {
     });
   }
 };
+
+// Shared body of the qr.png / qr.svg endpoints
+async function sendQRCodeImage(req, res, format) {
+  const logTag = `getQRCode${format === 'svg' ? 'Svg' : 'Png'}`;
+
+  try {
+    let options;
+    try {
+      options = parseQRImageOptions(req.query);
+    } catch (optionsErr) {
+      if (!optionsErr.isQRImageError) throw optionsErr;
+      return res.status(400).json({
+        success: false,
+        errorCode: optionsErr.errorCode,
+        message: optionsErr.message,
+        field: optionsErr.field
+      });
+    }
+
+    const booking = await loadAccessibleBooking(req, res, logTag);
+    if (!booking) return;
+
+    if (booking.qrRevokedAt) {
+      return res.status(409).json({
+        success: false,
+        errorCode: 'QR_REVOKED',
+        message: 'The QR code for this booking has been revoked',
+        bookingId: booking._id.toString()
+      });
+    }
+
+    const image = await renderQRCodeImage(booking.qrCode, format, options);
+
+    res.set({
+      'Content-Type': format === 'svg' ? 'image/svg+xml' : 'image/png',
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(image);
+  } catch (error) {
+    console.error(`[${logTag}] EXCEPTION`, {
+      bookingId: req.params.id,
+      errorName: error.name,
+      errorMessage: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      errorCode: 'QR_RENDER_FAILED',
+      message: 'Unable to generate QR code image',
+      bookingId: req.params.id,
+      error: process.env.NODE_ENV === 'production'
+        ? 'An error occurred while generating the QR code.'
+        : error.message
+    });
+  }
+}
+
+exports.getQRCodePng = (req, res) => sendQRCodeImage(req, res, 'png');
+
+exports.getQRCodeSvg = (req, res) => sendQRCodeImage(req, res, 'svg');
+
+// Replace a lost or leaked QR code; the old code stops working at every scanner
+exports.reissueQRCode = async (req, res) => {
+  try {
+    const booking = await loadAccessibleBooking(req, res, 'reissueQRCode');
+    if (!booking) return;
+
+    if (CANCELLED_STATUSES.includes(booking.paymentStatus)) {
+      return res.status(409).json({
+        success: false,
+        errorCode: 'BOOKING_CANCELLED',
+        message: 'Cannot reissue the QR code of a cancelled booking',
+        bookingId: booking._id.toString()
+      });
+    }
+    if (booking.checkIn) {
+      return res.status(409).json({
+        success: false,
+        errorCode: 'ALREADY_CHECKED_IN',
+        message: 'This booking has already been checked in',
+        bookingId: booking._id.toString()
+      });
+    }
+    if (booking.qrRevokedAt) {
+      // Revoked by an admin on purpose; only an admin can give the booking a code again
+      return res.status(409).json({
+        success: false,
+        errorCode: 'QR_REVOKED',
+        message: 'The QR code for this booking has been revoked. Please contact us.',
+        bookingId: booking._id.toString()
+      });
+    }
+
+    const previousCode = booking.qrCode;
+    const before = historySnapshot(booking);
+    await reissueBookingQRCode(booking, { revokedBy: req.user.userId, note: 'Reissued by customer' });
+    recordHistory(booking, before, { action: 'qr_reissued', req });
+    await booking.save();
+
+    console.log('[reissueQRCode] SUCCESS', {
+      bookingId: booking._id.toString(),
+      previousCode,
+      qrCode: booking.qrCode
+    });
+
+    res.json({
+      success: true,
+      message: 'A new QR code has been issued. The previous code no longer works.',
+      booking: normalizeBookingForResponse(booking)
+    });
+  } catch (error) {
+    console.error('[reissueQRCode] EXCEPTION', {
+      bookingId: req.params.id,
+      errorName: error.name,
+      errorMessage: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      errorCode: 'QR_REISSUE_FAILED',
+      message: 'Unable to reissue QR code',
+      bookingId: req.params.id,
+      error: process.env.NODE_ENV === 'production'
+        ? 'An error occurred while reissuing the QR code.'
+        : error.message
+    });
+  }
+};
+
+// Download one of the booking's receipts; the owner or an admin only
+exports.downloadReceipt = async (req, res) => {
+  try {
+    const booking = await loadAccessibleBooking(req, res, 'downloadReceipt');
+    if (!booking) return;
+
+    const receipt = booking.receiptUploads.find(r => r.filename === req.params.filename);
+    if (!receipt || !(await sendStoredFile(res, receiptStorageKey(receipt), receipt.filename))) {
+      console.warn('[downloadReceipt] NOT_FOUND', {
+        bookingId: booking._id.toString(),
+        filename: req.params.filename,
+        hasReceipt: !!receipt
+      });
+      return res.status(404).json({
+        success: false,
+        errorCode: 'NOT_FOUND',
+        message: 'Receipt not found',
+        bookingId: booking._id.toString()
+      });
+    }
+  } catch (error) {
+    console.error('[downloadReceipt] EXCEPTION', {
+      bookingId: req.params.id,
+      errorName: error.name,
+      errorMessage: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      errorCode: 'RECEIPT_FETCH_FAILED',
+      message: 'Unable to fetch receipt',
+      bookingId: req.params.id,
+      error: process.env.NODE_ENV === 'production'
+        ? 'An error occurred while fetching the receipt.'
+        : error.message
+    });
+  }
+};
+
+exports.getInvoicePdf = async (req, res) => {
+  try {
+    const booking = await loadAccessibleBooking(req, res, 'getInvoicePdf');
+    if (!booking) return;
+
+    await booking.populate('userId', 'name email phone');
+    const meta = invoiceMetaFor(booking);
+    const pdf = await renderBookingInvoice(booking, booking.userId);
+
+    console.log('[getInvoicePdf] SUCCESS', {
+      bookingId: booking._id.toString(),
+      document: meta.number,
+      bytes: pdf.length
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': pdf.length,
+      'Content-Disposition': `inline; filename="${meta.number}.pdf"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('[getInvoicePdf] EXCEPTION', {
+      bookingId: req.params.id,
+      errorName: error.name,
+      errorMessage: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      errorCode: 'INVOICE_FAILED',
+      message: 'Unable to generate invoice',
+      bookingId: req.params.id,
+      error: process.env.NODE_ENV === 'production'
+        ? 'An error occurred while generating the invoice.'
+        : error.message
+    });
+  }
+};
+
+exports.getCancellationQuote = async (req, res) => {
+  try {
+    const booking = await loadAccessibleBooking(req, res, 'getCancellationQuote');
+    if (!booking) return;
+
+    res.json({
+      success: true,
+      bookingId: booking._id.toString(),
+      paymentStatus: booking.paymentStatus,
+      quote: buildCancellationQuote(booking)
+    });
+  } catch (error) {
+    console.error('[getCancellationQuote] EXCEPTION', {
+      bookingId: req.params.id,
+      errorName: error.name,
+      errorMessage: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      errorCode: 'CANCELLATION_QUOTE_FAILED',
+      message: 'Unable to calculate cancellation refund',
+      bookingId: req.params.id,
+      error: process.env.NODE_ENV === 'production'
+        ? 'An error occurred while calculating the refund.'
+        : error.message
+    });
+  }
+};
+
+exports.cancelBooking = async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body || {};
+
+  console.log('[cancelBooking] Request received', {
+    bookingId: id,
+    userId: req.user?.userId || 'MISSING',
+    hasReason: !!reason
+  });
+
+  try {
+    const booking = await loadAccessibleBooking(req, res, 'cancelBooking');
+    if (!booking) return;
+
+    const quote = buildCancellationQuote(booking);
+    if (!quote.cancellable) {
+      console.warn('[cancelBooking] Booking cannot be cancelled', {
+        bookingId: id,
+        paymentStatus: booking.paymentStatus,
+        reason: quote.reason
+      });
+      return res.status(409).json({
+        success: false,
+        errorCode: 'NOT_CANCELLABLE',
+        message: quote.reason,
+        bookingId: id,
+        paymentStatus: booking.paymentStatus
+      });
+    }
+
+    const previousStatus = booking.paymentStatus;
+    const before = historySnapshot(booking);
+
+    booking.cancellation = {
+      cancelledAt: new Date(),
+      cancelledBy: new mongoose.Types.ObjectId(req.user.userId),
+      reason: reason ? sanitizeText(reason) : undefined,
+      previousPaymentStatus: previousStatus,
+      daysBeforeEvent: quote.daysBeforeEvent,
+      amountPaid: quote.amountPaid,
+      refundPercent: quote.refundPercent,
+      refundAmount: quote.refundAmount,
+    };
+    // Any overpayment is part of the cancellation refund now
+    booking.refundDue = undefined;
+    applyPaymentTransition(booking, quote.refundAmount > 0 ? 'refund_pending' : 'cancelled', 'system');
+
+    const reservation = booking.capacityReservation && booking.capacityReservation.dateKey
+      ? { dateKey: booking.capacityReservation.dateKey, pax: booking.capacityReservation.pax }
+      : null;
+    booking.capacityReservation = undefined;
+    recordHistory(booking, before, { action: 'cancelled', req, reason: booking.cancellation.reason });
+
+    await booking.save();
+
+    // Free the date for other customers; a failure here only leaves the day slightly under-booked
+    if (reservation) {
+      await releaseCapacity(reservation).catch(releaseErr => {
+        console.error('[cancelBooking] Failed to release capacity', {
+          bookingId: id,
+          dateKey: reservation.dateKey,
+          error: releaseErr.message
+        });
+      });
+    }
+
+    // Offline scanners only know the revocation list; /scan refuses the booking regardless
+    await revokeInactiveBookingQRCode(booking, 'cancelled', req.user.userId).catch(revokeErr => {
+      console.error('[cancelBooking] Failed to revoke QR code', {
+        bookingId: id,
+        error: revokeErr.message
+      });
+    });
+
+    console.log('[cancelBooking] SUCCESS', {
+      bookingId: booking._id.toString(),
+      previousStatus,
+      paymentStatus: booking.paymentStatus,
+      refundAmount: quote.refundAmount
+    });
+
+    res.json({
+      success: true,
+      message: booking.paymentStatus === 'refund_pending'
+        ? 'Booking cancelled. Your refund is being processed.'
+        : 'Booking cancelled successfully',
+      booking: normalizeBookingForResponse(booking),
+      bookingId: booking._id.toString(),
+      paymentStatus: booking.paymentStatus,
+      refundAmount: quote.refundAmount
+    });
+  } catch (error) {
+    console.error('[cancelBooking] EXCEPTION', {
+      bookingId: id,
+      userId: req.user?.userId || 'UNKNOWN',
+      errorName: error.name,
+      errorMessage: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      errorCode: 'BOOKING_CANCEL_FAILED',
+      message: 'Unable to cancel booking',
+      bookingId: id,
+      error: process.env.NODE_ENV === 'production'
+        ? 'An error occurred while cancelling the booking.'
+        : error.message
+    });
+  }
+};
+
+exports.updateBooking = async (req, res) => {
+  const { id } = req.params;
+  const { scheduledDate, serviceDetails, notes } = req.body || {};
+
+  console.log('[updateBooking] Request received', {
+    bookingId: id,
+    userId: req.user?.userId || 'MISSING',
+    hasScheduledDate: scheduledDate !== undefined,
+    hasServiceDetails: serviceDetails !== undefined,
+    hasNotes: notes !== undefined
+  });
+
+  try {
+    const booking = await loadAccessibleBooking(req, res, 'updateBooking');
+    if (!booking) return;
+
+    if (CANCELLED_STATUSES.includes(booking.paymentStatus)) {
+      return res.status(409).json({
+        success: false,
+        errorCode: 'BOOKING_CANCELLED',
+        message: 'A cancelled booking cannot be modified',
+        bookingId: id,
+        paymentStatus: booking.paymentStatus
+      });
+    }
+
+    // A receipt under review was issued for the current amount, so the amount can't move underneath it
+    if (installmentUnderReview(booking)) {
+      return res.status(409).json({
+        success: false,
+        errorCode: 'PAYMENT_UNDER_REVIEW',
+        message: 'This booking cannot be modified while a payment receipt is being reviewed',
+        bookingId: id,
+        paymentStatus: booking.paymentStatus
+      });
+    }
+
+    const today = todayKey();
+    const currentEventKey = booking.scheduledDate ? toDateKey(booking.scheduledDate) : null;
+    if (currentEventKey && daysBetweenKeys(today, currentEventKey) < modificationCutoffDays) {
+      return res.status(409).json({
+        success: false,
+        errorCode: 'MODIFICATION_CUTOFF_PASSED',
+        message: `Bookings can only be changed up to ${modificationCutoffDays} day(s) before the event`,
+        bookingId: id,
+        cutoffDays: modificationCutoffDays
+      });
+    }
+
+    let newDate = booking.scheduledDate;
+    if (scheduledDate !== undefined) {
+      newDate = parseDate(scheduledDate);
+      if (!newDate) {
+        return res.status(400).json({
+          success: false,
+          errorCode: 'VALIDATION_ERROR',
+          message: 'A valid event date is required.',
+          field: 'scheduledDate'
+        });
+      }
+      if (daysBetweenKeys(today, toDateKey(newDate)) < modificationCutoffDays) {
+        return res.status(400).json({
+          success: false,
+          errorCode: 'VALIDATION_ERROR',
+          message: `The new event date must be at least ${modificationCutoffDays} day(s) from today.`,
+          field: 'scheduledDate'
+        });
+      }
+    }
+
+    // Merge the requested changes over the stored details
+    const currentDetails = toEditableDetails(booking.serviceDetails);
+
+    let changes = {};
+    if (serviceDetails !== undefined) {
+      try {
+        changes = parseServiceDetails(serviceDetails);
+      } catch (parseErr) {
+        return res.status(400).json({
+          success: false,
+          errorCode: parseErr.errorCode || 'VALIDATION_ERROR',
+          message: parseErr.message,
+          field: 'serviceDetails'
+        });
+      }
+    }
+
+    // Older clients send the free-text field as `notes`
+    if (changes.specialRequests === undefined && changes.notes !== undefined) {
+      changes.specialRequests = changes.notes;
+    }
+
+    const details = { ...currentDetails };
+    MODIFIABLE_DETAIL_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) details[field] = changes[field];
+    });
+
+    let pricing;
+    let typedDetails;
+    try {
+      pricing = await calculateBookingPrice(details);
+      typedDetails = buildServiceDetails(details, pricing);
+    } catch (pricingErr) {
+      if (!pricingErr.isPricingError) throw pricingErr;
+      return res.status(400).json({
+        success: false,
+        errorCode: pricingErr.errorCode,
+        message: pricingErr.message,
+        field: pricingErr.field
+      });
+    }
+
+    // Move the capacity hold to the new date/headcount before touching the booking
+    const previousReservation = booking.capacityReservation && booking.capacityReservation.dateKey
+      ? { dateKey: booking.capacityReservation.dateKey, pax: booking.capacityReservation.pax }
+      : null;
+    let reservation = previousReservation;
+    const dateChanged = toDateKey(newDate) !== (previousReservation ? previousReservation.dateKey : currentEventKey);
+    const paxChanged = !previousReservation || previousReservation.pax !== pricing.numPeople;
+    if (newDate && (dateChanged || paxChanged)) {
+      try {
+        reservation = await changeReservation(previousReservation, newDate, pricing.numPeople);
+      } catch (capacityErr) {
+        if (!capacityErr.isCapacityError) throw capacityErr;
+        return res.status(capacityErr.errorCode === 'DATE_FULL' ? 409 : 400).json({
+          success: false,
+          errorCode: capacityErr.errorCode,
+          message: capacityErr.message,
+          field: 'scheduledDate',
+          availability: capacityErr.availability
+        });
+      }
+    }
+
+    const previousTotal = booking.totalAmount;
+    const revisionNumber = booking.revisions.length + 1;
+    const before = historySnapshot(booking);
+
+    booking.revisions.push({
+      revision: revisionNumber,
+      changedAt: new Date(),
+      changedBy: new mongoose.Types.ObjectId(req.user.userId),
+      previous: {
+        scheduledDate: booking.scheduledDate,
+        serviceDetails: booking.serviceDetails ? booking.serviceDetails.toObject() : undefined,
+        totalAmount: booking.totalAmount,
+        priceBreakdown: booking.priceBreakdown,
+        notes: booking.notes,
+      },
+      priceDelta: roundCurrency(pricing.total - previousTotal),
+    });
+
+    booking.scheduledDate = newDate;
+    booking.capacityReservation = reservation || undefined;
+    booking.serviceName = sanitizeText(pricing.foodPackage.name);
+    booking.serviceDetails = typedDetails;
+    booking.priceBreakdown = pricing.lineItems;
+    booking.totalAmount = pricing.total;
+    if (notes !== undefined) booking.notes = notes ? sanitizeText(notes) : undefined;
+
+    // Unpaid installments are re-planned around the new total; payments already made stand
+    const paidBefore = approvedAmount(booking);
+    const newInstallments = rescheduleUnpaid(booking, revisionNumber);
+    syncPaymentStatus(booking, 'system');
+    recordHistory(booking, before, { action: 'modified', req, reason: `Revision ${revisionNumber}` });
+
+    try {
+      await booking.save();
+    } catch (saveErr) {
+      // Put the capacity hold back the way it was
+      if (reservation !== previousReservation) {
+        const rollback = previousReservation
+          ? changeReservation(reservation, previousReservation.dateKey, previousReservation.pax)
+          : releaseCapacity(reservation);
+        await rollback.catch(rollbackErr => {
+          console.error('[updateBooking] Failed to restore capacity after save error', {
+            bookingId: id,
+            error: rollbackErr.message
+          });
+        });
+      }
+      throw saveErr;
+    }
+    if (toDateKey(newDate) !== currentEventKey) queueEventReminders(booking, 'updateBooking');
+
+    console.log('[updateBooking] SUCCESS', {
+      bookingId: booking._id.toString(),
+      revision: revisionNumber,
+      previousTotal,
+      totalAmount: booking.totalAmount,
+      paymentStatus: booking.paymentStatus,
+      newInstallments: newInstallments.length
+    });
+
+    res.json({
+      success: true,
+      message: paidBefore > 0 && newInstallments.length > 0
+        ? 'Booking updated. Please pay the additional amount to keep your booking confirmed.'
+        : booking.refundDue
+          ? 'Booking updated. The amount you paid above the new total will be refunded.'
+          : 'Booking updated successfully',
+      booking: normalizeBookingForResponse(booking),
+      bookingId: booking._id.toString(),
+      revision: revisionNumber,
+      previousTotalAmount: previousTotal,
+      totalAmount: booking.totalAmount,
+      priceDelta: roundCurrency(booking.totalAmount - previousTotal),
+      refundDueAmount: refundDueAmount(booking),
+      paymentSchedule: describePaymentSchedule(booking)
+    });
+  } catch (error) {
+    console.error('[updateBooking] EXCEPTION', {
+      bookingId: id,
+      userId: req.user?.userId || 'UNKNOWN',
+      errorName: error.name,
+      errorMessage: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      errorCode: 'BOOKING_UPDATE_FAILED',
+      message: 'Unable to update booking',
+      bookingId: id,
+      error: process.env.NODE_ENV === 'production'
+        ? 'An error occurred while updating the booking.'
+        : error.message
+    });
+  }
+};
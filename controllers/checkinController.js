@@ -0,0 +1,285 @@
+const { redeemScan } = require('../utils/checkInUtils');
+const { verifyQRCode } = require('../utils/qrCodeUtils');
+const RevokedQRCode = require('../models/RevokedQRCode');
+const { offlineScanMaxAgeHours } = require('../config/bookingPolicy');
+
+// Upper bound on scans per offline upload
+const MAX_BATCH_SCANS = 500;
+// Device clocks drift; scans slightly "in the future" are still accepted
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// HTTP status for a rejected single scan
+const SCAN_ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  INVALID_CODE: 400,
+  FORGED_CODE: 400,
+  NOT_FOUND: 404,
+  QR_REVOKED: 409,
+  ALREADY_CHECKED_IN: 409,
+  BOOKING_CANCELLED: 409,
+  NOT_PAID: 409,
+  WRONG_DATE: 409,
+};
+
+/**
+ * Validate the device timestamp of an offline scan
+ * @returns {{scannedAt?: Date, error?: string}}
+ */
+function parseScannedAt(value) {
+  const scannedAt = value ? new Date(value) : null;
+  if (!scannedAt || Number.isNaN(scannedAt.getTime())) {
+    return { error: 'scannedAt must be a valid timestamp' };
+  }
+  const now = Date.now();
+  if (scannedAt.getTime() > now + CLOCK_SKEW_MS) {
+    return { error: 'scannedAt is in the future' };
+  }
+  if (scannedAt.getTime() < now - offlineScanMaxAgeHours * 60 * 60 * 1000) {
+    return { error: `Scans older than ${offlineScanMaxAgeHours} hours are no longer accepted` };
+  }
+  return { scannedAt };
+}
+
+exports.scan = async (req, res) => {
+  const { qrCode, deviceId } = req.body || {};
+
+  console.log('[checkinScan] Request received', {
+    staffUserId: req.user?.userId || 'MISSING',
+    hasQrCode: !!qrCode
+  });
+
+  try {
+    const result = await redeemScan({
+      qrCode,
+      staffUserId: req.user.userId,
+      req,
+      method: 'scan',
+      deviceId: typeof deviceId === 'string' ? deviceId.slice(0, 100) : undefined,
+    });
+
+    if (!result.ok) {
+      console.warn('[checkinScan] Rejected', {
+        qrCode,
+        errorCode: result.errorCode,
+        bookingId: result.booking ? result.booking.bookingId : null
+      });
+      return res.status(SCAN_ERROR_STATUS[result.errorCode] || 409).json({
+        success: false,
+        errorCode: result.errorCode,
+        message: result.message,
+        booking: result.booking,
+        paymentStatus: result.paymentStatus
+      });
+    }
+
+    console.log('[checkinScan] SUCCESS', {
+      bookingId: result.booking.bookingId,
+      staffUserId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      message: result.message,
+      booking: result.booking
+    });
+  } catch (error) {
+    console.error('[checkinScan] EXCEPTION', {
+      qrCode,
+      errorName: error.name,
+      errorMessage: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      errorCode: 'CHECKIN_FAILED',
+      message: 'Unable to check in booking',
+      error: process.env.NODE_ENV === 'production'
+        ? 'An error occurred while checking in the booking.'
+        : error.message
+    });
+  }
+};
+
+// Scans collected by a device without signal, uploaded once it is back online.
+// Every scan is judged against the day it was taken; one bad scan doesn't fail the batch.
+exports.scanBatch = async (req, res) => {
+  const { scans, deviceId } = req.body || {};
+
+  if (!Array.isArray(scans) || scans.length === 0) {
+    return res.status(400).json({
+      success: false,
+      errorCode: 'VALIDATION_ERROR',
+      message: 'scans must be a non-empty array',
+      field: 'scans'
+    });
+  }
+  if (scans.length > MAX_BATCH_SCANS) {
+    return res.status(400).json({
+      success: false,
+      errorCode: 'VALIDATION_ERROR',
+      message: `A batch can contain at most ${MAX_BATCH_SCANS} scans`,
+      field: 'scans'
+    });
+  }
+
+  console.log('[checkinScanBatch] Request received', {
+    staffUserId: req.user?.userId || 'MISSING',
+    deviceId: deviceId || null,
+    scanCount: scans.length
+  });
+
+  try {
+    // Oldest first, so when a code was scanned twice offline the first scan wins
+    const ordered = scans
+      .map((scan, index) => ({ scan: scan || {}, index }))
+      .sort((a, b) => (new Date(a.scan.scannedAt).getTime() || 0) - (new Date(b.scan.scannedAt).getTime() || 0));
+
+    const results = new Array(scans.length);
+    for (const { scan, index } of ordered) {
+      const clientScanId = scan.clientScanId != null ? String(scan.clientScanId).slice(0, 100) : undefined;
+      const { scannedAt, error } = parseScannedAt(scan.scannedAt);
+
+      if (error) {
+        results[index] = { index, clientScanId: clientScanId || null, qrCode: scan.qrCode || null, success: false, errorCode: 'INVALID_SCAN', message: error };
+        continue;
+      }
+
+      let result;
+      try {
+        result = await redeemScan({
+          qrCode: scan.qrCode,
+          staffUserId: req.user.userId,
+          req,
+          method: 'offline_batch',
+          scannedAt,
+          deviceId: typeof deviceId === 'string' ? deviceId.slice(0, 100) : undefined,
+          clientScanId,
+        });
+      } catch (scanErr) {
+        // Scans already processed are saved; report this one and carry on
+        console.error('[checkinScanBatch] Scan failed', { index, error: scanErr.message });
+        result = { ok: false, errorCode: 'CHECKIN_FAILED', message: 'Unable to process this scan', booking: null };
+      }
+
+      results[index] = {
+        index,
+        clientScanId: clientScanId || null,
+        qrCode: scan.qrCode || null,
+        success: result.ok,
+        duplicate: !!result.duplicate,
+        errorCode: result.errorCode || null,
+        message: result.message,
+        booking: result.booking
+      };
+    }
+
+    const summary = {
+      total: results.length,
+      checkedIn: results.filter(r => r.success && !r.duplicate).length,
+      duplicates: results.filter(r => r.duplicate).length,
+      rejected: results.filter(r => !r.success).length,
+    };
+
+    console.log('[checkinScanBatch] Processed', {
+      staffUserId: req.user.userId,
+      deviceId: deviceId || null,
+      ...summary
+    });
+
+    res.json({
+      success: true,
+      message: `${summary.checkedIn} of ${summary.total} scans checked in`,
+      summary,
+      results
+    });
+  } catch (error) {
+    console.error('[checkinScanBatch] EXCEPTION', {
+      staffUserId: req.user?.userId || 'UNKNOWN',
+      errorName: error.name,
+      errorMessage: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      errorCode: 'CHECKIN_FAILED',
+      message: 'Unable to process scans',
+      error: process.env.NODE_ENV === 'production'
+        ? 'An error occurred while processing the scans.'
+        : error.message
+    });
+  }
+};
+
+// Signature and revocation check only: answers without a database lookup, so it stays fast
+// under load. Says nothing about payment or the event date; /scan decides admission.
+exports.verify = async (req, res) => {
+  const { qrCode } = req.body || {};
+
+  if (!qrCode || typeof qrCode !== 'string') {
+    return res.status(400).json({
+      success: false,
+      errorCode: 'VALIDATION_ERROR',
+      message: 'qrCode is required',
+      field: 'qrCode'
+    });
+  }
+
+  const result = verifyQRCode(qrCode);
+  if (result.status !== 'valid') {
+    console.warn('[checkinVerify] Not verified', { bookingId: result.bookingId, status: result.status });
+  }
+
+  res.json({
+    success: true,
+    qrCode: qrCode.trim(),
+    ...result
+  });
+};
+
+// Revoked codes for devices that verify offline; pass ?since= to fetch only newer entries
+exports.listRevocations = async (req, res) => {
+  const filter = {};
+  if (req.query.since) {
+    const since = new Date(req.query.since);
+    if (Number.isNaN(since.getTime())) {
+      return res.status(400).json({
+        success: false,
+        errorCode: 'VALIDATION_ERROR',
+        message: 'since must be a valid timestamp',
+        field: 'since'
+      });
+    }
+    filter.revokedAt = { $gt: since };
+  }
+
+  try {
+    const revocations = await RevokedQRCode.find(filter, 'code bookingId reason revokedAt')
+      .sort({ revokedAt: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      generatedAt: new Date(),
+      revocations: revocations.map(entry => ({
+        code: entry.code,
+        bookingId: entry.bookingId ? entry.bookingId.toString() : null,
+        reason: entry.reason,
+        revokedAt: entry.revokedAt
+      }))
+    });
+  } catch (error) {
+    console.error('[checkinRevocations] EXCEPTION', {
+      errorName: error.name,
+      errorMessage: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      errorCode: 'REVOCATIONS_FAILED',
+      message: 'Unable to load revoked QR codes',
+      error: process.env.NODE_ENV === 'production'
+        ? 'An error occurred while loading revoked QR codes.'
+        : error.message
+    });
+  }
+};
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const { verifyFileToken, bookingOwnsFile, sendStoredFile } = require('../utils/fileLinks');
+
+// Serve a receipt or refund proof through a signed, expiring link (no login needed).
+// The booking is still checked, so a link stops working once its file is no longer attached.
+exports.serveSignedFile = async (req, res) => {
+  const claims = verifyFileToken(req.params.token);
+
+  if (!claims.valid) {
+    console.warn('[serveSignedFile] Rejected link', { reason: claims.reason });
+    return res.status(claims.reason === 'expired' ? 410 : 403).json({
+      success: false,
+      errorCode: claims.reason === 'expired' ? 'LINK_EXPIRED' : 'INVALID_LINK',
+      message: claims.reason === 'expired'
+        ? 'This link has expired. Reload the page to get a new one.'
+        : 'This link is not valid'
+    });
+  }
+
+  try {
+    const booking = mongoose.Types.ObjectId.isValid(claims.bookingId)
+      ? await Booking.findById(claims.bookingId, 'receiptUploads refund overpaymentRefunds')
+      : null;
+
+    if (!booking || !bookingOwnsFile(booking, claims.key) || !(await sendStoredFile(res, claims.key))) {
+      console.warn('[serveSignedFile] NOT_FOUND', { bookingId: claims.bookingId, key: claims.key });
+      return res.status(404).json({
+        success: false,
+        errorCode: 'NOT_FOUND',
+        message: 'File not found'
+      });
+    }
+  } catch (error) {
+    console.error('[serveSignedFile] EXCEPTION', {
+      bookingId: claims.bookingId,
+      key: claims.key,
+      errorName: error.name,
+      errorMessage: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      errorCode: 'FILE_FETCH_FAILED',
+      message: 'Unable to fetch file',
+      error: process.env.NODE_ENV === 'production'
+        ? 'An error occurred while fetching the file.'
+        : error.message
+    });
+  }
+};
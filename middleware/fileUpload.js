@@ -0,0 +1,79 @@
+const multer = require('multer');
+const path = require('path');
+const { getStorage, createStorageKey } = require('../utils/storage');
+const { sanitizeUploadedFile } = require('../utils/fileSanitizer');
+
+const allowedMimeTypes = ['image/png', 'image/jpeg', 'image/jpg', 'application/pdf'];
+
+// Build a multer instance that accepts PNG/JPG/PDF files. Files are held in memory until the
+// route handler has validated the request and calls storeUploadedFile. The declared type is
+// only a first filter; sanitizeUpload checks the actual content.
+const createUpload = () => {
+  const storage = multer.memoryStorage();
+
+  const fileFilter = (req, file, cb) => {
+    if (allowedMimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PNG, JPG, and PDF files are allowed.'));
+    }
+  };
+
+  return multer({
+    storage,
+    fileFilter,
+    limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
+  });
+};
+
+/**
+ * Check the uploaded file's content (after multer) and replace it with its sanitized version:
+ * PNG/JPEG/PDF by magic bytes, no scripts in PDFs, no metadata in images.
+ * Adds req.file.detectedType and req.file.sha256.
+ */
+const sanitizeUpload = (req, res, next) => {
+  if (!req.file) return next();
+  try {
+    const result = sanitizeUploadedFile(req.file.buffer);
+    req.file.buffer = result.buffer;
+    req.file.size = result.buffer.length;
+    req.file.detectedType = result.mimeType;
+    req.file.detectedExtension = result.extension;
+    req.file.sha256 = result.sha256;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Write a file received by createUpload (and checked by sanitizeUpload) to the configured storage
+ * @param {string} prefix - Key prefix: 'receipts' | 'refunds'
+ * @param {Object} file - req.file
+ * @returns {Promise<{key: string, filename: string}>}
+ */
+const storeUploadedFile = async (prefix, file) => {
+  const key = createStorageKey(prefix, file.detectedExtension || path.extname(file.originalname || ''));
+  await getStorage().put(key, file.buffer, { contentType: file.detectedType || file.mimetype });
+  return { key, filename: path.basename(key) };
+};
+
+// Multer/file validation errors bubble here
+const handleUploadErrors = (err, req, res, next) => {
+  if (err instanceof multer.MulterError || err.message.includes('Only')) {
+    return res.status(400).json({ message: err.message });
+  }
+  if (err.isUploadRejected) {
+    console.warn('[upload] File rejected', { path: req.originalUrl, reason: err.message });
+    return res.status(400).json({ message: err.message, errorCode: err.errorCode });
+  }
+  return next(err);
+};
+
+module.exports = {
+  receiptUpload: createUpload(),
+  refundProofUpload: createUpload(),
+  sanitizeUpload,
+  storeUploadedFile,
+  handleUploadErrors,
+};
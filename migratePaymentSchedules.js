@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const Booking = require('./models/Booking');
+const { toDateKey } = require('./utils/dateUtils');
+const { roundCurrency } = require('./utils/pricingUtils');
+const { derivePaymentStatus } = require('./utils/paymentSchedule');
+require('dotenv').config();
+
+/**
+ * Migration Script: Give existing bookings a payment schedule
+ *
+ * Bookings made before deposits/installments existed track a single paymentStatus, plus
+ * supplementaryPayments for amounts added by later modifications. This script turns each
+ * of them into installments: one "full" installment for the original amount and one
+ * "supplementary" installment per supplementary payment (ids are kept, so receipts that
+ * pointed at a supplementary payment now point at its installment).
+ *
+ * Run this ONCE when deploying payment schedules. Until it has run, the application treats
+ * bookings without installments as a single payment and ignores their supplementary payments.
+ *
+ * Usage: node migratePaymentSchedules.js [--dry-run]
+ */
+
+const dryRun = process.argv.includes('--dry-run');
+
+const CANCELLED_STATUSES = ['cancelled', 'refund_pending', 'refunded', 'expired'];
+const INSTALLMENT_STATUSES = ['pending', 'receipt_submitted', 'completed', 'rejected'];
+
+// Installment status for the original amount, taken from before the cancellation where needed
+function baseInstallmentStatus(raw) {
+  const status = CANCELLED_STATUSES.includes(raw.paymentStatus) && raw.cancellation
+    ? raw.cancellation.previousPaymentStatus
+    : raw.paymentStatus;
+  return INSTALLMENT_STATUSES.includes(status) ? status : 'pending';
+}
+
+/**
+ * Build the installments and the fields that change with them for one raw booking
+ * @returns {{installments: Array, receiptUploads: Array, paymentStatus: string}}
+ */
+function convertBooking(raw) {
+  const supplementary = raw.supplementaryPayments || [];
+  const dueDate = toDateKey(raw.scheduledDate || raw.createdAt || new Date());
+
+  const supplementaryTotal = supplementary
+    .filter(payment => payment.status !== 'superseded')
+    .reduce((sum, payment) => sum + payment.amount, 0);
+  const baseAmount = roundCurrency(raw.totalAmount - supplementaryTotal);
+  if (!(baseAmount >= 0)) {
+    throw new Error(`supplementary payments (${supplementaryTotal}) exceed totalAmount (${raw.totalAmount})`);
+  }
+
+  const baseStatus = baseInstallmentStatus(raw);
+  const base = {
+    _id: new mongoose.Types.ObjectId(),
+    kind: 'full',
+    amount: baseAmount,
+    dueDate,
+    status: baseStatus,
+    createdAt: raw.createdAt || new Date(),
+    completedAt: baseStatus === 'completed' ? raw.paymentCompletedAt : undefined,
+  };
+
+  const installments = [base, ...supplementary.map(payment => ({
+    _id: payment._id,
+    kind: 'supplementary',
+    amount: payment.amount,
+    dueDate,
+    reason: payment.reason,
+    revision: payment.revision,
+    status: payment.status,
+    createdAt: payment.createdAt,
+    completedAt: payment.completedAt,
+  }))];
+
+  const receiptUploads = (raw.receiptUploads || []).map(receipt => {
+    const { supplementaryPaymentId, ...rest } = receipt;
+    return { ...rest, installmentId: supplementaryPaymentId || base._id };
+  });
+
+  // Cancelled bookings keep their status; the rest now follow their installments
+  const paymentStatus = CANCELLED_STATUSES.includes(raw.paymentStatus)
+    ? raw.paymentStatus
+    : derivePaymentStatus({ installments, totalAmount: raw.totalAmount, paymentStatus: raw.paymentStatus });
+
+  return { installments, receiptUploads, paymentStatus };
+}
+
+async function migratePaymentSchedules() {
+  console.log(`[Migration] Starting payment schedule migration${dryRun ? ' (dry run)' : ''}...`);
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.DB_URI);
+    console.log('[Migration] Connected to MongoDB');
+
+    // Read raw documents: supplementaryPayments is no longer part of the schema
+    const legacyBookings = await Booking.collection.find({
+      $or: [{ installments: { $exists: false } }, { installments: { $size: 0 } }],
+    }).toArray();
+
+    const totalBookings = legacyBookings.length;
+    console.log(`[Migration] Found ${totalBookings} bookings without a payment schedule`);
+
+    if (totalBookings === 0) {
+      console.log('[Migration] No bookings to migrate. All bookings already have a payment schedule.');
+      return 0;
+    }
+
+    let successCount = 0;
+    let failureCount = 0;
+    const errors = [];
+
+    // Process each booking
+    for (let i = 0; i < legacyBookings.length; i++) {
+      const raw = legacyBookings[i];
+
+      try {
+        const { installments, receiptUploads, paymentStatus } = convertBooking(raw);
+
+        if (!dryRun) {
+          await Booking.collection.updateOne(
+            { _id: raw._id },
+            {
+              $set: { installments, receiptUploads, paymentStatus },
+              $unset: { supplementaryPayments: '' },
+            }
+          );
+        }
+
+        successCount++;
+        const statusNote = paymentStatus !== raw.paymentStatus ? ` (paymentStatus ${raw.paymentStatus} -> ${paymentStatus})` : '';
+        console.log(`[Migration] ✅ [${i + 1}/${totalBookings}] Booking ${raw._id}: ${installments.length} installment(s)${statusNote}`);
+
+      } catch (error) {
+        failureCount++;
+        const errorMsg = `Failed to convert booking ${raw._id}: ${error.message}`;
+        console.error(`[Migration] ❌ [${i + 1}/${totalBookings}] ${errorMsg}`);
+        errors.push({
+          bookingId: raw._id,
+          error: error.message
+        });
+      }
+    }
+
+    // Print summary
+    console.log('\n[Migration] ========== MIGRATION SUMMARY ==========');
+    console.log(`[Migration] Total bookings processed: ${totalBookings}`);
+    console.log(`[Migration] Successful: ${successCount}`);
+    console.log(`[Migration] Failed: ${failureCount}`);
+
+    if (errors.length > 0) {
+      console.log('\n[Migration] Bookings that could not be converted (left unchanged):');
+      errors.forEach(err => {
+        console.log(`  - Booking ID: ${err.bookingId}, Error: ${err.error}`);
+      });
+    }
+
+    console.log('[Migration] =======================================\n');
+
+    if (failureCount > 0) {
+      console.log('[Migration] ⚠️  Migration completed with errors. Fix the bookings above and run again.');
+      return 1;
+    }
+    console.log('[Migration] ✅ Migration completed successfully!');
+    return 0;
+
+  } catch (error) {
+    console.error('[Migration] ❌ Migration failed with error:', error);
+    return 1;
+  } finally {
+    // Close MongoDB connection
+    await mongoose.connection.close();
+    console.log('[Migration] MongoDB connection closed');
+  }
+}
+
+// Run migration
+migratePaymentSchedules().then(code => process.exit(code));
@@ -0,0 +1,253 @@
+const mongoose = require('mongoose');
+const Booking = require('./models/Booking');
+const Service = require('./models/Service');
+const { normalizeEventType } = require('./utils/serviceDetailsUtils');
+require('dotenv').config();
+
+/**
+ * Migration Script: Convert serviceDetails JSON strings to the typed subdocument
+ *
+ * Older bookings stored serviceDetails as a sanitized JSON string. This script parses
+ * each one, resolves the food package / sides / drink / dessert against the service
+ * catalog (by id, code or name) and writes the typed subdocument back.
+ * Totals are NOT re-priced; bookings keep the amount they were created with.
+ *
+ * Rows that cannot be parsed or resolved are quarantined: the raw string moves to
+ * legacyServiceDetails and serviceDetails is removed, so the booking still saves under
+ * the typed schema. They are listed at the end for an admin to re-enter by hand, and
+ * picked up again by the next run (e.g. after adding missing catalog entries).
+ *
+ * Deploy order:
+ *   1. Populate the service catalog (POST /api/admin/services) with every food package,
+ *      side, drink and dessert the old bookings mention.
+ *   2. Run this script (try --dry-run first; re-run after adding missing catalog entries).
+ *   3. Deploy the code with the typed serviceDetails schema. Until then, saving any
+ *      booking that still has a string serviceDetails fails validation.
+ *
+ * Usage: node migrateServiceDetailsToSubdocument.js [--dry-run]
+ */
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Look a legacy value up in the catalog; retired (inactive) entries still count
+async function resolveCatalogItem(value, category) {
+  if (value == null || value === '') return null;
+  const ref = typeof value === 'object'
+    ? String(value._id || value.id || value.code || value.name || '')
+    : String(value).trim();
+  if (!ref) return null;
+
+  if (mongoose.Types.ObjectId.isValid(ref)) {
+    const byId = await Service.findOne({ _id: ref, category });
+    if (byId) return byId;
+  }
+
+  const escaped = ref.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const item = await Service.findOne({
+    category,
+    $or: [{ code: ref.toLowerCase() }, { name: new RegExp(`^${escaped}$`, 'i') }],
+  });
+  if (!item) throw new Error(`${category} "${ref}" not found in service catalog`);
+  return item;
+}
+
+/**
+ * Convert one legacy JSON string into the typed subdocument
+ * @returns {Promise<{details: Object, warnings: string[]}>}
+ */
+async function convertDetails(raw) {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`unparseable JSON (${error.message})`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('JSON is not an object');
+  }
+
+  const warnings = [];
+
+  let eventType = normalizeEventType(parsed.eventType);
+  if (!eventType) {
+    warnings.push(`eventType "${parsed.eventType}" mapped to "other"`);
+    eventType = 'other';
+  }
+
+  const numPeople = Number(parsed.numPeople);
+  if (!Number.isInteger(numPeople) || numPeople < 1) {
+    throw new Error(`invalid numPeople "${parsed.numPeople}"`);
+  }
+
+  const foodPackage = await resolveCatalogItem(parsed.foodPackage, 'foodPackage');
+  if (!foodPackage) throw new Error('missing foodPackage');
+
+  const sideValues = Array.isArray(parsed.selectedSides)
+    ? parsed.selectedSides
+    : parsed.selectedSides ? String(parsed.selectedSides).split(',').map(v => v.trim()).filter(Boolean) : [];
+  const sides = [];
+  for (const value of sideValues) {
+    sides.push((await resolveCatalogItem(value, 'side'))._id);
+  }
+
+  const drink = await resolveCatalogItem(parsed.drink, 'drink');
+  const dessert = await resolveCatalogItem(parsed.dessert, 'dessert');
+
+  return {
+    details: {
+      eventType,
+      numPeople,
+      foodPackage: foodPackage._id,
+      selectedSides: sides,
+      drink: drink ? drink._id : undefined,
+      dessert: dessert ? dessert._id : undefined,
+      specialRequests: parsed.specialRequests || parsed.notes || undefined,
+    },
+    warnings,
+  };
+}
+
+// Run the converted details through the schema validators before writing them. Only the
+// subdocument is validated: the rest of the raw booking may still hold legacy strings.
+async function validateDetails(details) {
+  const doc = new Booking({ serviceDetails: details });
+  await doc.validate(['serviceDetails']);
+  return doc.toObject().serviceDetails;
+}
+
+async function migrateServiceDetails() {
+  console.log(`[Migration] Starting serviceDetails migration${dryRun ? ' (dry run)' : ''}...`);
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.DB_URI);
+    console.log('[Migration] Connected to MongoDB');
+
+    // Read raw documents: the typed schema can't hydrate string serviceDetails
+    const legacyBookings = await Booking.collection.find({
+      $or: [
+        { serviceDetails: { $type: 'string' } },
+        { legacyServiceDetails: { $type: 'string' } },
+        { 'revisions.previous.serviceDetails': { $type: 'string' } },
+        { 'revisions.previous.legacyServiceDetails': { $type: 'string' } },
+      ],
+    }).toArray();
+
+    const totalBookings = legacyBookings.length;
+    console.log(`[Migration] Found ${totalBookings} bookings with string serviceDetails`);
+
+    if (totalBookings === 0) {
+      console.log('[Migration] No bookings to migrate. All serviceDetails are already typed.');
+      return 0;
+    }
+
+    let successCount = 0;
+    let quarantinedCount = 0;
+    let failureCount = 0;
+    const quarantined = [];
+
+    // Process each booking
+    for (let i = 0; i < legacyBookings.length; i++) {
+      const raw = legacyBookings[i];
+      const $set = {};
+      const $unset = {};
+      const problems = [];
+
+      // Convert one string, or quarantine it under `prefix` when it can't be converted
+      const migrate = async (prefix, value, label) => {
+        try {
+          const { details, warnings } = await convertDetails(value);
+          $set[`${prefix}serviceDetails`] = await validateDetails(details);
+          $unset[`${prefix}legacyServiceDetails`] = '';
+          warnings.forEach(w => console.warn(`[Migration] ⚠️  Booking ${raw._id} (${label}): ${w}`));
+        } catch (error) {
+          delete $unset[`${prefix}legacyServiceDetails`];
+          $set[`${prefix}legacyServiceDetails`] = value;
+          $unset[`${prefix}serviceDetails`] = '';
+          problems.push({ label, error: error.message, serviceDetails: value });
+        }
+      };
+
+      try {
+        // A quarantined string from an earlier run is retried in place
+        const legacyValue = (holder) => (
+          typeof holder.serviceDetails === 'string' ? holder.serviceDetails
+            : !holder.serviceDetails && typeof holder.legacyServiceDetails === 'string' ? holder.legacyServiceDetails
+              : null
+        );
+
+        if (legacyValue(raw) !== null) {
+          await migrate('', legacyValue(raw), 'booking');
+        }
+
+        // Snapshots recorded by booking modifications use the same format
+        const revisions = raw.revisions || [];
+        for (let index = 0; index < revisions.length; index++) {
+          const previous = revisions[index].previous;
+          if (!previous || legacyValue(previous) === null) continue;
+          await migrate(`revisions.${index}.previous.`, legacyValue(previous), `revision ${index}`);
+        }
+
+        if (!dryRun) {
+          const update = { $set };
+          if (Object.keys($unset).length > 0) update.$unset = $unset;
+          await Booking.collection.updateOne({ _id: raw._id }, update);
+        }
+
+        if (problems.length > 0) {
+          quarantinedCount++;
+          quarantined.push({ bookingId: raw._id, problems });
+          console.warn(`[Migration] ⚠️  [${i + 1}/${totalBookings}] Quarantined booking ${raw._id}`);
+        } else {
+          successCount++;
+          console.log(`[Migration] ✅ [${i + 1}/${totalBookings}] Converted booking ${raw._id}`);
+        }
+
+      } catch (error) {
+        failureCount++;
+        console.error(`[Migration] ❌ [${i + 1}/${totalBookings}] Failed to update booking ${raw._id}: ${error.message}`);
+      }
+    }
+
+    // Print summary
+    console.log('\n[Migration] ========== MIGRATION SUMMARY ==========');
+    console.log(`[Migration] Total bookings processed: ${totalBookings}`);
+    console.log(`[Migration] Converted: ${successCount}`);
+    console.log(`[Migration] Quarantined: ${quarantinedCount}`);
+    console.log(`[Migration] Failed: ${failureCount}`);
+
+    if (quarantined.length > 0) {
+      console.log('\n[Migration] Bookings that could not be converted (raw string kept in legacyServiceDetails):');
+      quarantined.forEach(({ bookingId, problems }) => {
+        problems.forEach(problem => {
+          console.log(`  - Booking ID: ${bookingId} (${problem.label}), Error: ${problem.error}`);
+          console.log(`    Raw serviceDetails: ${problem.serviceDetails}`);
+        });
+      });
+    }
+
+    console.log('[Migration] =======================================\n');
+
+    if (failureCount > 0) {
+      console.log('[Migration] ⚠️  Some bookings could not be updated. Check the errors above and run again.');
+      return 1;
+    }
+    if (quarantinedCount > 0) {
+      console.log('[Migration] ⚠️  Migration completed; quarantined bookings need their service details re-entered.');
+      return 0;
+    }
+    console.log('[Migration] ✅ Migration completed successfully!');
+    return 0;
+
+  } catch (error) {
+    console.error('[Migration] ❌ Migration failed with error:', error);
+    return 1;
+  } finally {
+    // Close MongoDB connection
+    await mongoose.connection.close();
+    console.log('[Migration] MongoDB connection closed');
+  }
+}
+
+// Run migration
+migrateServiceDetails().then(code => process.exit(code));
@@ -1,12 +1,221 @@
 const mongoose = require('mongoose');
+const { PAYMENT_STATUSES, LIFECYCLE_STATUSES } = require('../utils/bookingLifecycle');
+const { HISTORY_ACTIONS, HISTORY_ACTOR_ROLES } = require('../utils/bookingHistory');
+
+const EVENT_TYPES = ['wedding', 'engagement', 'birthday', 'corporate', 'religious', 'family', 'other'];
+const MAX_PEOPLE_PER_BOOKING = 5000;
+const RECEIPT_REVIEW_STATUSES = ['pending', 'accepted', 'rejected'];
+
+// Another booking's receipt that this upload matches (utils/receiptDuplicates.js)
+const duplicateMatchSchema = new mongoose.Schema(
+  {
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+    filename: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // 'exact': same bytes; 'similar': perceptual hashes within the configured distance
+    match: { type: String, enum: ['exact', 'similar'], required: true },
+    distance: { type: Number },
+  },
+  { _id: false }
+);
 
 const receiptSchema = new mongoose.Schema(
   {
     filename: { type: String, required: true },
-    url: { type: String, required: true },
+    // Key in the configured file storage (utils/storage)
+    storageKey: { type: String },
+    // Only on receipts stored before storage keys existed
+    url: { type: String },
+    // Type the client declared; detectedType is what the content actually is
     mimeType: { type: String, required: true },
+    detectedType: { type: String },
     size: { type: Number, required: true },
+    // Of the stored (sanitized) bytes
+    sha256: { type: String },
+    // Images only: dHash of the picture, and its bytes as 'row:hex' keys for finding near matches
+    perceptualHash: { type: String },
+    perceptualHashBands: { type: [String], default: undefined },
+    // Receipts on other bookings found to be the same slip when this one was uploaded
+    duplicateMatches: { type: [duplicateMatchSchema], default: undefined },
     uploadedAt: { type: Date, default: Date.now },
+    // Installment of the payment schedule this receipt pays
+    installmentId: { type: mongoose.Schema.Types.ObjectId },
+    // Admin review of this upload; missing on receipts uploaded before reviews were tracked
+    reviewStatus: { type: String, enum: RECEIPT_REVIEW_STATUSES },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    // Code from receiptRejectionReasons in config/bookingPolicy.js
+    rejectionReason: { type: String },
+    rejectionComment: { type: String, maxlength: 500 },
+  },
+  { _id: false }
+);
+
+const priceLineSchema = new mongoose.Schema(
+  {
+    serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service' },
+    code: { type: String },
+    name: { type: String, required: true },
+    category: { type: String },
+    priceType: { type: String, enum: ['per_pax', 'flat'] },
+    unitPrice: { type: Number, required: true },
+    quantity: { type: Number, required: true },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const cancellationSchema = new mongoose.Schema(
+  {
+    cancelledAt: { type: Date, required: true },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String },
+    previousPaymentStatus: { type: String },
+    daysBeforeEvent: { type: Number },
+    amountPaid: { type: Number, default: 0 },
+    refundPercent: { type: Number, default: 0 },
+    refundAmount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const refundSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true },
+    bankReference: { type: String, required: true },
+    proofFilename: { type: String },
+    proofKey: { type: String },
+    // Only on proofs stored before storage keys existed
+    proofUrl: { type: String },
+    proofMimeType: { type: String },
+    notes: { type: String },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    refundedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Money the customer paid above the booking total after a revision lowered it (utils/paymentSchedule.js)
+const refundDueSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true },
+    // Revision that left the booking overpaid
+    revision: { type: Number },
+    recordedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Event-day QR redemption; a booking can be checked in once
+const checkInSchema = new mongoose.Schema(
+  {
+    checkedInAt: { type: Date, required: true },
+    checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    method: { type: String, enum: ['scan', 'offline_batch'], required: true },
+    // Device clock time of an offline scan; checkedInAt is when the server accepted it
+    scannedAt: { type: Date },
+    deviceId: { type: String },
+    clientScanId: { type: String },
+  },
+  { _id: false }
+);
+
+// What the customer ordered; catalog items are stored as Service references
+const serviceDetailsSchema = new mongoose.Schema(
+  {
+    eventType: { type: String, enum: EVENT_TYPES, default: 'other' },
+    numPeople: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: MAX_PEOPLE_PER_BOOKING,
+      validate: { validator: Number.isInteger, message: 'numPeople must be a whole number' },
+    },
+    foodPackage: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
+    selectedSides: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Service' }], default: [] },
+    drink: { type: mongoose.Schema.Types.ObjectId, ref: 'Service' },
+    dessert: { type: mongoose.Schema.Types.ObjectId, ref: 'Service' },
+    specialRequests: { type: String, maxlength: 1000 },
+  },
+  { _id: false }
+);
+
+const INSTALLMENT_KINDS = ['full', 'deposit', 'balance', 'supplementary'];
+const INSTALLMENT_STATUSES = ['pending', 'receipt_submitted', 'completed', 'rejected', 'superseded'];
+
+// One payment of the booking's schedule; superseded installments were replaced after a modification
+const installmentSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: INSTALLMENT_KINDS, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    // YYYY-MM-DD in the business timezone
+    dueDate: { type: String, match: /^\d{4}-\d{2}-\d{2}$/ },
+    reason: { type: String },
+    revision: { type: Number },
+    status: {
+      type: String,
+      enum: INSTALLMENT_STATUSES,
+      default: 'pending',
+    },
+    createdAt: { type: Date, default: Date.now },
+    completedAt: { type: Date },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  }
+);
+
+// Snapshot of the booking as it was before a customer modification
+const revisionSchema = new mongoose.Schema(
+  {
+    revision: { type: Number, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    previous: {
+      scheduledDate: { type: Date },
+      serviceDetails: { type: serviceDetailsSchema },
+      legacyServiceDetails: { type: String },
+      totalAmount: { type: Number },
+      priceBreakdown: { type: [priceLineSchema], default: undefined },
+      notes: { type: String },
+    },
+    priceDelta: { type: Number, default: 0 },
+    // Set when the new total is below what the customer had already paid
+    refundDue: { type: Number },
+  },
+  { _id: false }
+);
+
+const historyChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    installmentId: { type: mongoose.Schema.Types.ObjectId },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed },
+    amount: { type: Number },
+  },
+  { _id: false }
+);
+
+// Event reminder email that went out (utils/eventReminders.js)
+const reminderSentSchema = new mongoose.Schema(
+  {
+    daysBefore: { type: Number, required: true },
+    // Event date the reminder was for, YYYY-MM-DD
+    dateKey: { type: String, required: true },
+    sentAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+// One entry of the audit trail; written by utils/bookingHistory.js on every mutation
+const historyEntrySchema = new mongoose.Schema(
+  {
+    action: { type: String, enum: HISTORY_ACTIONS, required: true },
+    at: { type: Date, default: Date.now },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actorRole: { type: String, enum: HISTORY_ACTOR_ROLES, required: true },
+    ip: { type: String },
+    reason: { type: String },
+    changes: { type: [historyChangeSchema], default: [] },
   },
   { _id: false }
 );
@@ -15,23 +224,64 @@ const bookingSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     serviceName: { type: String, required: true },
-    serviceDetails: { type: String },
+    serviceDetails: { type: serviceDetailsSchema },
+    // Pre-subdocument JSON string the migration could not convert, kept for admins to re-enter
+    legacyServiceDetails: { type: String },
     scheduledDate: { type: Date },
+    // Slot held in DailyCapacity for scheduledDate; released when the booking stops needing it
+    capacityReservation: {
+      dateKey: { type: String },
+      pax: { type: Number },
+    },
     totalAmount: { type: Number, required: true },
+    // Server-computed line items that make up totalAmount
+    priceBreakdown: { type: [priceLineSchema], default: [] },
     notes: { type: String },
     paymentStatus: {
       type: String,
-      enum: ['pending', 'receipt_submitted', 'completed', 'rejected'],
+      enum: PAYMENT_STATUSES,
       default: 'pending',
     },
+    // Fulfilment state, separate from payment; transitions are enforced in utils/bookingLifecycle.js
+    lifecycleStatus: { type: String, enum: LIFECYCLE_STATUSES },
+    lifecycleUpdatedAt: { type: Date },
     paymentCompletedAt: { type: Date },
+    // Unpaid-booking expiry (utils/bookingExpiry.js): when the customer was warned, and when it expired
+    expiryWarningSentAt: { type: Date },
+    expiredAt: { type: Date },
+    remindersSent: { type: [reminderSentSchema], default: [] },
     receiptUploads: { type: [receiptSchema], default: [] },
+    // Deposit / balance schedule; paymentStatus follows it (see utils/paymentSchedule.js)
+    installments: { type: [installmentSchema], default: [] },
+    revisions: { type: [revisionSchema], default: [] },
+    history: { type: [historyEntrySchema], default: [] },
+    cancellation: { type: cancellationSchema, default: undefined },
+    refund: { type: refundSchema, default: undefined },
+    // Overpayment still to be paid back, and overpayments already paid back, on a booking that goes ahead
+    refundDue: { type: refundDueSchema, default: undefined },
+    overpaymentRefunds: { type: [refundSchema], default: [] },
+    checkIn: { type: checkInSchema, default: undefined },
     qrCode: { type: String, unique: true, required: true },
+    qrIssuedAt: { type: Date },
+    // Set when the code was revoked without a replacement; the booking cannot be checked in
+    qrRevokedAt: { type: Date },
   },
   { timestamps: true }
 );
 
 // Create unique index for qrCode to prevent duplicates
 bookingSchema.index({ qrCode: 1 }, { unique: true });
+// Expiry sweep: unpaid bookings by age
+bookingSchema.index({ paymentStatus: 1, createdAt: 1 });
+// Duplicate receipt lookups
+bookingSchema.index({ 'receiptUploads.sha256': 1 });
+bookingSchema.index({ 'receiptUploads.perceptualHashBands': 1 });
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+Booking.EVENT_TYPES = EVENT_TYPES;
+Booking.MAX_PEOPLE_PER_BOOKING = MAX_PEOPLE_PER_BOOKING;
+Booking.INSTALLMENT_STATUSES = INSTALLMENT_STATUSES;
+Booking.RECEIPT_REVIEW_STATUSES = RECEIPT_REVIEW_STATUSES;
 
-module.exports = mongoose.model('Booking', bookingSchema);
+module.exports = Booking;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One document per calendar day (business timezone) that has bookings or a capacity override.
+// maxEvents/maxPax of null fall back to the defaults in utils/capacityUtils.js.
+const dailyCapacitySchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true, unique: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+    maxEvents: { type: Number, min: 0, default: null },
+    maxPax: { type: Number, min: 0, default: null },
+    closed: { type: Boolean, default: false },
+    note: { type: String, default: '' },
+    bookedEvents: { type: Number, min: 0, default: 0 },
+    bookedPax: { type: Number, min: 0, default: 0 },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('DailyCapacity', dailyCapacitySchema);
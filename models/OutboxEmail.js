@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+
+// One delivery attempt, kept so admins can see why an email did not go out
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: { type: Date, required: true },
+    transport: { type: String },
+    success: { type: Boolean, required: true },
+    error: { type: String },
+    messageId: { type: String },
+  },
+  { _id: false }
+);
+
+// An email waiting to be sent (or sent), delivered by utils/emailOutbox.js. The message is stored
+// rendered, so a retry or resend sends exactly what was queued.
+const outboxEmailSchema = new mongoose.Schema(
+  {
+    // Short description for logs and the admin view, e.g. "receipt approved"
+    kind: { type: String, required: true },
+    template: { type: String },
+    locale: { type: String },
+    to: { type: [String], required: true },
+    from: {
+      email: { type: String },
+      name: { type: String },
+    },
+    subject: { type: String, required: true },
+    html: { type: String },
+    text: { type: String },
+    // Extra message headers, e.g. List-Unsubscribe
+    headers: { type: mongoose.Schema.Types.Mixed },
+    // Holds a code or one-time link: the body is dropped once sent and never shown to admins
+    sensitive: { type: Boolean, default: false },
+    status: { type: String, enum: OUTBOX_STATUSES, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 8 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    // Sensitive emails only: a code that arrives later is useless, so the email fails then and its body is dropped
+    deliverBy: { type: Date },
+    // Set while a server is delivering the email; a stale lock means that server died mid-send
+    lockedAt: { type: Date },
+    lockedBy: { type: String },
+    lastError: { type: String },
+    deliveryLog: { type: [deliveryAttemptSchema], default: [] },
+    transport: { type: String },
+    messageId: { type: String },
+    sentAt: { type: Date },
+    failedAt: { type: Date },
+    resentAt: { type: Date },
+    resentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Sent emails are kept for a while for troubleshooting, then dropped by MongoDB
+    expiresAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxEmailSchema.index({ status: 1, updatedAt: -1 });
+outboxEmailSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OutboxEmail = mongoose.model('OutboxEmail', outboxEmailSchema);
+OutboxEmail.OUTBOX_STATUSES = OUTBOX_STATUSES;
+
+module.exports = OutboxEmail;
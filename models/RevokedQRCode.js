@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Booking QR codes that must no longer be accepted. Every server keeps the codes in memory
+// (see utils/qrCodeUtils.js) so scans can be rejected without a database lookup.
+const revokedQRCodeSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true },
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+    // 'cancelled' and 'expired': the booking stopped being valid, not just its code
+    reason: { type: String, enum: ['reissued', 'revoked', 'cancelled', 'expired'], required: true },
+    note: { type: String },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revokedAt: { type: Date, default: Date.now },
+    // Nobody can use the code once its event is long over; MongoDB drops the entry then
+    expiresAt: { type: Date },
+  }
+);
+
+revokedQRCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedQRCode', revokedQRCodeSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'skipped', 'failed', 'cancelled'];
+
+// Work to be done at a later time, run by utils/jobScheduler.js. Jobs live in the database so
+// they survive restarts and each one is run by exactly one server.
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true },
+    // Identifies the job for de-duplication, e.g. event_reminder:<booking>:<days>:<date>
+    key: { type: String, unique: true, sparse: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    runAt: { type: Date, required: true },
+    status: { type: String, enum: JOB_STATUSES, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    // Set while a server is running the job; a stale lock means that server died mid-job
+    lockedAt: { type: Date },
+    lockedBy: { type: String },
+    lastError: { type: String },
+    // Handler's summary, or why the job was skipped
+    result: { type: String },
+    finishedAt: { type: Date },
+    // Finished jobs are kept for a while for troubleshooting, then dropped by MongoDB
+    expiresAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+ScheduledJob.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = ScheduledJob;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Catalog entry for anything a customer can put into a booking.
+// Prices are either charged once per booking ('flat') or multiplied by headcount ('per_pax').
+const serviceSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: '' },
+    category: {
+      type: String,
+      enum: ['foodPackage', 'side', 'drink', 'dessert'],
+      required: true,
+    },
+    priceType: { type: String, enum: ['per_pax', 'flat'], default: 'per_pax' },
+    price: { type: Number, required: true, min: 0 },
+    // Headcount limits only apply to food packages
+    minPax: { type: Number, min: 1, default: 1 },
+    maxPax: { type: Number, min: 1, default: null },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+serviceSchema.index({ category: 1, isActive: 1 });
+
+module.exports = mongoose.model('Service', serviceSchema);
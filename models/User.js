@@ -1,15 +1,45 @@
 const mongoose = require('mongoose');
+const { NOTIFICATION_DEFAULTS } = require('../utils/notificationPreferences');
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   phone: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  role: { type: String, enum: ['user', 'staff', 'admin'], default: 'user' }, // staff: event-day check-in only
   isVerified: { type: Boolean, default: false },
+  // Language of the emails the user receives; one of the locales in templates/locales
+  preferredLanguage: { type: String, enum: ['en', 'ms'], default: 'en' },
+  // Optional email categories (utils/notificationPreferences.js); transactional emails are always sent
+  notificationPreferences: {
+    reminders: { type: Boolean, default: NOTIFICATION_DEFAULTS.reminders },
+    promotions: { type: Boolean, default: NOTIFICATION_DEFAULTS.promotions },
+    newsletters: { type: Boolean, default: NOTIFICATION_DEFAULTS.newsletters },
+  },
+  // Second factor: a code emailed at login, or one from an authenticator app (utils/totp.js).
+  // Admins who have enrolled an authenticator app always use it.
+  mfaMethod: { type: String, enum: ['email', 'totp'], default: 'email' },
   mfaCode: { type: String },
-  mfaExpiry: { type: Date },
+  mfaExpiry: { type: Date }, // also bounds a pending authenticator-app challenge
+  mfaFailedAttempts: { type: Number, default: 0 },
   lastMfaVerifiedAt: { type: Date },
+  // Authenticator app secrets, encrypted; the pending one waits for a code to confirm enrollment
+  totpSecret: { type: String, default: null },
+  totpEnrolledAt: { type: Date, default: null },
+  totpPendingSecret: { type: String, default: null },
+  totpPendingExpiry: { type: Date, default: null },
+  // Time step of the last accepted code, so a code can't be used twice
+  totpLastUsedStep: { type: Number, default: null },
+  // Single-use recovery codes (utils/recoveryCodes.js), stored hashed
+  mfaRecoveryCodes: {
+    type: [{
+      _id: false,
+      hash: { type: String, required: true },
+      usedAt: { type: Date, default: null },
+    }],
+    default: [],
+  },
+  mfaRecoveryCodesGeneratedAt: { type: Date, default: null },
   resetToken: { type: String, default: null },
   resetTokenExpiry: { type: Date, default: null },
   // Login lockout fields
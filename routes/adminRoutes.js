@@ -1,6 +1,47 @@
 const express = require("express");
 const User = require("../models/User");
 const Booking = require("../models/Booking");
+const Service = require("../models/Service");
+const DailyCapacity = require("../models/DailyCapacity");
+const OutboxEmail = require("../models/OutboxEmail");
+const { sanitizeText } = require("../utils/sanitize");
+const { roundCurrency } = require("../utils/pricingUtils");
+const { expandServiceDetails } = require("../utils/serviceDetailsUtils");
+const { getAvailability, describeDay } = require("../utils/capacityUtils");
+const { todayKey, toDateKey, addDaysToKey } = require("../utils/dateUtils");
+const { refundProofUpload, sanitizeUpload, storeUploadedFile, handleUploadErrors } = require("../middleware/fileUpload");
+const { getStorage } = require("../utils/storage");
+const { receiptLink, refundProofLink } = require("../utils/fileLinks");
+const { applyPaymentTransition, applyLifecycleTransition, currentLifecycleStatus, LIFECYCLE_STATUSES } = require("../utils/bookingLifecycle");
+const {
+  CANCELLED_PAYMENT_STATUSES,
+  approvedAmount,
+  outstandingBalance,
+  ensurePaymentSchedule,
+  findInstallment,
+  installmentUnderReview,
+  syncPaymentStatus,
+  setPaymentStatus,
+  describePaymentSchedule,
+} = require("../utils/paymentSchedule");
+const { invoiceMetaFor, renderBookingInvoice } = require("../utils/invoicePdf");
+const { revokeBookingQRCode, reissueBookingQRCode } = require("../utils/qrCodeUtils");
+const { historySnapshot, recordHistory, describeHistory } = require("../utils/bookingHistory");
+const {
+  findRejectionReason,
+  rejectionReasonCode,
+  describeRejection,
+  receiptAwaitingReview,
+  applyReceiptReview,
+  settleReceiptReviews,
+  describeReceipts,
+} = require("../utils/receiptReview");
+const { duplicateReceiptBookingIds } = require("../utils/receiptDuplicates");
+const { expiryDeadline } = require("../utils/bookingExpiry");
+const { notifyReceiptReviewed, installmentStatuses, notifyPaymentStatusSet } = require("../utils/bookingNotifications");
+const { receiptRejectionReasons, OTHER_REJECTION_REASON } = require("../config/bookingPolicy");
+const { EMAIL_TEMPLATES, SUPPORTED_LOCALES, DEFAULT_LOCALE, renderSampleEmail } = require("../utils/emailTemplates");
+const { resendEmail, describeOutboxEmail } = require("../utils/emailOutbox");
 const router = express.Router();
 
 // Middleware to check admin role
@@ -19,27 +60,7 @@ function normalizeBooking(booking) {
   if (!booking) return null;
   const b = booking.toObject ? booking.toObject() : booking;
 
-  let details = {};
-  if (typeof b.serviceDetails === "string") {
-    try {
-      details = JSON.parse(b.serviceDetails);
-    } catch (e) {
-      details = {};
-    }
-  } else if (typeof b.serviceDetails === "object" && b.serviceDetails !== null) {
-    details = b.serviceDetails;
-  }
-
-  const expandedDetails = {
-    eventType: details.eventType || null,
-    numPeople: details.numPeople || null,
-    foodPackage: details.foodPackage || null,
-    selectedSides: details.selectedSides || null,
-    drink: details.drink || null,
-    dessert: details.dessert || null,
-    notes: details.notes || details.specialRequests || null,
-    specialRequests: details.specialRequests || details.notes || null,
-  };
+  const expandedDetails = expandServiceDetails(b.serviceDetails, b.priceBreakdown);
 
   const userInfo = b.userId && typeof b.userId === "object" && b.userId._id
     ? {
@@ -56,7 +77,9 @@ function normalizeBooking(booking) {
     : null;
   
   const receiptFileName = latestReceipt ? latestReceipt.filename : null;
-  const receiptUrl = latestReceipt ? latestReceipt.url : null;
+  const receiptUrl = latestReceipt ? receiptLink(b, latestReceipt).url : null;
+  const refundProof = refundProofLink(b);
+  const duplicateBookingIds = duplicateReceiptBookingIds(b);
 
   return {
     id: b._id ? b._id.toString() : null,
@@ -67,23 +90,57 @@ function normalizeBooking(booking) {
     serviceDetails: expandedDetails,
     scheduledDate: b.scheduledDate,
     totalAmount: b.totalAmount,
+    priceBreakdown: b.priceBreakdown || [],
     paymentStatus: b.paymentStatus,
+    // Kept for older frontends that read the payment state as `status`
     status: b.paymentStatus,
+    lifecycleStatus: currentLifecycleStatus(b),
+    lifecycleUpdatedAt: b.lifecycleUpdatedAt || null,
+    expiresAt: expiryDeadline(b),
+    expiryWarningSentAt: b.expiryWarningSentAt || null,
+    expiredAt: b.expiredAt || null,
     notes: b.notes,
-    receiptUploads: b.receiptUploads || [],
+    receiptUploads: describeReceipts(b, { includeDuplicates: true }),
+    // Other bookings with the same (or a near-identical) receipt; reviewers should check these
+    duplicateReceiptBookingIds: duplicateBookingIds,
+    hasDuplicateReceipt: duplicateBookingIds.length > 0,
     receiptFileName: receiptFileName,
     receiptUrl: receiptUrl,
     qrCode: b.qrCode,
+    qrIssuedAt: b.qrIssuedAt || null,
+    qrRevokedAt: b.qrRevokedAt || null,
     paymentCompletedAt: b.paymentCompletedAt,
+    paymentSchedule: describePaymentSchedule(b),
+    amountPaid: approvedAmount(b),
+    outstandingAmount: outstandingBalance(b),
+    revisions: b.revisions || [],
+    cancellation: b.cancellation || null,
+    refund: b.refund ? { ...b.refund, proofUrl: refundProof ? refundProof.url : null } : null,
+    refundDue: b.refundDue || null,
+    overpaymentRefunds: (b.overpaymentRefunds || []).map((refund) => {
+      const proof = refundProofLink(b, refund);
+      return { ...refund, proofUrl: proof ? proof.url : null };
+    }),
+    checkIn: b.checkIn || null,
     createdAt: b.createdAt,
     updatedAt: b.updatedAt,
   };
 }
 
+// 409 for moves the booking state machine does not allow
+function sendTransitionError(res, error) {
+  return res.status(409).json({
+    message: error.message,
+    errorCode: error.errorCode,
+    currentStatus: error.from,
+    allowed: error.allowed,
+  });
+}
+
 // Get all users (exclude sensitive info)
 router.get("/users", verifyAdmin, async (req, res) => {
   try {
-    const users = await User.find({}, "-password -mfaCode -mfaExpiry");
+    const users = await User.find({}, "-password -mfaCode -mfaExpiry -totpSecret -totpPendingSecret -mfaRecoveryCodes");
     res.json({ users });
   } catch (error) {
     console.error("Error fetching users:", error);
@@ -91,21 +148,79 @@ router.get("/users", verifyAdmin, async (req, res) => {
   }
 });
 
+// Change a user's role (e.g. give venue staff access to QR check-in)
+router.put("/users/:id/role", verifyAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+  const roles = User.schema.path("role").enumValues;
+
+  if (!roles.includes(role)) {
+    return res.status(400).json({ message: `role must be one of: ${roles.join(", ")}` });
+  }
+  if (id === req.user.userId && role !== "admin") {
+    return res.status(400).json({ message: "You cannot remove your own admin access" });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(id, { role }, { new: true, runValidators: true })
+      .select("-password -mfaCode -mfaExpiry -totpSecret -totpPendingSecret -mfaRecoveryCodes");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    console.log(`Admin ${req.user.userId} set role of user ${id} to ${role}`);
+    res.json({ message: "Role updated. It takes effect the next time the user signs in.", user });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+    console.error("Error updating user role:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Cancelled bookings waiting for their refund, and bookings a revision left overpaid
+const REFUND_QUEUE_FILTER = {
+  $or: [
+    { paymentStatus: "refund_pending" },
+    { "refundDue.amount": { $gt: 0 } },
+  ],
+};
+
+// Bookings with a receipt waiting for review (legacy bookings only have the booking-level status)
+const RECEIPT_QUEUE_FILTER = {
+  $or: [
+    { paymentStatus: "receipt_submitted" },
+    { "installments.status": "receipt_submitted" },
+  ],
+};
+
 // Get dashboard statistics
 router.get("/stats", verifyAdmin, async (req, res) => {
   try {
     const totalBookings = await Booking.countDocuments();
-    const pendingReceipts = await Booking.countDocuments({ paymentStatus: "receipt_submitted" });
+    const pendingReceipts = await Booking.countDocuments(RECEIPT_QUEUE_FILTER);
     const completedBookings = await Booking.countDocuments({ paymentStatus: "completed" });
+    const partiallyPaidBookings = await Booking.countDocuments({ paymentStatus: "partially_paid" });
     const pendingBookings = await Booking.countDocuments({ paymentStatus: "pending" });
+    const pendingRefunds = await Booking.countDocuments(REFUND_QUEUE_FILTER);
     const totalUsers = await User.countDocuments({ role: "user" });
+    const failedEmails = await OutboxEmail.countDocuments({ status: "failed" });
 
-    // Calculate total revenue from completed bookings
+    // Calculate total revenue from approved installments of bookings that are still going ahead
     const revenueResult = await Booking.aggregate([
-      { $match: { paymentStatus: "completed" } },
+      { $match: { paymentStatus: { $in: ["completed", "partially_paid"] } } },
+      { $unwind: "$installments" },
+      { $match: { "installments.status": "completed" } },
+      { $group: { _id: null, total: { $sum: "$installments.amount" } } }
+    ]);
+    // Bookings paid before payment schedules existed have no installments
+    const legacyRevenueResult = await Booking.aggregate([
+      { $match: { paymentStatus: "completed", "installments.0": { $exists: false } } },
       { $group: { _id: null, total: { $sum: "$totalAmount" } } }
     ]);
-    const totalRevenue = revenueResult.length > 0 ? revenueResult[0].total : 0;
+    const totalRevenue = (revenueResult.length > 0 ? revenueResult[0].total : 0)
+      + (legacyRevenueResult.length > 0 ? legacyRevenueResult[0].total : 0);
 
     res.json({
       stats: {
@@ -113,8 +228,11 @@ router.get("/stats", verifyAdmin, async (req, res) => {
         pendingReceipts,
         completedBookings,
         pendingBookings,
+        partiallyPaidBookings,
+        pendingRefunds,
         totalUsers,
-        totalRevenue
+        totalRevenue,
+        failedEmails
       }
     });
   } catch (error) {
@@ -126,7 +244,7 @@ router.get("/stats", verifyAdmin, async (req, res) => {
 // Get bookings for receipt review queue (only bookings with receipts submitted)
 router.get("/bookings/receipt-queue", verifyAdmin, async (req, res) => {
   try {
-    const bookings = await Booking.find({ paymentStatus: "receipt_submitted" })
+    const bookings = await Booking.find(RECEIPT_QUEUE_FILTER)
       .populate("userId", "name email phone")
       .sort({ createdAt: -1 });
 
@@ -138,6 +256,21 @@ router.get("/bookings/receipt-queue", verifyAdmin, async (req, res) => {
   }
 });
 
+// Get bookings with a refund to be paid out (cancelled, or overpaid after a revision)
+router.get("/bookings/refund-queue", verifyAdmin, async (req, res) => {
+  try {
+    const bookings = await Booking.find(REFUND_QUEUE_FILTER)
+      .populate("userId", "name email phone")
+      .sort({ "cancellation.cancelledAt": 1, "refundDue.recordedAt": 1 });
+
+    const data = bookings.map(normalizeBooking);
+    res.json({ bookings: data });
+  } catch (error) {
+    console.error("Error fetching refund queue:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
 // Get all bookings for history view (completed or pending)
 router.get("/bookings/history", verifyAdmin, async (req, res) => {
   try {
@@ -197,26 +330,169 @@ router.put("/bookings/:id/payment", verifyAdmin, async (req, res) => {
     const booking = await Booking.findById(id).populate("userId", "name email phone");
     if (!booking) return res.status(404).json({ message: "Booking not found" });
 
-    booking.paymentStatus = paymentStatus;
-
-    if (paymentStatus === "completed") {
-      booking.paymentCompletedAt = new Date();
-    } else {
-      booking.paymentCompletedAt = undefined;
-    }
-
+    const before = historySnapshot(booking);
+    const previousStatuses = installmentStatuses(booking);
+    setPaymentStatus(booking, paymentStatus, "admin", req.user.userId);
+    settleReceiptReviews(booking, req.user.userId);
+    recordHistory(booking, before, { action: "payment_status_changed", req });
     await booking.save();
+    notifyPaymentStatusSet(booking, previousStatuses);
 
     res.json({ message: "Payment status updated", booking: normalizeBooking(booking) });
   } catch (error) {
+    if (error.isTransitionError) return sendTransitionError(res, error);
     console.error("admin update booking error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// Reasons an admin can pick when rejecting a receipt
+router.get("/receipt-rejection-reasons", verifyAdmin, (req, res) => {
+  res.json({ reasons: receiptRejectionReasons });
+});
+
+// Email templates that can be previewed, and the languages they come in
+router.get("/email-templates", verifyAdmin, (req, res) => {
+  res.json({
+    templates: Object.keys(EMAIL_TEMPLATES),
+    locales: SUPPORTED_LOCALES,
+    defaultLocale: DEFAULT_LOCALE
+  });
+});
+
+/**
+ * Render an email template with sample data. ?locale=en|ms, ?format=html (default) | text | json;
+ * json returns the subject and both bodies.
+ */
+router.get("/email-templates/:name/preview", verifyAdmin, (req, res) => {
+  const { name } = req.params;
+  const { locale, format = "html" } = req.query;
+
+  if (!Object.prototype.hasOwnProperty.call(EMAIL_TEMPLATES, name)) {
+    return res.status(404).json({ message: "Email template not found" });
+  }
+  if (locale !== undefined && !SUPPORTED_LOCALES.includes(locale)) {
+    return res.status(400).json({ message: `locale must be one of: ${SUPPORTED_LOCALES.join(", ")}` });
+  }
+  if (!["html", "text", "json"].includes(format)) {
+    return res.status(400).json({ message: "format must be one of: html, text, json" });
+  }
+
+  try {
+    const email = renderSampleEmail(name, locale);
+    res.set("Cache-Control", "no-store");
+    if (format === "json") {
+      return res.json({ template: name, ...email });
+    }
+    res.type(format === "text" ? "text/plain" : "text/html").send(format === "text" ? email.text : email.html);
+  } catch (error) {
+    console.error("Error rendering email template preview:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+/**
+ * Approve or reject the receipt on one installment. Without an installment id the oldest
+ * receipt under review is used, which is what the original single-payment screens expect.
+ * Rejecting needs a reasonCode from the configured list; `comment` (or `reason`) adds detail.
+ * A comment without a reasonCode is recorded as reason "other".
+ */
+async function reviewInstallment(req, res, decision) {
+  const { id, installmentId } = req.params;
+  const rawComment = req.body && (req.body.comment !== undefined ? req.body.comment : req.body.reason);
+  const comment = rawComment ? sanitizeText(String(rawComment)).slice(0, 500) : undefined;
+  const reasonCode = rejectionReasonCode(req.body && req.body.reasonCode, comment);
+
+  if (decision === "reject" && !findRejectionReason(reasonCode)) {
+    return res.status(400).json({
+      message: `reasonCode must be one of: ${receiptRejectionReasons.map(r => r.code).join(", ")}, or give a reason`,
+      reasons: receiptRejectionReasons
+    });
+  }
+  if (decision === "reject" && reasonCode === OTHER_REJECTION_REASON.code && !comment) {
+    return res.status(400).json({ message: "A comment explaining the reason is required with reasonCode other" });
+  }
+
+  try {
+    const booking = await Booking.findById(id).populate("userId", "name email phone");
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+
+    ensurePaymentSchedule(booking);
+    const installment = installmentId ? findInstallment(booking, installmentId) : installmentUnderReview(booking);
+    if (installmentId && !installment) {
+      return res.status(404).json({ message: "Installment not found" });
+    }
+
+    if (!installment || installment.status !== "receipt_submitted") {
+      return res.status(400).json({
+        message: `Can only ${decision === "approve" ? "approve" : "reject"} installments with receipt_submitted status`,
+        currentStatus: installment ? installment.status : booking.paymentStatus
+      });
+    }
+
+    const before = historySnapshot(booking);
+    const receipt = receiptAwaitingReview(booking, installment);
+    if (decision === "approve") {
+      installment.status = "completed";
+      installment.completedAt = new Date();
+      installment.approvedBy = req.user.userId;
+      if (receipt) applyReceiptReview(receipt, "accept", { reviewerId: req.user.userId });
+    } else {
+      installment.status = "rejected";
+      if (receipt) applyReceiptReview(receipt, "reject", { reviewerId: req.user.userId, reasonCode, comment });
+    }
+
+    const rejection = decision === "reject" ? describeRejection(reasonCode, comment) : undefined;
+    syncPaymentStatus(booking, "admin");
+    recordHistory(booking, before, {
+      action: decision === "approve" ? "installment_approved" : "installment_rejected",
+      req,
+      reason: rejection ? [rejection.reason, rejection.comment].filter(Boolean).join(": ") : undefined
+    });
+    await booking.save();
+    notifyReceiptReviewed(booking, installment, decision, rejection);
+
+    if (decision === "approve") {
+      console.log(`Admin approved ${installment.kind} installment ${installment._id} on booking ${id} for user ${booking.userId.email}`);
+    } else {
+      console.log(`Admin rejected ${installment.kind} installment ${installment._id} on booking ${id} for user ${booking.userId.email}. Reason: ${reasonCode}${comment ? ` (${comment})` : ""}`);
+    }
+
+    res.json({
+      message: decision === "approve" ? "Receipt approved successfully" : "Receipt rejected successfully",
+      installmentId: installment._id.toString(),
+      receipt: receipt ? describeReceipts(booking, { includeDuplicates: true }).find(r => r.filename === receipt.filename) : null,
+      booking: normalizeBooking(booking)
+    });
+  } catch (error) {
+    if (error.isTransitionError) return sendTransitionError(res, error);
+    console.error(`Error ${decision === "approve" ? "approving" : "rejecting"} receipt:`, error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+}
+
 // Approve receipt (shortcut endpoint)
-router.post("/bookings/:id/approve", verifyAdmin, async (req, res) => {
+router.post("/bookings/:id/approve", verifyAdmin, (req, res) => reviewInstallment(req, res, "approve"));
+
+// Reject receipt (installment goes back to the customer to pay again)
+router.post("/bookings/:id/reject", verifyAdmin, (req, res) => reviewInstallment(req, res, "reject"));
+
+// Approve / reject the receipt on a specific installment of the payment schedule
+router.post("/bookings/:id/installments/:installmentId/approve", verifyAdmin, (req, res) => reviewInstallment(req, res, "approve"));
+router.post("/bookings/:id/installments/:installmentId/reject", verifyAdmin, (req, res) => reviewInstallment(req, res, "reject"));
+
+// Move a booking through fulfilment (confirmed -> in_preparation -> delivered / no_show -> closed)
+router.put("/bookings/:id/lifecycle", verifyAdmin, async (req, res) => {
   const { id } = req.params;
+  const status = typeof req.body.status === "string" ? req.body.status.toLowerCase().replace(/-/g, "_") : null;
+
+  if (!status || !LIFECYCLE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      message: `status must be one of: ${LIFECYCLE_STATUSES.join(", ")}`,
+    });
+  }
 
   try {
     const booking = await Booking.findById(id).populate("userId", "name email phone");
@@ -224,33 +500,191 @@ router.post("/bookings/:id/approve", verifyAdmin, async (req, res) => {
       return res.status(404).json({ message: "Booking not found" });
     }
 
-    if (booking.paymentStatus !== "receipt_submitted") {
-      return res.status(400).json({ 
-        message: "Can only approve bookings with receipt_submitted status",
-        currentStatus: booking.paymentStatus 
-      });
+    // Cancelling has refund and capacity side effects; it goes through the cancellation flow
+    if (status === "cancelled" && currentLifecycleStatus(booking) !== "cancelled") {
+      return res.status(400).json({ message: "Use the booking cancellation endpoint to cancel a booking" });
     }
 
-    booking.paymentStatus = "completed";
-    booking.paymentCompletedAt = new Date();
+    const before = historySnapshot(booking);
+    const { from } = applyLifecycleTransition(booking, status, "admin");
+    recordHistory(booking, before, { action: "lifecycle_changed", req });
     await booking.save();
 
-    console.log(`Admin approved booking ${id} for user ${booking.userId.email}`);
+    console.log(`Admin moved booking ${id} from ${from} to ${status}`);
+
+    res.json({ message: "Booking status updated", booking: normalizeBooking(booking) });
+  } catch (error) {
+    if (error.isTransitionError) return sendTransitionError(res, error);
+    console.error("Error updating booking lifecycle:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// ===== SERVICE CATALOG =====
 
-    res.json({ 
-      message: "Receipt approved successfully", 
-      booking: normalizeBooking(booking) 
+const SERVICE_FIELDS = ["code", "name", "description", "category", "priceType", "price", "minPax", "maxPax", "isActive"];
+
+// Pick the editable catalog fields from a request body
+function pickServiceFields(body = {}) {
+  const data = {};
+  SERVICE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (data.name !== undefined) data.name = sanitizeText(data.name);
+  if (data.description !== undefined) data.description = sanitizeText(data.description);
+  return data;
+}
+
+// List catalog entries (including inactive ones)
+router.get("/services", verifyAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.category) filter.category = req.query.category;
+    const services = await Service.find(filter).sort({ category: 1, name: 1 });
+    res.json({ services });
+  } catch (error) {
+    console.error("Error fetching services:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Create a catalog entry
+router.post("/services", verifyAdmin, async (req, res) => {
+  try {
+    const service = await Service.create(pickServiceFields(req.body));
+    console.log(`Admin created service ${service.code} (${service.category})`);
+    res.status(201).json({ message: "Service created", service });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "A service with this code already exists" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error creating service:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Update a catalog entry (existing bookings keep the price they were booked at)
+router.put("/services/:id", verifyAdmin, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const service = await Service.findByIdAndUpdate(id, pickServiceFields(req.body), {
+      new: true,
+      runValidators: true,
     });
+    if (!service) return res.status(404).json({ message: "Service not found" });
+
+    res.json({ message: "Service updated", service });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "A service with this code already exists" });
+    }
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error updating service:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Retire a catalog entry; it is deactivated rather than removed so past bookings still resolve
+router.delete("/services/:id", verifyAdmin, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const service = await Service.findByIdAndUpdate(id, { isActive: false }, { new: true });
+    if (!service) return res.status(404).json({ message: "Service not found" });
+
+    res.json({ message: "Service deactivated", service });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid service ID" });
+    }
+    console.error("Error deactivating service:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// ===== DAILY CAPACITY =====
+
+// Capacity calendar including booked counts (defaults to the next 30 days)
+router.get("/capacity", verifyAdmin, async (req, res) => {
+  const from = req.query.from ? toDateKey(req.query.from) : todayKey();
+  const to = req.query.to ? toDateKey(req.query.to) : from && addDaysToKey(from, 30);
+  if (!from || !to) {
+    return res.status(400).json({ message: "from and to must be valid dates (YYYY-MM-DD)" });
+  }
+
+  try {
+    const days = await getAvailability(from, to);
+    res.json({ days });
   } catch (error) {
-    console.error("Error approving receipt:", error);
+    if (error.isCapacityError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error fetching capacity:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
 
-// Reject receipt (set back to pending)
-router.post("/bookings/:id/reject", verifyAdmin, async (req, res) => {
+// Override capacity for a single day (null limits fall back to the defaults)
+router.put("/capacity/:date", verifyAdmin, async (req, res) => {
+  const { date } = req.params;
+  if (toDateKey(date) !== date) {
+    return res.status(400).json({ message: "Date must be a valid date in YYYY-MM-DD format" });
+  }
+
+  const update = {};
+  for (const field of ["maxEvents", "maxPax"]) {
+    if (req.body[field] === undefined) continue;
+    if (req.body[field] === null) {
+      update[field] = null;
+      continue;
+    }
+    const value = req.body[field] === "" ? NaN : Number(req.body[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      return res.status(400).json({ message: `${field} must be a whole number of 0 or more, or null` });
+    }
+    update[field] = value;
+  }
+  if (req.body.closed !== undefined) update.closed = !!req.body.closed;
+  if (req.body.note !== undefined) update.note = sanitizeText(req.body.note);
+
+  if (Object.keys(update).length === 0) {
+    return res.status(400).json({ message: "Provide maxEvents, maxPax, closed or note" });
+  }
+
+  try {
+    const day = await DailyCapacity.findOneAndUpdate(
+      { date },
+      { $set: update, $setOnInsert: { date } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    console.log(`Admin updated capacity for ${date}:`, update);
+    res.json({ message: "Capacity updated", day: { ...describeDay(date, day), note: day.note } });
+  } catch (error) {
+    console.error("Error updating capacity:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Record a refund paid out for a cancelled booking, or for an overpayment left by a revision
+// (optional "proof" file upload)
+router.post("/bookings/:id/refund", verifyAdmin, refundProofUpload.single("proof"), sanitizeUpload, async (req, res) => {
   const { id } = req.params;
-  const { reason } = req.body;
+  const { amount, bankReference, notes } = req.body;
+  const refundAmount = Number(amount);
+
+  if (Number.isNaN(refundAmount) || refundAmount <= 0) {
+    return res.status(400).json({ message: "A refund amount greater than 0 is required" });
+  }
+  if (!bankReference || !sanitizeText(bankReference)) {
+    return res.status(400).json({ message: "Bank reference is required" });
+  }
 
   try {
     const booking = await Booking.findById(id).populate("userId", "name email phone");
@@ -258,33 +692,210 @@ router.post("/bookings/:id/reject", verifyAdmin, async (req, res) => {
       return res.status(404).json({ message: "Booking not found" });
     }
 
-    if (booking.paymentStatus !== "receipt_submitted") {
-      return res.status(400).json({ 
-        message: "Can only reject bookings with receipt_submitted status",
-        currentStatus: booking.paymentStatus 
+    const overpaid = booking.paymentStatus !== "refund_pending" && !!booking.refundDue && booking.refundDue.amount > 0;
+    if (booking.paymentStatus !== "refund_pending" && !overpaid) {
+      return res.status(400).json({
+        message: "Can only record refunds for bookings with refund_pending status or an overpayment to pay back",
+        currentStatus: booking.paymentStatus
       });
     }
 
-    booking.paymentStatus = "pending";
-    booking.paymentCompletedAt = undefined;
-    
-    // Optional: Add rejection reason to notes if provided
-    if (reason) {
-      booking.notes = booking.notes 
-        ? `${booking.notes}\n\nAdmin rejection reason: ${reason}` 
-        : `Admin rejection reason: ${reason}`;
+    if (overpaid && refundAmount > booking.refundDue.amount) {
+      return res.status(400).json({
+        message: "Refund amount cannot exceed the overpayment",
+        refundDue: booking.refundDue.amount
+      });
+    }
+    const amountPaid = booking.cancellation ? booking.cancellation.amountPaid : booking.totalAmount;
+    if (!overpaid && refundAmount > amountPaid) {
+      return res.status(400).json({
+        message: "Refund amount cannot exceed the amount paid",
+        amountPaid
+      });
+    }
+
+    const proof = req.file ? await storeUploadedFile("refunds", req.file) : null;
+
+    const before = historySnapshot(booking);
+    const refund = {
+      amount: refundAmount,
+      bankReference: sanitizeText(bankReference),
+      proofFilename: proof ? proof.filename : undefined,
+      proofKey: proof ? proof.key : undefined,
+      proofMimeType: req.file ? req.file.detectedType : undefined,
+      notes: notes ? sanitizeText(notes) : undefined,
+      recordedBy: req.user.userId,
+      refundedAt: new Date(),
+    };
+    try {
+      if (overpaid) {
+        // The booking goes ahead; only the overpayment (or part of it) is paid back
+        booking.overpaymentRefunds.push(refund);
+        const left = roundCurrency(booking.refundDue.amount - refundAmount);
+        booking.refundDue = left > 0
+          ? { amount: left, revision: booking.refundDue.revision, recordedAt: booking.refundDue.recordedAt }
+          : undefined;
+      } else {
+        booking.refund = refund;
+        applyPaymentTransition(booking, "refunded", "admin");
+      }
+      recordHistory(booking, before, { action: "refund_recorded", req, reason: `Bank reference ${refund.bankReference}` });
+      await booking.save();
+    } catch (saveError) {
+      // Don't leave an orphaned proof file behind
+      if (proof) {
+        await getStorage().delete(proof.key).catch((deleteError) => {
+          console.error(`Failed to delete refund proof ${proof.key} after save error:`, deleteError.message);
+        });
+      }
+      throw saveError;
+    }
+
+    console.log(`Admin recorded ${overpaid ? "overpayment " : ""}refund of ${refundAmount} for booking ${id} (ref ${refund.bankReference})`);
+
+    res.json({
+      message: "Refund recorded successfully",
+      booking: normalizeBooking(booking)
+    });
+  } catch (error) {
+    if (error.isTransitionError) return sendTransitionError(res, error);
+    console.error("Error recording refund:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Invoice / official receipt PDF for any booking
+router.get("/bookings/:id/invoice.pdf", verifyAdmin, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const booking = await Booking.findById(id).populate("userId", "name email phone");
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+
+    const meta = invoiceMetaFor(booking);
+    const pdf = await renderBookingInvoice(booking, booking.userId);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Length": pdf.length,
+      "Content-Disposition": `inline; filename="${meta.number}.pdf"`,
+      "Cache-Control": "private, no-store"
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error("Error generating invoice:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Revoke a booking's QR code without replacing it (e.g. reported stolen); scanners reject it
+router.post("/bookings/:id/qr/revoke", verifyAdmin, async (req, res) => {
+  const { id } = req.params;
+  const note = req.body && req.body.reason ? sanitizeText(String(req.body.reason)) : undefined;
+
+  try {
+    const booking = await Booking.findById(id).populate("userId", "name email phone");
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+    if (booking.qrRevokedAt) {
+      return res.status(400).json({ message: "QR code is already revoked" });
+    }
+    if (booking.checkIn) {
+      return res.status(400).json({ message: "Booking has already been checked in" });
     }
 
+    const before = historySnapshot(booking);
+    await revokeBookingQRCode(booking, { revokedBy: req.user.userId, note });
+    recordHistory(booking, before, { action: "qr_revoked", req, reason: note });
     await booking.save();
 
-    console.log(`Admin rejected booking ${id} for user ${booking.userId.email}. Reason: ${reason || 'None provided'}`);
+    console.log(`Admin revoked the QR code of booking ${id}`);
 
-    res.json({ 
-      message: "Receipt rejected successfully", 
-      booking: normalizeBooking(booking) 
+    res.json({
+      message: "QR code revoked",
+      booking: normalizeBooking(booking)
     });
   } catch (error) {
-    console.error("Error rejecting receipt:", error);
+    console.error("Error revoking QR code:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Give a booking a new QR code; the old one (revoked or not) stops working
+router.post("/bookings/:id/qr/reissue", verifyAdmin, async (req, res) => {
+  const { id } = req.params;
+  const note = req.body && req.body.reason ? sanitizeText(String(req.body.reason)) : undefined;
+
+  try {
+    const booking = await Booking.findById(id).populate("userId", "name email phone");
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+    if (booking.checkIn) {
+      return res.status(400).json({ message: "Booking has already been checked in" });
+    }
+    // Its code is on the revocation list; a fresh one would not be
+    if (CANCELLED_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+      return res.status(400).json({ message: "Cannot reissue the QR code of a cancelled or expired booking" });
+    }
+
+    const before = historySnapshot(booking);
+    await reissueBookingQRCode(booking, { revokedBy: req.user.userId, note });
+    recordHistory(booking, before, { action: "qr_reissued", req, reason: note });
+    await booking.save();
+
+    console.log(`Admin reissued the QR code of booking ${id}`);
+
+    res.json({
+      message: "New QR code issued",
+      booking: normalizeBooking(booking)
+    });
+  } catch (error) {
+    console.error("Error reissuing QR code:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Audit trail of a booking: every change, who made it and from where, oldest first
+router.get("/bookings/:id/history", verifyAdmin, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const booking = await Booking.findById(id, "history paymentStatus lifecycleStatus")
+      .populate("history.actorId", "name email");
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+
+    res.json({ bookingId: booking._id.toString(), history: describeHistory(booking) });
+  } catch (error) {
+    console.error("Error fetching booking history:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Fresh signed link to a receipt, for when the one in the booking response has expired
+router.get("/bookings/:id/receipts/:filename/link", verifyAdmin, async (req, res) => {
+  const { id, filename } = req.params;
+
+  try {
+    const booking = await Booking.findById(id, "receiptUploads");
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+
+    const receipt = booking.receiptUploads.find(r => r.filename === filename);
+    if (!receipt) {
+      return res.status(404).json({ message: "Receipt not found" });
+    }
+
+    const { url, expiresAt } = receiptLink(booking, receipt);
+    res.json({ url, expiresAt });
+  } catch (error) {
+    console.error("Error creating receipt link:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
@@ -307,4 +918,64 @@ router.get("/bookings/:id", verifyAdmin, async (req, res) => {
   }
 });
 
+// Email outbox: failed deliveries by default; ?status=pending|sending|sent|failed|cancelled|all
+router.get("/emails", verifyAdmin, async (req, res) => {
+  const { status = "failed" } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+  if (status !== "all" && !OutboxEmail.OUTBOX_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `status must be "all" or one of: ${OutboxEmail.OUTBOX_STATUSES.join(", ")}` });
+  }
+
+  try {
+    const emails = await OutboxEmail.find(status === "all" ? {} : { status }, "-html -text")
+      .sort({ updatedAt: -1 })
+      .limit(limit);
+    res.json({ emails: emails.map(email => describeOutboxEmail(email)) });
+  } catch (error) {
+    console.error("Error fetching outbox emails:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// One outbox email with its delivery log and body (unless it held a code or one-time link)
+router.get("/emails/:id", verifyAdmin, async (req, res) => {
+  try {
+    const email = await OutboxEmail.findById(req.params.id);
+    if (!email) {
+      return res.status(404).json({ message: "Email not found" });
+    }
+    res.json({ email: describeOutboxEmail(email, { includeBody: true }) });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid email id" });
+    }
+    console.error("Error fetching outbox email:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Try a failed email again
+router.post("/emails/:id/resend", verifyAdmin, async (req, res) => {
+  try {
+    const email = await resendEmail(req.params.id, req.user.userId);
+    if (!email) {
+      return res.status(404).json({ message: "Email not found" });
+    }
+    res.json({ message: "Email queued for delivery", email: describeOutboxEmail(email) });
+  } catch (error) {
+    if (error.isResendRejected) {
+      return res.status(409).json({ message: error.message });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid email id" });
+    }
+    console.error("Error resending email:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Multer/file validation errors bubble here
+router.use(handleUploadErrors);
+
 module.exports = router;
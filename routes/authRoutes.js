@@ -2,23 +2,163 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const QRCode = require('qrcode');
 const User = require('../models/User');
-const { sendVerificationEmail, sendMfaEmail, sendPasswordResetEmail } = require('../utils/emailUtils');
+const {
+  sendVerificationEmail,
+  sendMfaEmail,
+  sendPasswordResetEmail,
+  sendRecoveryCodeUsedEmail,
+} = require('../utils/emailUtils');
 const LoginAttempt = require('../models/LoginAttempt');
 const BlockedIp = require('../models/BlockedIp');
 const authenticateJWT = require('../middleware/authenticateJWT');
 const checkIpBlock = require('../middleware/checkIpBlock');
 const { verifyRecaptcha } = require('../utils/recaptchaUtils');
+const { SUPPORTED_LOCALES, resolveLocale, localeFromRequest, renderPage } = require('../utils/emailTemplates');
+const {
+  NOTIFICATION_CATEGORIES,
+  describeNotificationPreferences,
+  verifyUnsubscribeToken,
+} = require('../utils/notificationPreferences');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  otpauthUri,
+  encryptTotpSecret,
+  decryptTotpSecret,
+} = require('../utils/totp');
+const {
+  looksLikeRecoveryCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  remainingRecoveryCodes,
+} = require('../utils/recoveryCodes');
+const { businessProfile } = require('../config/businessProfile');
 
 const router = express.Router();
 
+const MFA_METHODS = ['email', 'totp'];
+// Wrong codes allowed per login before the password has to be entered again
+const MFA_MAX_FAILED_ATTEMPTS = 5;
+const TOTP_CHALLENGE_MINUTES = 10;
+const TOTP_ENROLLMENT_MINUTES = 15;
+
+// The second factor a user has to pass at login. Admins with an authenticator app always use it;
+// everyone else uses the method they chose, once it's set up.
+const mfaMethodFor = (user) => {
+  if (!user.totpSecret) return 'email';
+  return user.role === 'admin' ? 'totp' : user.mfaMethod;
+};
+
+const describeMfa = (user) => ({
+  method: mfaMethodFor(user),
+  totpEnrolled: Boolean(user.totpSecret),
+  totpEnrolledAt: user.totpEnrolledAt || null,
+  emailAllowed: !(user.role === 'admin' && user.totpSecret),
+  recoveryCodesRemaining: remainingRecoveryCodes(user),
+  recoveryCodesGeneratedAt: user.mfaRecoveryCodesGeneratedAt || null,
+});
+
+// Recovery codes are single-use; claim one atomically so a concurrent request can't use it too.
+// Resolves to when it was used, or null when it isn't an unused code of this user.
+const claimRecoveryCode = async (user, hash) => {
+  const usedAt = new Date();
+  const claimed = await User.updateOne(
+    { _id: user._id, mfaRecoveryCodes: { $elemMatch: { hash, usedAt: null } } },
+    { $set: { 'mfaRecoveryCodes.$.usedAt': usedAt } }
+  );
+  if (claimed.modifiedCount === 0) return null;
+  user.mfaRecoveryCodes.find(entry => entry.hash === hash).usedAt = usedAt;
+  return usedAt;
+};
+
+// Email the user whenever one of their recovery codes is used; a failure is logged, not thrown
+const notifyRecoveryCodeUsed = async (user, usedAt, device) => {
+  try {
+    await sendRecoveryCodeUsedEmail(user.email, {
+      locale: user.preferredLanguage,
+      name: user.name,
+      usedAt,
+      remaining: remainingRecoveryCodes(user),
+      device,
+    });
+  } catch (emailError) {
+    console.error('Recovery code notification error:', emailError);
+  }
+};
+
+// Re-authentication for changes to a user's second factor, so a stolen session token alone can't
+// replace it: the password, a code from the authenticator app already enrolled, or a recovery
+// code. Resolves to how the user confirmed, or null. Nothing is used up here: an app code is marked
+// used on the user, and a recovery code is claimed by saveConfirmedChange once the change is saved.
+const confirmIdentity = async (user, { password, currentCode, recoveryCode } = {}) => {
+  if (password && await bcrypt.compare(String(password), user.password)) return { method: 'password' };
+  if (recoveryCode && looksLikeRecoveryCode(recoveryCode)) {
+    const hash = hashRecoveryCode(recoveryCode);
+    if ((user.mfaRecoveryCodes || []).some(entry => entry.hash === hash && !entry.usedAt)) {
+      return { method: 'recovery_code', recoveryCodeHash: hash };
+    }
+  }
+  if (currentCode && user.totpSecret) {
+    const step = verifyTotp(decryptTotpSecret(user.totpSecret), String(currentCode).trim(), {
+      afterStep: user.totpLastUsedStep ?? -1,
+    });
+    if (step !== null) {
+      user.totpLastUsedStep = step;
+      return { method: 'totp' };
+    }
+  }
+  return null;
+};
+
+// Save a change confirmed with confirmIdentity. A recovery code is used up only here: the save goes
+// through only while the code is still unused, so two requests can't both use it, and the user is
+// emailed. Resolves to false when the code was used in the meantime (nothing is saved then).
+const saveConfirmedChange = async (user, confirmation, device) => {
+  const hash = confirmation.recoveryCodeHash;
+  if (!hash) {
+    await user.save({ validateBeforeSave: false });
+    return true;
+  }
+
+  const usedAt = new Date();
+  // Missing when the change replaced the whole set of codes
+  const entry = user.mfaRecoveryCodes.find(code => code.hash === hash);
+  if (entry) entry.usedAt = usedAt;
+  user.$where = { mfaRecoveryCodes: { $elemMatch: { hash, usedAt: null } } };
+  try {
+    await user.save({ validateBeforeSave: false });
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') return false;
+    throw error;
+  }
+  await notifyRecoveryCodeUsed(user, usedAt, device);
+  return true;
+};
+
+const reauthMessage = user => (user.totpSecret
+  ? 'Confirm with your password, a code from your current authenticator app, or a recovery code.'
+  : 'Confirm with your password or a recovery code.');
+
+// Replace a user's recovery codes with a new set; returns the codes to show them, once
+const issueRecoveryCodes = (user) => {
+  const { codes, entries } = generateRecoveryCodes();
+  user.mfaRecoveryCodes = entries;
+  user.mfaRecoveryCodesGeneratedAt = new Date();
+  return codes;
+};
+
 // User Registration Route
 router.post('/register', async (req, res) => {
-  const { name, phone, email, password } = req.body;
+  const { name, phone, email, password, preferredLanguage } = req.body;
 
   if (!name || !email || !password || !phone) {
     return res.status(400).json({ message: 'Please fill in all fields.' });
   }
+  if (preferredLanguage !== undefined && !SUPPORTED_LOCALES.includes(preferredLanguage)) {
+    return res.status(400).json({ message: `preferredLanguage must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
+  }
 
   try {
     const existingUser = await User.findOne({ email });
@@ -38,13 +178,15 @@ router.post('/register', async (req, res) => {
       mfaExpiry: undefined,
       lastMfaVerifiedAt: undefined,
       role: 'user',
+      // Without an explicit choice, use the language the browser asked for
+      preferredLanguage: preferredLanguage || localeFromRequest(req),
     });
 
     await user.save();
 
     // Send verification email and handle errors properly
     try {
-      await sendVerificationEmail(user.email, user._id);
+      await sendVerificationEmail(user.email, user._id, user.preferredLanguage);
       console.log('Verification email sent successfully to:', email);
     } catch (emailError) {
       console.error('Failed to send verification email:', emailError);
@@ -293,22 +435,36 @@ router.post('/login', checkIpBlock, async (req, res) => {
 
     // Require MFA if no previous verification or expired
     if (!currentUser.lastMfaVerifiedAt || now > mfaValidUntil) {
-      const mfaCode = Math.floor(100000 + Math.random() * 900000).toString();
-      const mfaExpiry = new Date();
-      mfaExpiry.setHours(mfaExpiry.getHours() + 72);
-
-      currentUser.mfaCode = mfaCode;
-      currentUser.mfaExpiry = mfaExpiry;
-      await currentUser.save({ validateBeforeSave: false });
-
-      await sendMfaEmail(currentUser.email, mfaCode);
+      const mfaMethod = mfaMethodFor(currentUser);
+      currentUser.mfaFailedAttempts = 0;
+
+      if (mfaMethod === 'totp') {
+        // Nothing to send: the code comes from the user's authenticator app. The expiry marks that
+        // the password was accepted, so /verify-mfa can't be used on its own.
+        currentUser.mfaCode = undefined;
+        currentUser.mfaExpiry = new Date(Date.now() + TOTP_CHALLENGE_MINUTES * 60 * 1000);
+        await currentUser.save({ validateBeforeSave: false });
+      } else {
+        const mfaCode = Math.floor(100000 + Math.random() * 900000).toString();
+        const mfaExpiry = new Date();
+        mfaExpiry.setHours(mfaExpiry.getHours() + 72);
+
+        currentUser.mfaCode = mfaCode;
+        currentUser.mfaExpiry = mfaExpiry;
+        await currentUser.save({ validateBeforeSave: false });
+
+        await sendMfaEmail(currentUser.email, mfaCode, currentUser.preferredLanguage);
+      }
 
       // Log password accepted but MFA required
-      try { await LoginAttempt.create({ email, userId: currentUser._id, ip: clientIp, userAgent, success: true, reason: 'mfa-required' }); } catch (e) { /* no-op */ }
+      try { await LoginAttempt.create({ email, userId: currentUser._id, ip: clientIp, userAgent, success: true, reason: 'mfa-required', metadata: { mfaMethod } }); } catch (e) { /* no-op */ }
 
       return res.status(200).json({
-        message: 'Login successful! Please verify your MFA code.',
+        message: mfaMethod === 'totp'
+          ? 'Login successful! Please enter the code from your authenticator app.'
+          : 'Login successful! Please verify your MFA code.',
         mfaRequired: true,
+        mfaMethod,
         userId: currentUser._id,
       });
     }
@@ -347,128 +503,90 @@ router.post('/login', checkIpBlock, async (req, res) => {
 // Email Verification Route
 router.get('/verify-email', async (req, res) => {
   const { token } = req.query;
+  const loginUrl = `${(process.env.FRONTEND_URL || 'https://fyp-project-nine-gray.vercel.app').replace(/\/*$/, '')}/login`;
+  // Before the user is known, answer in the browser's language
+  const page = (status, state, locale = localeFromRequest(req)) => (
+    res.status(status).send(renderPage('verifyEmail', locale, { state, loginUrl }))
+  );
 
   if (!token) {
-    return res.status(400).send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Verification Failed</title>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 50px auto; padding: 20px; text-align: center; }
-          .error { background-color: #f8d7da; color: #721c24; padding: 20px; border-radius: 5px; border: 1px solid #f5c6cb; }
-          .success { background-color: #d4edda; color: #155724; padding: 20px; border-radius: 5px; border: 1px solid #c3e6cb; }
-          h1 { color: #333; }
-        </style>
-      </head>
-      <body>
-        <div class="error">
-          <h1>Verification Failed</h1>
-          <p>Missing verification token. Please check your email and use the complete verification link.</p>
-        </div>
-      </body>
-      </html>
-    `);
+    return page(400, 'missing_token');
   }
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findById(decoded.userId);
     if (!user) {
-      return res.status(404).send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <title>Verification Failed</title>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 50px auto; padding: 20px; text-align: center; }
-            .error { background-color: #f8d7da; color: #721c24; padding: 20px; border-radius: 5px; border: 1px solid #f5c6cb; }
-            h1 { color: #333; }
-          </style>
-        </head>
-        <body>
-          <div class="error">
-            <h1>Verification Failed</h1>
-            <p>User not found. Please contact support if you believe this is an error.</p>
-          </div>
-        </body>
-        </html>
-      `);
+      return page(404, 'not_found');
     }
 
     if (user.isVerified) {
-      return res.status(200).send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <title>Email Already Verified</title>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 50px auto; padding: 20px; text-align: center; }
-            .success { background-color: #d4edda; color: #155724; padding: 20px; border-radius: 5px; border: 1px solid #c3e6cb; }
-            h1 { color: #333; }
-          </style>
-        </head>
-        <body>
-          <div class="success">
-            <h1>Email Already Verified</h1>
-            <p>Your email has already been verified. You can now log in to your account.</p>
-            <p><a href="https://fyp-project-nine-gray.vercel.app/login" style="color: #155724; text-decoration: underline;">Go to Login Page</a></p>
-          </div>
-        </body>
-        </html>
-      `);
+      return page(200, 'already_verified', user.preferredLanguage);
     }
 
     user.isVerified = true;
     await user.save();
 
-    res.status(200).send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Email Verified Successfully</title>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 50px auto; padding: 20px; text-align: center; }
-          .success { background-color: #d4edda; color: #155724; padding: 20px; border-radius: 5px; border: 1px solid #c3e6cb; }
-          .button { display: inline-block; background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-          h1 { color: #333; }
-        </style>
-      </head>
-      <body>
-        <div class="success">
-          <h1>✓ Email Verified Successfully!</h1>
-          <p>Your email has been verified. You can now log in to your account.</p>
-          <a href="https://fyp-project-nine-gray.vercel.app/login" class="button">Go to Login Page</a>
-        </div>
-      </body>
-      </html>
-    `);
+    page(200, 'verified', user.preferredLanguage);
   } catch (err) {
-    res.status(400).send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Verification Failed</title>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 50px auto; padding: 20px; text-align: center; }
-          .error { background-color: #f8d7da; color: #721c24; padding: 20px; border-radius: 5px; border: 1px solid #f5c6cb; }
-          h1 { color: #333; }
-        </style>
-      </head>
-      <body>
-        <div class="error">
-          <h1>Verification Failed</h1>
-          <p>Invalid or expired verification token. The verification link may have expired (valid for 1 hour).</p>
-          <p>Please request a new verification email or contact support for assistance.</p>
-        </div>
-      </body>
-      </html>
-    `);
+    page(400, 'invalid');
+  }
+});
+
+// Turn off the category named in a signed unsubscribe link; resolves to null for a bad link
+const applyUnsubscribe = async (token) => {
+  const unsubscribe = verifyUnsubscribeToken(token);
+  if (!unsubscribe) return null;
+  const user = await User.findByIdAndUpdate(
+    unsubscribe.userId,
+    { $set: { [`notificationPreferences.${unsubscribe.category}`]: false } },
+    { new: true }
+  );
+  return user ? { user, category: unsubscribe.category } : null;
+};
+
+// The unsubscribe link in optional emails; no login needed. Only shows a confirmation page:
+// mail scanners and link previews open every link, so the change is made by the POST below.
+router.get('/unsubscribe', async (req, res) => {
+  try {
+    const unsubscribe = verifyUnsubscribeToken(req.query.token);
+    const user = unsubscribe ? await User.findById(unsubscribe.userId, 'preferredLanguage') : null;
+    if (!user) {
+      return res.status(400).send(renderPage('unsubscribe', localeFromRequest(req), { state: 'invalid' }));
+    }
+    res.status(200).send(renderPage('unsubscribe', user.preferredLanguage, {
+      state: 'confirm',
+      category: unsubscribe.category,
+      token: req.query.token,
+      actionUrl: `${req.baseUrl}/unsubscribe`,
+    }));
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).send(renderPage('unsubscribe', localeFromRequest(req), { state: 'invalid' }));
+  }
+});
+
+// Makes the change: the confirmation page's form (answered with a page) and mail clients using
+// the List-Unsubscribe-Post header (RFC 8058, answered with JSON)
+router.post('/unsubscribe', async (req, res) => {
+  const fromBrowser = req.accepts(['json', 'html']) === 'html';
+  try {
+    const result = await applyUnsubscribe(req.query.token || req.body.token);
+    if (!result) {
+      return fromBrowser
+        ? res.status(400).send(renderPage('unsubscribe', localeFromRequest(req), { state: 'invalid' }))
+        : res.status(400).json({ message: 'Invalid unsubscribe link.' });
+    }
+    console.log(`User ${result.user._id} unsubscribed from ${result.category}`);
+    if (fromBrowser) {
+      return res.status(200).send(renderPage('unsubscribe', result.user.preferredLanguage, { state: 'unsubscribed', category: result.category }));
+    }
+    res.status(200).json({ message: 'Unsubscribed', category: result.category });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    return fromBrowser
+      ? res.status(500).send(renderPage('unsubscribe', localeFromRequest(req), { state: 'invalid' }))
+      : res.status(500).json({ message: 'Server error while unsubscribing' });
   }
 });
 
@@ -479,18 +597,20 @@ router.post('/verify-mfa', async (req, res) => {
     mfaCode: bodyMfaCode,
     code,
     otp,
+    recoveryCode,
     userId: bodyUserId,
     userID,
     id,
   } = req.body || {};
 
-  const mfaCode = (bodyMfaCode || code || otp || '').toString().trim();
+  const mfaCode = (bodyMfaCode || code || otp || recoveryCode || '').toString().trim();
   const userId = (bodyUserId || userID || id || '').toString().trim();
 
-  console.log('MFA verification attempt for userId:', userId || '(none)', 'with code:', mfaCode || '(none)');
+  // Codes are never logged: recovery codes stay valid until used
+  console.log('MFA verification attempt for userId:', userId || '(none)', mfaCode ? '(code provided)' : '(no code)');
 
   if (!mfaCode || !userId) {
-    console.log('Missing MFA code or userId in request body. Body received:', req.body);
+    console.log('Missing MFA code or userId in request body. Fields received:', Object.keys(req.body || {}));
     return res.status(400).json({ message: 'MFA code and user ID are required.' });
   }
 
@@ -511,9 +631,38 @@ router.post('/verify-mfa', async (req, res) => {
       });
     }
 
-    if (!user.mfaCode || user.mfaCode !== mfaCode) {
-      console.log('Invalid MFA code. Expected:', user.mfaCode, 'Received:', mfaCode);
-      return res.status(400).json({ message: 'Invalid MFA code.' });
+    const mfaMethod = mfaMethodFor(user);
+    // A recovery code stands in for either factor
+    const recoveryHash = looksLikeRecoveryCode(mfaCode) ? hashRecoveryCode(mfaCode) : null;
+    let totpStep = null;
+    let codeValid;
+    if (recoveryHash) {
+      // Only accepted while a login is waiting for MFA, like an authenticator code
+      codeValid = Boolean(user.mfaExpiry)
+        && user.mfaRecoveryCodes.some(entry => !entry.usedAt && entry.hash === recoveryHash);
+    } else if (mfaMethod === 'totp') {
+      // Only checked while a login is waiting for it (see /login)
+      if (user.mfaExpiry) {
+        totpStep = verifyTotp(decryptTotpSecret(user.totpSecret), mfaCode, { afterStep: user.totpLastUsedStep ?? -1 });
+      }
+      codeValid = totpStep !== null;
+    } else {
+      codeValid = Boolean(user.mfaCode) && user.mfaCode === mfaCode;
+    }
+
+    if (!codeValid) {
+      console.log('Invalid MFA code for user:', userId, `(${mfaMethod})`);
+      user.mfaFailedAttempts = (user.mfaFailedAttempts || 0) + 1;
+      if (user.mfaFailedAttempts >= MFA_MAX_FAILED_ATTEMPTS) {
+        // Too many guesses: drop the pending login so the password has to be entered again
+        user.mfaCode = undefined;
+        user.mfaExpiry = undefined;
+        user.mfaFailedAttempts = 0;
+        await user.save({ validateBeforeSave: false });
+        return res.status(429).json({ message: 'Too many invalid codes. Please login again.' });
+      }
+      await user.save({ validateBeforeSave: false });
+      return res.status(400).json({ message: 'Invalid MFA code.', mfaMethod });
     }
 
     // Check if MFA code has expired
@@ -522,15 +671,32 @@ router.post('/verify-mfa', async (req, res) => {
       return res.status(400).json({ message: 'MFA code has expired. Please login again.' });
     }
 
+    // An authenticator code is good for its whole time step; claim it so it can't be replayed
+    if (totpStep !== null) {
+      const claimed = await User.updateOne(
+        { _id: user._id, $or: [{ totpLastUsedStep: null }, { totpLastUsedStep: { $lt: totpStep } }] },
+        { $set: { totpLastUsedStep: totpStep } }
+      );
+      if (claimed.modifiedCount === 0) {
+        return res.status(400).json({ message: 'Invalid MFA code.', mfaMethod });
+      }
+      user.totpLastUsedStep = totpStep;
+    }
+
+    let recoveryCodeUsedAt = null;
+    if (recoveryHash) {
+      recoveryCodeUsedAt = await claimRecoveryCode(user, recoveryHash);
+      if (!recoveryCodeUsedAt) {
+        return res.status(400).json({ message: 'Invalid MFA code.', mfaMethod });
+      }
+    }
+
     // Clear MFA data and update verification timestamp
     user.mfaCode = undefined;
     user.mfaExpiry = undefined;
+    user.mfaFailedAttempts = 0;
     user.lastMfaVerifiedAt = new Date();
 
-    console.log('Saving user after MFA verification...');
-    await user.save({ validateBeforeSave: false });
-    console.log('User saved successfully');
-
     const token = jwt.sign(
       { userId: user._id, role: user.role },
       process.env.JWT_SECRET,
@@ -542,11 +708,18 @@ router.post('/verify-mfa', async (req, res) => {
     user.activeDevice = req.headers['user-agent'] || 'Unknown Device';
     user.sessionCreatedAt = new Date();
 
-    console.log('MFA verification successful for user:', userId);
+    console.log('Saving user after MFA verification...');
+    await user.save({ validateBeforeSave: false });
+    console.log('MFA verification successful for user:', userId, recoveryHash ? '(recovery code)' : '');
+
+    if (recoveryHash) {
+      await notifyRecoveryCodeUsed(user, recoveryCodeUsedAt, user.activeDevice);
+    }
 
     res.status(200).json({
       message: 'MFA verified successfully!',
       token,
+      ...(recoveryHash && { recoveryCodesRemaining: remainingRecoveryCodes(user) }),
     });
   } catch (error) {
     console.error('MFA verification error:', error);
@@ -585,7 +758,7 @@ router.post('/forgot-password', async (req, res) => {
 
     // Send password reset email
     try {
-      await sendPasswordResetEmail(user.email, resetToken);
+      await sendPasswordResetEmail(user.email, resetToken, user.preferredLanguage);
       console.log('Password reset email sent to:', email);
     } catch (emailError) {
       console.error('Failed to send password reset email:', emailError);
@@ -665,6 +838,237 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// Update the signed-in user's preferences (currently the email language)
+router.put('/preferences', authenticateJWT, async (req, res) => {
+  const { preferredLanguage } = req.body;
+
+  if (!SUPPORTED_LOCALES.includes(preferredLanguage)) {
+    return res.status(400).json({ message: `preferredLanguage must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.preferredLanguage = resolveLocale(preferredLanguage);
+    await user.save();
+
+    res.status(200).json({ message: 'Preferences updated', preferredLanguage: user.preferredLanguage });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({ message: 'Server error while updating preferences' });
+  }
+});
+
+// The signed-in user's email notification settings
+router.get('/me/notifications', authenticateJWT, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, 'notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(200).json({ notifications: describeNotificationPreferences(user) });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error while loading notification preferences' });
+  }
+});
+
+// Turn optional email categories on or off, e.g. { "reminders": false }. Transactional emails
+// (account, bookings, payments) can't be turned off.
+router.put('/me/notifications', authenticateJWT, async (req, res) => {
+  const changes = req.body || {};
+  const keys = Object.keys(changes);
+
+  if (keys.length === 0) {
+    return res.status(400).json({ message: `Provide at least one of: ${NOTIFICATION_CATEGORIES.join(', ')}` });
+  }
+  if (keys.includes('transactional')) {
+    return res.status(400).json({ message: 'Transactional emails are always sent and cannot be turned off.' });
+  }
+  const unknown = keys.filter(key => !NOTIFICATION_CATEGORIES.includes(key));
+  if (unknown.length > 0) {
+    return res.status(400).json({ message: `Unknown notification category: ${unknown.join(', ')}` });
+  }
+  const invalid = keys.filter(key => typeof changes[key] !== 'boolean');
+  if (invalid.length > 0) {
+    return res.status(400).json({ message: `Notification settings must be true or false: ${invalid.join(', ')}` });
+  }
+
+  try {
+    const $set = {};
+    keys.forEach(key => { $set[`notificationPreferences.${key}`] = changes[key]; });
+    const user = await User.findByIdAndUpdate(req.user.userId, { $set }, { new: true, projection: 'notificationPreferences' });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(200).json({ message: 'Notification preferences updated', notifications: describeNotificationPreferences(user) });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error while updating notification preferences' });
+  }
+});
+
+// The signed-in user's second factor settings
+router.get('/mfa', authenticateJWT, async (req, res) => {
+  try {
+    const user = await User.findById(
+      req.user.userId,
+      'role mfaMethod totpSecret totpEnrolledAt mfaRecoveryCodes mfaRecoveryCodesGeneratedAt'
+    );
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(200).json({ mfa: describeMfa(user) });
+  } catch (error) {
+    console.error('Get MFA settings error:', error);
+    res.status(500).json({ message: 'Server error while loading MFA settings' });
+  }
+});
+
+// Start authenticator app enrollment: a new secret, shown once as text, otpauth URI and QR code.
+// Nothing changes until the app's first code is confirmed.
+router.post('/mfa/totp/setup', authenticateJWT, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const secret = generateTotpSecret();
+    const uri = otpauthUri(secret, user.email, businessProfile.name);
+    const qrCode = await QRCode.toDataURL(uri);
+
+    user.totpPendingSecret = encryptTotpSecret(secret);
+    user.totpPendingExpiry = new Date(Date.now() + TOTP_ENROLLMENT_MINUTES * 60 * 1000);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      message: 'Scan the QR code with your authenticator app, then confirm with the code it shows.',
+      secret,
+      otpauthUri: uri,
+      qrCode,
+      expiresAt: user.totpPendingExpiry,
+    });
+  } catch (error) {
+    console.error('TOTP setup error:', error);
+    res.status(500).json({ message: 'Server error while setting up the authenticator app' });
+  }
+});
+
+// Finish enrollment with a code from the app; the app becomes the user's second factor and a new
+// set of recovery codes replaces any earlier one. Needs `password`, `currentCode` from the app
+// being replaced, or a `recoveryCode`.
+router.post('/mfa/totp/confirm', authenticateJWT, async (req, res) => {
+  const code = (req.body.code || '').toString().trim();
+  if (!code) {
+    return res.status(400).json({ message: 'Code is required.' });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.totpPendingSecret || !user.totpPendingExpiry || new Date() > user.totpPendingExpiry) {
+      return res.status(400).json({ message: 'No authenticator app setup in progress. Please start again.' });
+    }
+
+    // Checked before re-authentication, so a mistyped code doesn't cost a recovery code
+    const secret = decryptTotpSecret(user.totpPendingSecret);
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid code. Check the time on your device and try again.' });
+    }
+
+    const confirmation = await confirmIdentity(user, req.body);
+    if (!confirmation) {
+      return res.status(403).json({ message: reauthMessage(user), reauthRequired: true });
+    }
+
+    user.totpSecret = user.totpPendingSecret;
+    user.totpEnrolledAt = new Date();
+    user.totpLastUsedStep = step;
+    user.totpPendingSecret = null;
+    user.totpPendingExpiry = null;
+    user.mfaMethod = 'totp';
+    const recoveryCodes = issueRecoveryCodes(user);
+    if (!(await saveConfirmedChange(user, confirmation, req.headers['user-agent']))) {
+      return res.status(403).json({ message: 'That recovery code has already been used.', reauthRequired: true });
+    }
+
+    res.status(200).json({
+      message: 'Authenticator app enabled. Store these recovery codes somewhere safe; each works once.',
+      mfa: describeMfa(user),
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error('TOTP confirm error:', error);
+    res.status(500).json({ message: 'Server error while confirming the authenticator app' });
+  }
+});
+
+// Choose the second factor used at login: "email" or "totp" (once an authenticator app is set up)
+router.put('/mfa/method', authenticateJWT, async (req, res) => {
+  const { method } = req.body;
+
+  if (!MFA_METHODS.includes(method)) {
+    return res.status(400).json({ message: `method must be one of: ${MFA_METHODS.join(', ')}` });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (method === 'totp' && !user.totpSecret) {
+      return res.status(400).json({ message: 'Set up an authenticator app before choosing it.' });
+    }
+    if (method === 'email' && user.role === 'admin' && user.totpSecret) {
+      return res.status(403).json({ message: 'Admin accounts with an authenticator app must use it.' });
+    }
+
+    user.mfaMethod = method;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({ message: 'MFA method updated', mfa: describeMfa(user) });
+  } catch (error) {
+    console.error('Update MFA method error:', error);
+    res.status(500).json({ message: 'Server error while updating MFA method' });
+  }
+});
+
+// Generate a new set of recovery codes, invalidating the old ones. The codes are only shown here.
+// Needs `password`, `currentCode` from the authenticator app, or a `recoveryCode` from the old set.
+router.post('/mfa/recovery-codes', authenticateJWT, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const confirmation = await confirmIdentity(user, req.body);
+    if (!confirmation) {
+      return res.status(403).json({ message: reauthMessage(user), reauthRequired: true });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    if (!(await saveConfirmedChange(user, confirmation, req.headers['user-agent']))) {
+      return res.status(403).json({ message: 'That recovery code has already been used.', reauthRequired: true });
+    }
+
+    res.status(200).json({
+      message: 'New recovery codes generated. Your previous codes no longer work.',
+      recoveryCodes,
+      mfa: describeMfa(user),
+    });
+  } catch (error) {
+    console.error('Generate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error while generating recovery codes' });
+  }
+});
+
 // Logout Route
 router.post('/logout', authenticateJWT, async (req, res) => {
   try {
@@ -1,63 +1,48 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const authenticateJWT = require('../middleware/authenticateJWT');
+const { receiptUpload, sanitizeUpload, handleUploadErrors } = require('../middleware/fileUpload');
 const {
   createBooking,
   getUserBookings,
   getBookingById,
   uploadReceipt,
   updatePaymentStatus,
+  getServiceCatalog,
+  getAvailability,
+  getCancellationQuote,
+  cancelBooking,
+  updateBooking,
+  getInvoicePdf,
+  getQRCodePng,
+  getQRCodeSvg,
+  reissueQRCode,
+  downloadReceipt,
 } = require('../controllers/bookingController');
 
 const router = express.Router();
 
-const receiptDir = path.join(__dirname, '..', 'uploads', 'receipts');
+// Public: date availability for the booking calendar
+router.get('/availability', getAvailability);
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    fs.mkdirSync(receiptDir, { recursive: true });
-    cb(null, receiptDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
-    cb(null, `${uniqueSuffix}${path.extname(file.originalname)}`);
-  },
-});
-
-const allowedMimeTypes = ['image/png', 'image/jpeg', 'image/jpg', 'application/pdf'];
-
-const fileFilter = (req, file, cb) => {
-  if (allowedMimeTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only PNG, JPG, and PDF files are allowed.'));
-  }
-};
-
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
-});
-
-// Apply JWT authentication to all booking routes
+// Apply JWT authentication to all other booking routes
 router.use(authenticateJWT);
 
 router.post('/', createBooking);
 router.get('/', getUserBookings);
+router.get('/services', getServiceCatalog);
 router.get('/:id', getBookingById);
+router.patch('/:id', updateBooking);
 router.patch('/:id/status', updatePaymentStatus);
-router.post('/:id/receipt-upload', upload.single('receipt'), uploadReceipt);
+router.post('/:id/receipt-upload', receiptUpload.single('receipt'), sanitizeUpload, uploadReceipt);
+router.get('/:id/receipts/:filename', downloadReceipt);
+router.get('/:id/invoice.pdf', getInvoicePdf);
+router.get('/:id/qr.png', getQRCodePng);
+router.get('/:id/qr.svg', getQRCodeSvg);
+router.post('/:id/qr/reissue', reissueQRCode);
+router.get('/:id/cancellation-quote', getCancellationQuote);
+router.post('/:id/cancel', cancelBooking);
 
 // Multer/file validation errors bubble here
-router.use((err, req, res, next) => {
-  if (err instanceof multer.MulterError || err.message.includes('Only')) {
-    return res.status(400).json({ message: err.message });
-  }
-  return next(err);
-});
+router.use(handleUploadErrors);
 
 module.exports = router;
-
@@ -0,0 +1,25 @@
+const express = require('express');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const { scan, scanBatch, verify, listRevocations } = require('../controllers/checkinController');
+
+const router = express.Router();
+
+// Event-day check-in is done by staff or admins
+function verifyStaff(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  if (req.user.role !== 'staff' && req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Staff access required' });
+  }
+  next();
+}
+
+router.use(authenticateJWT, verifyStaff);
+
+router.post('/scan', scan);
+router.post('/scan/batch', scanBatch);
+router.post('/verify', verify);
+router.get('/revocations', listRevocations);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { serveSignedFile } = require('../controllers/fileController');
+
+const router = express.Router();
+
+// Public, but every URL carries a signed, expiring token (see utils/fileLinks.js)
+router.get('/:token', serveSignedFile);
+
+module.exports = router;
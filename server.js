@@ -19,16 +19,22 @@ console.log('✅ Environment variables validated');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const path = require('path');
 const compression = require('compression');
 
 // ===== ROUTES & MIDDLEWARE =====
 const authRoutes = require('./routes/authRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const bookingRoutes = require('./routes/bookingRoutes');
+const checkinRoutes = require('./routes/checkinRoutes');
+const fileRoutes = require('./routes/fileRoutes');
 const authenticateJWT = require('./middleware/authenticateJWT');
+const { startRevocationSync } = require('./utils/qrCodeUtils');
+const { startExpirySweep } = require('./utils/bookingExpiry');
+const { startJobScheduler } = require('./utils/jobScheduler');
+const { startEventReminders } = require('./utils/eventReminders');
 const { sendVerificationEmail } = require('./utils/emailUtils');
-const { initializeSendGrid } = require('./config/emailConfig');
+const { startEmailOutbox } = require('./utils/emailOutbox');
+const { getMailTransport } = require('./utils/mailTransport');
 
 const app = express();
 
@@ -57,14 +63,13 @@ const corsOptions = {
   optionsSuccessStatus: 204
 };
 
-// ===== INITIALIZE SENDGRID =====
+// ===== INITIALIZE MAIL TRANSPORT =====
 setImmediate(() => {
   try {
-    const initialized = initializeSendGrid();
-    if (initialized) console.log('✅ SendGrid initialized successfully');
-    else console.warn('⚠️  SendGrid not available, email features disabled');
+    const transport = getMailTransport();
+    console.log(`✅ Mail transport ready (${transport.name})`);
   } catch (err) {
-    console.warn('⚠️  SendGrid initialization error:', err.message);
+    console.warn('⚠️  Mail transport configuration error, emails will stay queued:', err.message);
   }
 });
 
@@ -110,12 +115,8 @@ console.log('✅ Clickjacking protection enabled');
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
-  maxAge: '1d',
-  etag: false
-}));
-
-console.log('✅ Static file serving configured');
+// Uploaded receipts and refund proofs are not served statically: see routes/fileRoutes.js and
+// GET /api/bookings/:id/receipts/:filename
 
 // ===== ROUTES =====
 app.get('/', (req, res) => res.json({ message: 'Backend API is running', status: 'OK' }));
@@ -137,13 +138,23 @@ app.post('/api/test-email', (req, res) => {
 });
 
 app.use('/api/auth', authRoutes);
-app.use('/api/bookings', authenticateJWT, bookingRoutes);
+// bookingRoutes applies authenticateJWT itself, after its public availability route
+app.use('/api/bookings', bookingRoutes);
 app.use('/api/admin', authenticateJWT, adminRoutes);
+app.use('/api/checkin', checkinRoutes);
+app.use('/api/files', fileRoutes);
 
 // ===== DATABASE =====
 console.log('Connecting to database...');
 mongoose.connect(process.env.DB_URI)
-  .then(() => console.log('✅ Database connected successfully'))
+  .then(() => {
+    console.log('✅ Database connected successfully');
+    startRevocationSync();
+    startExpirySweep();
+    startEventReminders();
+    startJobScheduler();
+    startEmailOutbox();
+  })
   .catch(err => console.error('❌ Database connection failed:', err.message));
 
 // ===== START SERVER =====
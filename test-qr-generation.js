@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { generateBookingQRCode, isValidQRCodeFormat } = require('./utils/qrCodeUtils');
+const { generateBookingQRCode, isValidQRCodeFormat, verifyQRCode } = require('./utils/qrCodeUtils');
 const Booking = require('./models/Booking');
 require('dotenv').config();
 
@@ -10,7 +10,8 @@ require('dotenv').config();
  * - QR codes are generated in correct format
  * - QR codes are unique
  * - Collision detection works
- * - Format validation works
+ * - Format validation works (signed and legacy codes)
+ * - Signatures verify, and tampered codes are detected
  * 
  * Usage: node test-qr-generation.js
  */
@@ -21,12 +22,14 @@ async function testQRCodeGeneration() {
   try {
     // Test 1: Format Validation
     console.log('TEST 1: Format Validation');
-    const validQR = 'QR-1702224600000-A3F9B2-7E4C';
+    const validQR = 'QR-1702224600000-A3F9B2-7E4C'; // Legacy (unsigned)
+    const validSignedQR = 'QR-1702224600000-65A1F0C2B3D4E5F60718293A-9F3C2A7B1E5D4C60';
     const invalidQR1 = 'QR-1702224600000-A3F9B2'; // Missing suffix
     const invalidQR2 = 'QR-abc-A3F9B2-7E4C'; // Invalid timestamp
     const invalidQR3 = 'INVALID-1702224600000-A3F9B2-7E4C'; // Wrong prefix
     
     console.log(`  Valid QR "${validQR}": ${isValidQRCodeFormat(validQR) ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`  Valid QR "${validSignedQR}": ${isValidQRCodeFormat(validSignedQR) ? '✅ PASS' : '❌ FAIL'}`);
     console.log(`  Invalid QR "${invalidQR1}": ${!isValidQRCodeFormat(invalidQR1) ? '✅ PASS' : '❌ FAIL'}`);
     console.log(`  Invalid QR "${invalidQR2}": ${!isValidQRCodeFormat(invalidQR2) ? '✅ PASS' : '❌ FAIL'}`);
     console.log(`  Invalid QR "${invalidQR3}": ${!isValidQRCodeFormat(invalidQR3) ? '✅ PASS' : '❌ FAIL'}`);
@@ -34,12 +37,19 @@ async function testQRCodeGeneration() {
     // Test 2: Generate Single QR Code
     console.log('\nTEST 2: Generate Single QR Code');
     const qrCode1 = await generateBookingQRCode({
+      _id: new mongoose.Types.ObjectId(),
       userId: 'test-user-1',
       serviceName: 'Test Service 1',
       totalAmount: 1000
     });
     console.log(`  Generated QR: ${qrCode1}`);
     console.log(`  Format valid: ${isValidQRCodeFormat(qrCode1) ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`  Signature valid: ${verifyQRCode(qrCode1).status === 'valid' ? '✅ PASS' : '❌ FAIL'}`);
+
+    // Flip one character of the signature
+    const lastChar = qrCode1.slice(-1);
+    const tampered = qrCode1.slice(0, -1) + (lastChar === '0' ? '1' : '0');
+    console.log(`  Tampered code detected: ${verifyQRCode(tampered).status === 'forged' ? '✅ PASS' : '❌ FAIL'}`);
     
     // Test 3: Generate Multiple QR Codes (Check Uniqueness)
     console.log('\nTEST 3: Generate Multiple QR Codes');
@@ -48,6 +58,7 @@ async function testQRCodeGeneration() {
     
     for (let i = 0; i < count; i++) {
       const qr = await generateBookingQRCode({
+        _id: new mongoose.Types.ObjectId(),
         userId: `test-user-${i}`,
         serviceName: `Test Service ${i}`,
         totalAmount: 1000 + i
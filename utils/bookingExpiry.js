@@ -0,0 +1,185 @@
+// Expiry of unpaid bookings.
+//
+// A booking with no receipt at all bookingExpiry.unpaidHours after it was made is moved to
+// `expired` and its capacity is released. The customer is emailed warningHoursBefore the
+// deadline; a booking is never expired less than warningHoursBefore after that warning went out,
+// so bookings that were already overdue when expiry was switched on still get their notice.
+
+const Booking = require('../models/Booking');
+const { bookingExpiry } = require('../config/bookingPolicy');
+const { applyPaymentTransition } = require('./bookingLifecycle');
+const { payableInstallments, outstandingBalance } = require('./paymentSchedule');
+const { releaseCapacity } = require('./capacityUtils');
+const { historySnapshot, recordHistory } = require('./bookingHistory');
+const { sendBookingExpiryWarningEmail } = require('./emailUtils');
+const { revokeInactiveBookingQRCode } = require('./qrCodeUtils');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Still waiting for the first receipt
+const UNPAID_FILTER = { paymentStatus: 'pending', 'receiptUploads.0': { $exists: false } };
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+/**
+ * When an unpaid booking will expire
+ * @param {Object} booking
+ * @returns {Date|null} null when the booking is not subject to expiry (paid, cancelled, expiry off...)
+ */
+function expiryDeadline(booking) {
+  if (!bookingExpiry.unpaidHours || booking.paymentStatus !== 'pending' || !booking.createdAt) return null;
+  if ((booking.receiptUploads || []).length > 0) return null;
+
+  const deadline = new Date(booking.createdAt).getTime() + bookingExpiry.unpaidHours * HOUR_MS;
+  if (!bookingExpiry.warningHoursBefore) return new Date(deadline);
+  // Not warned yet: the warning goes out on the next sweep and the deadline moves with it
+  const warnedAt = booking.expiryWarningSentAt ? new Date(booking.expiryWarningSentAt).getTime() : Date.now();
+  return new Date(Math.max(deadline, warnedAt + bookingExpiry.warningHoursBefore * HOUR_MS));
+}
+
+// Email the owners of bookings that are within warningHoursBefore of their deadline
+async function sendExpiryWarnings(now) {
+  if (!bookingExpiry.warningHoursBefore) return 0;
+
+  const warnAfter = Math.max(0, bookingExpiry.unpaidHours - bookingExpiry.warningHoursBefore) * HOUR_MS;
+  const bookings = await Booking.find({
+    ...UNPAID_FILTER,
+    createdAt: { $lte: new Date(now.getTime() - warnAfter) },
+    expiryWarningSentAt: { $exists: false },
+  }).populate('userId', 'name email preferredLanguage');
+
+  let sent = 0;
+  for (const booking of bookings) {
+    // Claim the booking first so two server instances never both send
+    const claim = await Booking.updateOne(
+      { _id: booking._id, ...UNPAID_FILTER, expiryWarningSentAt: { $exists: false } },
+      { $set: { expiryWarningSentAt: now } }
+    );
+    if (!claim.modifiedCount) continue;
+
+    booking.expiryWarningSentAt = now;
+    const user = booking.userId;
+    if (!user || !user.email) {
+      console.warn('[bookingExpiry] No email address for expiry warning', { bookingId: booking._id.toString() });
+      continue;
+    }
+
+    const next = payableInstallments(booking)[0];
+    try {
+      await sendBookingExpiryWarningEmail(user.email, {
+        locale: user.preferredLanguage,
+        name: user.name,
+        bookingId: booking._id.toString(),
+        serviceName: booking.serviceName,
+        scheduledDate: booking.scheduledDate,
+        amountDue: next ? next.amount : outstandingBalance(booking),
+        expiresAt: expiryDeadline(booking),
+      });
+      sent += 1;
+    } catch (error) {
+      // The grace period still applies; the booking is not expired early because the email failed
+      console.error('[bookingExpiry] Failed to send expiry warning', {
+        bookingId: booking._id.toString(),
+        error: error.message
+      });
+    }
+  }
+  return sent;
+}
+
+// Expire the bookings whose deadline has passed
+async function expireOverdueBookings(now) {
+  const bookings = await Booking.find({
+    ...UNPAID_FILTER,
+    createdAt: { $lte: new Date(now.getTime() - bookingExpiry.unpaidHours * HOUR_MS) },
+  });
+
+  let expired = 0;
+  for (const booking of bookings) {
+    const deadline = expiryDeadline(booking);
+    if (!deadline || deadline > now) continue;
+
+    const before = historySnapshot(booking);
+    applyPaymentTransition(booking, 'expired', 'system');
+    booking.expiredAt = now;
+    const reservation = booking.capacityReservation && booking.capacityReservation.dateKey
+      ? { dateKey: booking.capacityReservation.dateKey, pax: booking.capacityReservation.pax }
+      : null;
+    booking.capacityReservation = undefined;
+    recordHistory(booking, before, {
+      action: 'expired',
+      reason: `No payment receipt was uploaded within ${bookingExpiry.unpaidHours} hours`,
+    });
+    // Only if the customer hasn't uploaded a receipt since the booking was loaded
+    booking.$where = UNPAID_FILTER;
+
+    try {
+      await booking.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') continue;
+      console.error('[bookingExpiry] Failed to expire booking', { bookingId: booking._id.toString(), error: error.message });
+      continue;
+    }
+    expired += 1;
+
+    if (reservation) {
+      await releaseCapacity(reservation).catch(releaseErr => {
+        console.error('[bookingExpiry] Failed to release capacity', {
+          bookingId: booking._id.toString(),
+          error: releaseErr.message
+        });
+      });
+    }
+    await revokeInactiveBookingQRCode(booking, 'expired').catch(revokeErr => {
+      console.error('[bookingExpiry] Failed to revoke QR code', {
+        bookingId: booking._id.toString(),
+        error: revokeErr.message
+      });
+    });
+  }
+  return expired;
+}
+
+/**
+ * Send due warnings and expire overdue bookings
+ * @param {Date} [now]
+ * @returns {Promise<{warned: number, expired: number}>}
+ */
+async function runExpirySweep(now = new Date()) {
+  if (!bookingExpiry.unpaidHours) return { warned: 0, expired: 0 };
+  const warned = await sendExpiryWarnings(now);
+  const expired = await expireOverdueBookings(now);
+  if (warned || expired) {
+    console.log('[bookingExpiry] Sweep finished', { warned, expired });
+  }
+  return { warned, expired };
+}
+
+/**
+ * Run the sweep now and then every bookingExpiry.sweepIntervalMinutes
+ */
+function startExpirySweep() {
+  if (!bookingExpiry.unpaidHours) {
+    console.log('ℹ️  Unpaid booking expiry is disabled (BOOKING_EXPIRY_HOURS=0)');
+    return;
+  }
+  const sweep = () => {
+    if (sweepRunning) return;
+    sweepRunning = true;
+    runExpirySweep()
+      .catch(error => console.error('[bookingExpiry] Sweep failed:', error.message))
+      .finally(() => { sweepRunning = false; });
+  };
+  sweep();
+  if (!sweepTimer) {
+    sweepTimer = setInterval(sweep, bookingExpiry.sweepIntervalMinutes * 60 * 1000);
+    sweepTimer.unref();
+  }
+}
+
+module.exports = {
+  expiryDeadline,
+  runExpirySweep,
+  startExpirySweep,
+};
@@ -0,0 +1,171 @@
+const { currentLifecycleStatus } = require('./bookingLifecycle');
+const { toDateKey } = require('./dateUtils');
+
+const HISTORY_ACTIONS = [
+  'created',
+  'receipt_uploaded',
+  'payment_status_changed',
+  'installment_approved',
+  'installment_rejected',
+  'lifecycle_changed',
+  'modified',
+  'cancelled',
+  'expired',
+  'refund_recorded',
+  'checked_in',
+  'qr_reissued',
+  'qr_revoked',
+];
+const HISTORY_ACTOR_ROLES = ['user', 'staff', 'admin', 'system'];
+
+// What the customer's timeline shows; QR codes and internal notes stay with the admins
+const CUSTOMER_FIELDS = ['paymentStatus', 'lifecycleStatus', 'totalAmount', 'scheduledDate', 'installment', 'checkedIn'];
+const CUSTOMER_REASON_ACTIONS = ['installment_rejected', 'cancelled', 'expired', 'modified'];
+
+// Same rule as the login route: first X-Forwarded-For hop when behind a proxy
+function clientIp(req) {
+  const xff = (req.headers['x-forwarded-for'] || '').split(',').map(s => s.trim()).filter(Boolean);
+  return (xff[0] || req.ip || req.connection?.remoteAddress || '').toString();
+}
+
+/**
+ * The parts of a booking whose changes are recorded; take one before mutating the booking
+ * @param {Object} booking
+ * @returns {Object}
+ */
+function historySnapshot(booking) {
+  return {
+    paymentStatus: booking.paymentStatus,
+    lifecycleStatus: currentLifecycleStatus(booking),
+    totalAmount: booking.totalAmount,
+    scheduledDate: booking.scheduledDate ? toDateKey(booking.scheduledDate) : null,
+    qrCode: booking.qrCode,
+    checkedIn: !!booking.checkIn,
+    refundDue: booking.refundDue ? booking.refundDue.amount : 0,
+    installments: new Map((booking.installments || []).map(installment => [
+      installment._id.toString(),
+      { status: installment.status, amount: installment.amount },
+    ])),
+  };
+}
+
+/**
+ * Field-level differences between two snapshots; `before` is null for a new booking
+ * @returns {Array<{field: string, from: *, to: *, installmentId?: string}>}
+ */
+function diffSnapshots(before, after) {
+  const changes = [];
+  ['paymentStatus', 'lifecycleStatus', 'totalAmount', 'scheduledDate', 'qrCode', 'checkedIn', 'refundDue'].forEach(field => {
+    const from = before ? before[field] : null;
+    // A new booking only lists the fields it starts out with
+    if (!before && (after[field] === null || after[field] === false || after[field] === 0)) return;
+    if (from !== after[field]) changes.push({ field, from, to: after[field] });
+  });
+  after.installments.forEach((installment, installmentId) => {
+    const previous = before ? before.installments.get(installmentId) : null;
+    if (!previous || previous.status !== installment.status) {
+      changes.push({
+        field: 'installment',
+        installmentId,
+        from: previous ? previous.status : null,
+        to: installment.status,
+        amount: installment.amount,
+      });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Build a history entry for a change made by a request (or by the system when req is null)
+ * @param {Object} booking - Booking after the change
+ * @param {Object|null} before - historySnapshot() taken before the change
+ * @param {Object} details
+ * @param {string} details.action - One of HISTORY_ACTIONS
+ * @param {Object} [details.req] - Express request of the user who made the change
+ * @param {string} [details.reason]
+ * @param {Array} [details.changes] - Explicit changes, instead of comparing snapshots
+ * @returns {Object}
+ */
+function buildHistoryEntry(booking, before, { action, req, reason, changes }) {
+  const user = req && req.user;
+  return {
+    action,
+    at: new Date(),
+    actorId: user ? user.userId : undefined,
+    actorRole: user ? user.role || 'user' : 'system',
+    ip: req ? clientIp(req) : undefined,
+    reason: reason || undefined,
+    changes: changes || diffSnapshots(before, historySnapshot(booking)),
+  };
+}
+
+/**
+ * Append a history entry to the booking (does not save it)
+ * @returns {Object} The entry
+ */
+function recordHistory(booking, before, details) {
+  const entry = buildHistoryEntry(booking, before, details);
+  booking.history.push(entry);
+  return entry;
+}
+
+function plainEntry(entry) {
+  return entry && entry.toObject ? entry.toObject() : entry;
+}
+
+/**
+ * Full history for admins, oldest first; actorId may be populated with the user
+ * @param {Object} booking
+ * @returns {Array}
+ */
+function describeHistory(booking) {
+  return (booking.history || []).map(plainEntry).map(entry => {
+    const actor = entry.actorId && typeof entry.actorId === 'object' && entry.actorId.name !== undefined
+      ? entry.actorId
+      : null;
+    return {
+      action: entry.action,
+      at: entry.at,
+      actorId: entry.actorId ? (actor ? actor._id : entry.actorId).toString() : null,
+      actorName: actor ? actor.name : null,
+      actorEmail: actor ? actor.email : null,
+      actorRole: entry.actorRole,
+      ip: entry.ip || null,
+      reason: entry.reason || null,
+      changes: (entry.changes || []).map(change => ({
+        field: change.field,
+        installmentId: change.installmentId ? change.installmentId.toString() : undefined,
+        from: change.from === undefined ? null : change.from,
+        to: change.to === undefined ? null : change.to,
+        amount: change.amount,
+      })),
+    };
+  });
+}
+
+/**
+ * The history as shown to the booking's owner: who acted is reduced to you / staff / system,
+ * and internal details (IP addresses, QR codes, admin notes) are left out
+ * @param {Object} booking
+ * @returns {Array}
+ */
+function customerTimeline(booking) {
+  return describeHistory(booking).map(entry => ({
+    action: entry.action,
+    at: entry.at,
+    by: entry.actorRole === 'user' ? 'you' : entry.actorRole === 'system' ? 'system' : 'staff',
+    reason: CUSTOMER_REASON_ACTIONS.includes(entry.action) ? entry.reason : null,
+    changes: entry.changes.filter(change => CUSTOMER_FIELDS.includes(change.field)),
+  }));
+}
+
+module.exports = {
+  HISTORY_ACTIONS,
+  HISTORY_ACTOR_ROLES,
+  historySnapshot,
+  buildHistoryEntry,
+  recordHistory,
+  describeHistory,
+  customerTimeline,
+};
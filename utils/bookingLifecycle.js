@@ -0,0 +1,228 @@
+// Single source of truth for how a booking may move between states.
+//
+// A booking carries two independent states:
+//   - paymentStatus:   where the money is (pending -> receipt_submitted -> partially_paid -> completed, refunds...)
+//   - lifecycleStatus: where the event is (awaiting_payment -> confirmed -> in_preparation -> delivered -> closed)
+//
+// Every change to either field must go through applyPaymentTransition / applyLifecycleTransition so
+// the rules below are enforced no matter which route triggered the change.
+//
+// Actors:
+//   user   - the booking owner acting through the customer API
+//   admin  - an admin acting through the admin API
+//   system - server-side flows (receipt upload, cancellation, expiry) that already checked their own rules
+//
+// Bookings left unpaid (no receipt at all) are expired by the background sweep in utils/bookingExpiry.js:
+// payment pending -> expired, lifecycle awaiting_payment -> expired.
+//
+// With a payment schedule the payment status follows the installments (see utils/paymentSchedule.js):
+// partially_paid means some, but not all, of totalAmount has been approved.
+
+const PAYMENT_STATUSES = ['pending', 'receipt_submitted', 'partially_paid', 'completed', 'rejected', 'cancelled', 'refund_pending', 'refunded', 'expired'];
+
+const LIFECYCLE_STATUSES = ['awaiting_payment', 'confirmed', 'in_preparation', 'delivered', 'no_show', 'closed', 'cancelled', 'expired'];
+
+// from -> { to: [actors allowed to make the move] }
+const PAYMENT_TRANSITIONS = {
+  // Customers reach receipt_submitted only by uploading a receipt (system); setting it directly
+  // would keep an unpaid booking out of the expiry sweep
+  pending: {
+    receipt_submitted: ['admin', 'system'],
+    partially_paid: ['admin'],
+    completed: ['admin'],
+    cancelled: ['system'],
+    expired: ['system'],
+  },
+  receipt_submitted: {
+    partially_paid: ['admin'],
+    completed: ['admin'],
+    pending: ['admin'],
+    rejected: ['admin'],
+    cancelled: ['system'],
+    refund_pending: ['system'],
+  },
+  rejected: {
+    receipt_submitted: ['admin', 'system'],
+    partially_paid: ['admin'],
+    completed: ['admin'],
+    pending: ['admin', 'system'],
+    cancelled: ['system'],
+  },
+  // A receipt for a later installment leaves the booking partially paid until it is approved
+  partially_paid: {
+    receipt_submitted: ['system'],
+    completed: ['admin', 'system'],
+    pending: ['admin'],
+    cancelled: ['system'],
+    refund_pending: ['system'],
+  },
+  completed: {
+    pending: ['admin'],
+    receipt_submitted: ['admin'],
+    partially_paid: ['admin', 'system'],
+    cancelled: ['system'],
+    refund_pending: ['system'],
+  },
+  refund_pending: {
+    refunded: ['admin'],
+  },
+  cancelled: {},
+  refunded: {},
+  expired: {},
+};
+
+const LIFECYCLE_TRANSITIONS = {
+  awaiting_payment: {
+    confirmed: ['admin', 'system'],
+    cancelled: ['admin', 'system'],
+    expired: ['system'],
+  },
+  confirmed: {
+    awaiting_payment: ['system'],
+    in_preparation: ['admin'],
+    cancelled: ['admin', 'system'],
+  },
+  in_preparation: {
+    confirmed: ['admin'],
+    delivered: ['admin'],
+    no_show: ['admin'],
+    cancelled: ['admin', 'system'],
+  },
+  delivered: {
+    closed: ['admin'],
+  },
+  no_show: {
+    closed: ['admin'],
+  },
+  cancelled: {
+    closed: ['admin'],
+  },
+  expired: {
+    closed: ['admin'],
+  },
+  closed: {},
+};
+
+function transitionError(kind, from, to, actor) {
+  const error = new Error(`Cannot change ${kind} from "${from}" to "${to}"`);
+  error.errorCode = 'ILLEGAL_TRANSITION';
+  error.isTransitionError = true;
+  error.kind = kind;
+  error.from = from;
+  error.to = to;
+  error.actor = actor;
+  error.allowed = allowedTransitions(kind === 'paymentStatus' ? PAYMENT_TRANSITIONS : LIFECYCLE_TRANSITIONS, from, actor);
+  return error;
+}
+
+function allowedTransitions(table, from, actor) {
+  return Object.entries(table[from] || {})
+    .filter(([, actors]) => actors.includes(actor))
+    .map(([to]) => to);
+}
+
+/**
+ * Lifecycle status of a booking, derived from its payment status for bookings created
+ * before lifecycleStatus existed
+ */
+function currentLifecycleStatus(booking) {
+  if (booking.lifecycleStatus) return booking.lifecycleStatus;
+  if (['cancelled', 'refund_pending', 'refunded'].includes(booking.paymentStatus)) return 'cancelled';
+  if (booking.paymentStatus === 'expired') return 'expired';
+  if (['completed', 'partially_paid'].includes(booking.paymentStatus)) return 'confirmed';
+  return 'awaiting_payment';
+}
+
+function canTransitionPayment(from, to, actor) {
+  return from === to || allowedTransitions(PAYMENT_TRANSITIONS, from, actor).includes(to);
+}
+
+function canTransitionLifecycle(from, to, actor) {
+  return from === to || allowedTransitions(LIFECYCLE_TRANSITIONS, from, actor).includes(to);
+}
+
+/**
+ * Throw the ILLEGAL_TRANSITION error for a payment move without applying it
+ * @param {Document} booking
+ * @param {string} to - Target payment status
+ * @param {string} actor - 'user' | 'admin' | 'system'
+ */
+function assertPaymentTransition(booking, to, actor) {
+  const from = booking.paymentStatus;
+  if (!PAYMENT_STATUSES.includes(to) || !canTransitionPayment(from, to, actor)) {
+    throw transitionError('paymentStatus', from, to, actor);
+  }
+}
+
+/**
+ * Move a booking's lifecycle status (does not save)
+ * @param {Document} booking
+ * @param {string} to - Target lifecycle status
+ * @param {string} actor - 'user' | 'admin' | 'system'
+ * @returns {{from: string, to: string, changed: boolean}}
+ */
+function applyLifecycleTransition(booking, to, actor) {
+  const from = currentLifecycleStatus(booking);
+  if (!LIFECYCLE_STATUSES.includes(to) || !canTransitionLifecycle(from, to, actor)) {
+    throw transitionError('lifecycleStatus', from, to, actor);
+  }
+
+  booking.lifecycleStatus = to;
+  if (from !== to) {
+    booking.lifecycleUpdatedAt = new Date();
+  }
+  return { from, to, changed: from !== to };
+}
+
+/**
+ * Move a booking's payment status (does not save).
+ * Keeps paymentCompletedAt and the lifecycle in step with the payment:
+ * a completed payment (or an approved deposit) confirms the booking, reversing it puts the booking
+ * back to awaiting_payment,
+ * cancellation states cancel it, and expiry expires it.
+ * @param {Document} booking
+ * @param {string} to - Target payment status
+ * @param {string} actor - 'user' | 'admin' | 'system'
+ * @returns {{from: string, to: string, changed: boolean}}
+ */
+function applyPaymentTransition(booking, to, actor) {
+  const from = booking.paymentStatus;
+  assertPaymentTransition(booking, to, actor);
+
+  booking.paymentStatus = to;
+
+  if (to === 'completed') {
+    if (!booking.paymentCompletedAt) booking.paymentCompletedAt = new Date();
+  } else if (!['refund_pending', 'refunded', 'cancelled'].includes(to)) {
+    // Clear completion time if status changes away from completed
+    booking.paymentCompletedAt = undefined;
+  }
+
+  const lifecycle = currentLifecycleStatus(booking);
+  if (['completed', 'partially_paid'].includes(to) && lifecycle === 'awaiting_payment') {
+    applyLifecycleTransition(booking, 'confirmed', 'system');
+  } else if (['pending', 'receipt_submitted', 'rejected'].includes(to) && lifecycle === 'confirmed') {
+    applyLifecycleTransition(booking, 'awaiting_payment', 'system');
+  } else if (['cancelled', 'refund_pending'].includes(to) && lifecycle !== 'cancelled') {
+    applyLifecycleTransition(booking, 'cancelled', 'system');
+  } else if (to === 'expired' && lifecycle !== 'expired') {
+    applyLifecycleTransition(booking, 'expired', 'system');
+  } else if (!booking.lifecycleStatus) {
+    booking.lifecycleStatus = lifecycle;
+  }
+
+  return { from, to, changed: from !== to };
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  LIFECYCLE_STATUSES,
+  PAYMENT_TRANSITIONS,
+  LIFECYCLE_TRANSITIONS,
+  currentLifecycleStatus,
+  canTransitionPayment,
+  canTransitionLifecycle,
+  assertPaymentTransition,
+  applyPaymentTransition,
+  applyLifecycleTransition,
+};
@@ -0,0 +1,171 @@
+// Transactional emails about a booking: created, receipt uploaded, receipt approved / rejected,
+// plus an alert to the admins when a receipt lands in the review queue.
+//
+// Notifications never hold up or fail the request that triggered them: each function resolves
+// once the email was queued in the outbox (utils/emailOutbox.js) or the failure was logged.
+
+const User = require('../models/User');
+const { payableInstallments, outstandingBalance } = require('./paymentSchedule');
+const { expiryDeadline } = require('./bookingExpiry');
+const { duplicateReceiptBookingIds } = require('./receiptDuplicates');
+const { installmentLabel } = require('./emailTemplates');
+const {
+  sendBookingCreatedEmail,
+  sendReceiptReceivedEmail,
+  sendReceiptApprovedEmail,
+  sendReceiptRejectedEmail,
+  sendAdminReceiptAlertEmail,
+} = require('./emailUtils');
+
+async function deliver(kind, booking, send) {
+  try {
+    await send();
+  } catch (error) {
+    console.error(`[bookingNotifications] Failed to send ${kind}`, {
+      bookingId: booking._id.toString(),
+      error: error.message
+    });
+  }
+}
+
+// The booking's owner; uses the populated userId when the caller already loaded the fields needed
+async function bookingOwner(booking) {
+  const user = booking.userId;
+  if (user && user.email !== undefined && user.preferredLanguage !== undefined) return user;
+  return User.findById(user && user._id ? user._id : user, 'name email preferredLanguage');
+}
+
+/**
+ * Who gets admin alerts: ADMIN_ALERT_EMAILS when set, otherwise every admin account
+ * @returns {Promise<string[]>}
+ */
+async function adminAlertRecipients() {
+  const configured = (process.env.ADMIN_ALERT_EMAILS || '').split(',').map(email => email.trim()).filter(Boolean);
+  if (configured.length > 0) return configured;
+  const admins = await User.find({ role: 'admin' }, 'email');
+  return admins.map(admin => admin.email).filter(Boolean);
+}
+
+/**
+ * Confirm a new booking to its owner
+ * @param {Object} booking
+ */
+async function notifyBookingCreated(booking) {
+  await deliver('booking confirmation', booking, async () => {
+    const owner = await bookingOwner(booking);
+    if (!owner || !owner.email) return;
+    const next = payableInstallments(booking)[0];
+    await sendBookingCreatedEmail(owner.email, {
+      locale: owner.preferredLanguage,
+      name: owner.name,
+      bookingId: booking._id.toString(),
+      serviceName: booking.serviceName,
+      scheduledDate: booking.scheduledDate,
+      numPeople: booking.serviceDetails ? booking.serviceDetails.numPeople : null,
+      totalAmount: booking.totalAmount,
+      amountDue: next ? next.amount : booking.totalAmount,
+      dueDate: next ? next.dueDate : null,
+      expiresAt: expiryDeadline(booking),
+    });
+  });
+}
+
+/**
+ * Acknowledge a receipt to the customer and alert the admins that it needs review
+ * @param {Object} booking
+ * @param {Object} installment - Installment the receipt pays
+ */
+async function notifyReceiptUploaded(booking, installment) {
+  const owner = await bookingOwner(booking).catch(() => null);
+  const details = {
+    bookingId: booking._id.toString(),
+    serviceName: booking.serviceName,
+    amount: installment.amount,
+  };
+
+  await Promise.all([
+    deliver('receipt acknowledgement', booking, async () => {
+      if (!owner || !owner.email) return;
+      await sendReceiptReceivedEmail(owner.email, {
+        ...details,
+        locale: owner.preferredLanguage,
+        name: owner.name,
+        installmentLabel: installmentLabel(installment.kind, owner.preferredLanguage),
+      });
+    }),
+    deliver('admin receipt alert', booking, async () => {
+      const recipients = await adminAlertRecipients();
+      if (recipients.length === 0) return;
+      await sendAdminReceiptAlertEmail(recipients, {
+        ...details,
+        installmentLabel: installmentLabel(installment.kind),
+        customerName: owner ? owner.name : null,
+        customerEmail: owner ? owner.email : null,
+        scheduledDate: booking.scheduledDate,
+        duplicateBookingIds: duplicateReceiptBookingIds(booking),
+      });
+    }),
+  ]);
+}
+
+/**
+ * Tell the customer the outcome of an admin's review
+ * @param {Object} booking - After the review was applied
+ * @param {Object} installment
+ * @param {string} decision - 'approve' | 'reject'
+ * @param {Object} [rejection] - { reason: label shown to the customer, comment }
+ */
+async function notifyReceiptReviewed(booking, installment, decision, { reason, comment } = {}) {
+  await deliver(`receipt ${decision === 'approve' ? 'approval' : 'rejection'}`, booking, async () => {
+    const owner = await bookingOwner(booking);
+    if (!owner || !owner.email) return;
+    const details = {
+      locale: owner.preferredLanguage,
+      name: owner.name,
+      bookingId: booking._id.toString(),
+      serviceName: booking.serviceName,
+      installmentLabel: installmentLabel(installment.kind, owner.preferredLanguage),
+      amount: installment.amount,
+    };
+    if (decision === 'approve') {
+      await sendReceiptApprovedEmail(owner.email, { ...details, outstandingAmount: outstandingBalance(booking) });
+    } else {
+      await sendReceiptRejectedEmail(owner.email, { ...details, reason, comment });
+    }
+  });
+}
+
+/**
+ * Installment statuses before a direct payment status change, for notifyPaymentStatusSet
+ * @param {Object} booking
+ * @returns {Map<string, string>} Installment id -> status
+ */
+function installmentStatuses(booking) {
+  return new Map((booking.installments || []).map(installment => [installment._id.toString(), installment.status]));
+}
+
+/**
+ * Tell the owner about installments an admin approved or rejected by setting the payment status
+ * directly (the general status endpoints), one email per installment that changed
+ * @param {Object} booking - After the change
+ * @param {Map<string, string>} previousStatuses - From installmentStatuses, before the change
+ * @param {Object} [rejection] - { reason, comment }
+ */
+async function notifyPaymentStatusSet(booking, previousStatuses, rejection) {
+  for (const installment of booking.installments || []) {
+    if (previousStatuses.get(installment._id.toString()) === installment.status) continue;
+    if (installment.status === 'completed') {
+      await notifyReceiptReviewed(booking, installment, 'approve');
+    } else if (installment.status === 'rejected') {
+      await notifyReceiptReviewed(booking, installment, 'reject', rejection);
+    }
+  }
+}
+
+module.exports = {
+  notifyBookingCreated,
+  notifyReceiptUploaded,
+  notifyReceiptReviewed,
+  installmentStatuses,
+  notifyPaymentStatusSet,
+};
@@ -0,0 +1,211 @@
+const DailyCapacity = require('../models/DailyCapacity');
+const { toDateKey, addDaysToKey, daysBetweenKeys } = require('./dateUtils');
+
+// Kitchen limits applied to any day without an explicit override
+const DEFAULT_MAX_EVENTS_PER_DAY = Number(process.env.DAILY_MAX_EVENTS) || 3;
+const DEFAULT_MAX_PAX_PER_DAY = Number(process.env.DAILY_MAX_PAX) || 1000;
+
+// Upper bound on the availability calendar so one request can't scan years of dates
+const MAX_AVAILABILITY_RANGE_DAYS = 92;
+
+function capacityError(message, errorCode, extra = {}) {
+  const error = new Error(message);
+  error.errorCode = errorCode;
+  error.isCapacityError = true;
+  Object.assign(error, extra);
+  return error;
+}
+
+function effectiveLimits(doc) {
+  return {
+    maxEvents: doc && doc.maxEvents != null ? doc.maxEvents : DEFAULT_MAX_EVENTS_PER_DAY,
+    maxPax: doc && doc.maxPax != null ? doc.maxPax : DEFAULT_MAX_PAX_PER_DAY,
+  };
+}
+
+// Shape a day's capacity for API responses
+function describeDay(dateKey, doc) {
+  const { maxEvents, maxPax } = effectiveLimits(doc);
+  const bookedEvents = doc ? doc.bookedEvents : 0;
+  const bookedPax = doc ? doc.bookedPax : 0;
+  const closed = !!(doc && doc.closed);
+  const remainingEvents = closed ? 0 : Math.max(0, maxEvents - bookedEvents);
+  const remainingPax = closed ? 0 : Math.max(0, maxPax - bookedPax);
+
+  return {
+    date: dateKey,
+    closed,
+    maxEvents,
+    maxPax,
+    bookedEvents,
+    bookedPax,
+    remainingEvents,
+    remainingPax,
+    available: remainingEvents > 0 && remainingPax > 0,
+  };
+}
+
+/**
+ * Atomically reserve one event slot and `pax` heads on the given day.
+ * The check and the increment happen in a single findOneAndUpdate, so two
+ * concurrent bookings can never both take the last slot.
+ * @param {Date|string} date - Event date
+ * @param {number} pax - Headcount to reserve
+ * @returns {Promise<{dateKey: string, pax: number}>} Reservation to store on the booking
+ */
+async function reserveCapacity(date, pax) {
+  const dateKey = toDateKey(date);
+  if (!dateKey) throw capacityError('Invalid event date.', 'VALIDATION_ERROR');
+
+  // Make sure the day document exists before the conditional increment
+  try {
+    await DailyCapacity.updateOne(
+      { date: dateKey },
+      { $setOnInsert: { date: dateKey } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another request created it first
+    if (error.code !== 11000) throw error;
+  }
+
+  const updated = await DailyCapacity.findOneAndUpdate(
+    {
+      date: dateKey,
+      closed: { $ne: true },
+      $expr: {
+        $and: [
+          { $lt: ['$bookedEvents', { $ifNull: ['$maxEvents', DEFAULT_MAX_EVENTS_PER_DAY] }] },
+          { $lte: [{ $add: ['$bookedPax', pax] }, { $ifNull: ['$maxPax', DEFAULT_MAX_PAX_PER_DAY] }] },
+        ],
+      },
+    },
+    { $inc: { bookedEvents: 1, bookedPax: pax } },
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await DailyCapacity.findOne({ date: dateKey });
+    throw capacityError('The selected date is fully booked.', 'DATE_FULL', {
+      availability: describeDay(dateKey, current),
+    });
+  }
+
+  return { dateKey, pax };
+}
+
+/**
+ * Give back a reservation made by reserveCapacity
+ * @param {{dateKey: string, pax: number}} reservation
+ */
+async function releaseCapacity(reservation) {
+  if (!reservation || !reservation.dateKey) return;
+  const pax = reservation.pax || 0;
+
+  await DailyCapacity.updateOne(
+    { date: reservation.dateKey, bookedEvents: { $gte: 1 }, bookedPax: { $gte: pax } },
+    { $inc: { bookedEvents: -1, bookedPax: -pax } }
+  );
+}
+
+/**
+ * Move an existing reservation to a new date and/or headcount.
+ * The new slot is secured before the old one is given back, so a failed change leaves
+ * the original reservation untouched.
+ * @param {{dateKey: string, pax: number}|null} reservation - Current reservation, if any
+ * @param {Date|string} date - New event date
+ * @param {number} pax - New headcount
+ * @returns {Promise<{dateKey: string, pax: number}>} The reservation to store on the booking
+ */
+async function changeReservation(reservation, date, pax) {
+  const dateKey = toDateKey(date);
+  if (!dateKey) throw capacityError('Invalid event date.', 'VALIDATION_ERROR');
+
+  if (!reservation || !reservation.dateKey) {
+    return reserveCapacity(dateKey, pax);
+  }
+
+  if (reservation.dateKey !== dateKey) {
+    const next = await reserveCapacity(dateKey, pax);
+    await releaseCapacity(reservation);
+    return next;
+  }
+
+  // Same day: only the headcount moves
+  const delta = pax - (reservation.pax || 0);
+  if (delta <= 0) {
+    if (delta < 0) {
+      await DailyCapacity.updateOne(
+        { date: dateKey, bookedPax: { $gte: -delta } },
+        { $inc: { bookedPax: delta } }
+      );
+    }
+    return { dateKey, pax };
+  }
+
+  const updated = await DailyCapacity.findOneAndUpdate(
+    {
+      date: dateKey,
+      closed: { $ne: true },
+      $expr: {
+        $lte: [{ $add: ['$bookedPax', delta] }, { $ifNull: ['$maxPax', DEFAULT_MAX_PAX_PER_DAY] }],
+      },
+    },
+    { $inc: { bookedPax: delta } },
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await DailyCapacity.findOne({ date: dateKey });
+    throw capacityError('The selected date cannot take the extra guests.', 'DATE_FULL', {
+      availability: describeDay(dateKey, current),
+    });
+  }
+
+  return { dateKey, pax };
+}
+
+/**
+ * Build a day-by-day availability calendar
+ * @param {string|Date} from
+ * @param {string|Date} to
+ * @returns {Promise<Array>} One entry per day, inclusive
+ */
+async function getAvailability(from, to) {
+  const fromKey = toDateKey(from);
+  const toKey = toDateKey(to);
+  if (!fromKey || !toKey) {
+    throw capacityError('Valid from and to dates are required.', 'VALIDATION_ERROR');
+  }
+
+  const span = daysBetweenKeys(fromKey, toKey);
+  if (span < 0) {
+    throw capacityError('The from date must not be after the to date.', 'VALIDATION_ERROR');
+  }
+  if (span >= MAX_AVAILABILITY_RANGE_DAYS) {
+    throw capacityError(
+      `Date range cannot exceed ${MAX_AVAILABILITY_RANGE_DAYS} days.`,
+      'VALIDATION_ERROR'
+    );
+  }
+
+  const docs = await DailyCapacity.find({ date: { $gte: fromKey, $lte: toKey } });
+  const byDate = new Map(docs.map(doc => [doc.date, doc]));
+
+  const days = [];
+  for (let offset = 0; offset <= span; offset++) {
+    const dateKey = addDaysToKey(fromKey, offset);
+    days.push(describeDay(dateKey, byDate.get(dateKey)));
+  }
+  return days;
+}
+
+module.exports = {
+  DEFAULT_MAX_EVENTS_PER_DAY,
+  DEFAULT_MAX_PAX_PER_DAY,
+  reserveCapacity,
+  releaseCapacity,
+  changeReservation,
+  getAvailability,
+  describeDay,
+};
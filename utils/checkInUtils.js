@@ -0,0 +1,134 @@
+const Booking = require('../models/Booking');
+const { toDateKey } = require('./dateUtils');
+const { currentLifecycleStatus } = require('./bookingLifecycle');
+const { verifyQRCode } = require('./qrCodeUtils');
+const { buildHistoryEntry } = require('./bookingHistory');
+
+// Payment / lifecycle states that mean the booking will not take place
+const CANCELLED_PAYMENT_STATUSES = ['cancelled', 'refund_pending', 'refunded', 'expired'];
+const INACTIVE_LIFECYCLE_STATUSES = ['cancelled', 'closed', 'no_show', 'expired'];
+
+// What the scanning staff member needs to see; no payment details
+function scanSummary(booking) {
+  const customer = booking.userId && typeof booking.userId === 'object' && booking.userId.name
+    ? booking.userId.name
+    : null;
+  return {
+    bookingId: booking._id.toString(),
+    qrCode: booking.qrCode,
+    customerName: customer,
+    serviceName: booking.serviceName,
+    eventType: booking.serviceDetails ? booking.serviceDetails.eventType : null,
+    numPeople: booking.serviceDetails ? booking.serviceDetails.numPeople : null,
+    scheduledDate: booking.scheduledDate,
+    checkIn: booking.checkIn
+      ? {
+          checkedInAt: booking.checkIn.checkedInAt,
+          checkedInBy: booking.checkIn.checkedInBy ? booking.checkIn.checkedInBy.toString() : null,
+          method: booking.checkIn.method,
+          scannedAt: booking.checkIn.scannedAt || null,
+        }
+      : null,
+  };
+}
+
+const rejected = (errorCode, message, booking, extra = {}) => ({
+  ok: false,
+  errorCode,
+  message,
+  booking: booking ? scanSummary(booking) : null,
+  ...extra,
+});
+
+/**
+ * Redeem one QR scan: the code must be genuine and current, the booking fully paid, scheduled
+ * for the day of the scan and not checked in before. The check-in is written atomically, so two devices scanning
+ * the same code at once cannot both succeed.
+ * @param {Object} scan
+ * @param {string} scan.qrCode
+ * @param {string} scan.staffUserId - User performing the check-in
+ * @param {Object} [scan.req] - Request the scan arrived with, for the booking's history
+ * @param {string} scan.method - 'scan' | 'offline_batch'
+ * @param {Date} [scan.scannedAt] - When an offline scan was taken (defaults to now)
+ * @param {string} [scan.deviceId]
+ * @param {string} [scan.clientScanId] - Device-side id, makes re-uploading the same scan harmless
+ * @returns {Promise<{ok: boolean, errorCode?: string, message: string, booking: Object|null, duplicate?: boolean}>}
+ */
+async function redeemScan({ qrCode, staffUserId, req, method, scannedAt, deviceId, clientScanId }) {
+  const code = typeof qrCode === 'string' ? qrCode.trim() : '';
+  if (!code) return rejected('VALIDATION_ERROR', 'qrCode is required', null);
+
+  // Forged and revoked codes are turned away before the database is consulted
+  const verification = verifyQRCode(code);
+  if (verification.status === 'malformed') return rejected('INVALID_CODE', 'This is not a booking QR code', null);
+  if (verification.status === 'forged') return rejected('FORGED_CODE', 'This QR code failed signature verification', null);
+  if (verification.status === 'revoked') return rejected('QR_REVOKED', 'This QR code has been revoked', null);
+
+  const booking = verification.bookingId
+    ? await Booking.findById(verification.bookingId).populate('userId', 'name')
+    : await Booking.findOne({ qrCode: code }).populate('userId', 'name');
+  if (!booking) return rejected('NOT_FOUND', 'No booking matches this QR code', null);
+
+  // A genuine code that has since been replaced, or revoked on a server whose list hasn't refreshed yet
+  if (booking.qrCode !== code || booking.qrRevokedAt) {
+    return rejected('QR_REVOKED', 'This QR code has been revoked', booking);
+  }
+
+  if (booking.checkIn) {
+    // The same offline scan uploaded twice is not a second entry
+    if (clientScanId && booking.checkIn.clientScanId === clientScanId) {
+      return { ok: true, duplicate: true, message: 'Scan already recorded', booking: scanSummary(booking) };
+    }
+    return rejected('ALREADY_CHECKED_IN', 'This booking has already been checked in', booking);
+  }
+
+  if (CANCELLED_PAYMENT_STATUSES.includes(booking.paymentStatus)
+    || INACTIVE_LIFECYCLE_STATUSES.includes(currentLifecycleStatus(booking))) {
+    return rejected('BOOKING_CANCELLED', 'This booking is no longer active', booking);
+  }
+
+  if (booking.paymentStatus !== 'completed') {
+    return rejected('NOT_PAID', 'This booking has not been fully paid', booking, {
+      paymentStatus: booking.paymentStatus,
+    });
+  }
+
+  const scanTime = scannedAt || new Date();
+  const eventKey = booking.scheduledDate ? toDateKey(booking.scheduledDate) : null;
+  if (eventKey !== toDateKey(scanTime)) {
+    return rejected('WRONG_DATE', `This booking is for ${eventKey || 'an unscheduled date'}, not ${toDateKey(scanTime)}`, booking);
+  }
+
+  const checkIn = {
+    checkedInAt: new Date(),
+    checkedInBy: staffUserId,
+    method,
+    scannedAt: scannedAt || undefined,
+    deviceId: deviceId || undefined,
+    clientScanId: clientScanId || undefined,
+  };
+  const historyEntry = buildHistoryEntry(booking, null, {
+    action: 'checked_in',
+    req,
+    reason: method === 'offline_batch' ? `Offline scan from ${deviceId || 'unknown device'}` : undefined,
+    changes: [{ field: 'checkedIn', from: false, to: true }],
+  });
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, checkIn: null },
+    { $set: { checkIn }, $push: { history: historyEntry } },
+    { new: true }
+  ).populate('userId', 'name');
+
+  if (!updated) {
+    // Another device won the race
+    const current = await Booking.findById(booking._id).populate('userId', 'name');
+    return rejected('ALREADY_CHECKED_IN', 'This booking has already been checked in', current);
+  }
+
+  return { ok: true, message: 'Checked in', booking: scanSummary(updated) };
+}
+
+module.exports = {
+  redeemScan,
+  scanSummary,
+};
@@ -0,0 +1,80 @@
+// Calendar helpers that work in the business timezone rather than the server's
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Asia/Kuala_Lumpur';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Convert a date into a YYYY-MM-DD key for the business timezone
+ * @param {Date|string|number} value
+ * @returns {string|null} Date key, or null for invalid input
+ */
+function toDateKey(value) {
+  if (typeof value === 'string' && DATE_KEY_PATTERN.test(value)) {
+    // Round-trip so impossible dates such as 2026-02-31 are rejected rather than kept as-is
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.toISOString().slice(0, 10) === value ? value : null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: BUSINESS_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+// Today's date key in the business timezone
+function todayKey() {
+  return toDateKey(new Date());
+}
+
+// Add whole days to a date key
+function addDaysToKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().slice(0, 10);
+}
+
+// Number of calendar days from one key to another (negative when `to` is earlier)
+function daysBetweenKeys(from, to) {
+  const toUtc = key => {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(to) - toUtc(from)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * The moment a given date and hour occur in the business timezone
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} [hour] - 0-23, business local time
+ * @returns {Date}
+ */
+function businessTimeToDate(dateKey, hour = 0) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour);
+  // How far the business clock is ahead of UTC at that moment
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: BUSINESS_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+  }).formatToParts(new Date(guess)).map(part => [part.type, part.value]));
+  const local = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute));
+  return new Date(guess - (local - guess));
+}
+
+module.exports = {
+  BUSINESS_TIMEZONE,
+  toDateKey,
+  todayKey,
+  addDaysToKey,
+  daysBetweenKeys,
+  businessTimeToDate,
+};
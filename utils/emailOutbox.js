@@ -0,0 +1,309 @@
+// Email outbox: every email is stored in the OutboxEmail collection and delivered from there, so a
+// mail provider outage delays emails instead of losing them or failing the request that sent them.
+//
+// Queued emails are delivered straight away and, when that fails, retried with exponential backoff
+// by the poller every server runs. Deliveries are claimed with an atomic update (like
+// utils/jobScheduler.js), so an email is sent by one server only. After maxAttempts the email is
+// marked failed and shows up in the admin's failed deliveries, where it can be resent.
+// Sensitive emails (codes, one-time links) get fewer attempts and a deadline instead: past it they
+// fail and their body is deleted, rather than sitting in the database and arriving hours late.
+
+const crypto = require('crypto');
+const os = require('os');
+const OutboxEmail = require('../models/OutboxEmail');
+const { getMailTransport } = require('./mailTransport');
+
+const POLL_INTERVAL_MS = (Number(process.env.EMAIL_OUTBOX_POLL_SECONDS) || 30) * 1000;
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 8;
+const SENSITIVE_MAX_ATTEMPTS = Number(process.env.EMAIL_SENSITIVE_MAX_ATTEMPTS) || 3;
+const SENSITIVE_TTL_MS = (Number(process.env.EMAIL_SENSITIVE_TTL_MINUTES) || 15) * 60 * 1000;
+// A delivery whose server hasn't finished it by then is assumed lost and tried again
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// How long sent emails are kept; failed ones stay until an admin deals with them
+const SENT_RETENTION_DAYS = 30;
+const DELIVERY_LOG_LIMIT = 20;
+const EMAILS_PER_POLL = 50;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Queue a rendered email and start delivering it
+ * @param {Object} email
+ * @param {string} email.kind - Short description for logs, e.g. 'receipt approved'
+ * @param {string|string[]} email.to
+ * @param {Object} email.from - { email, name }
+ * @param {string} email.subject
+ * @param {string} email.html
+ * @param {string} email.text
+ * @param {Object} [email.headers] - Extra message headers
+ * @param {string} [email.template]
+ * @param {string} [email.locale]
+ * @param {boolean} [email.sensitive] - Contains a code or one-time link
+ * @returns {Promise<Object>} The outbox entry
+ */
+async function enqueueEmail({ kind, to, from, subject, html, text, headers, template, locale, sensitive = false }) {
+  const email = await OutboxEmail.create({
+    kind,
+    to: [].concat(to),
+    from,
+    subject,
+    html,
+    text,
+    headers,
+    template,
+    locale,
+    sensitive,
+    maxAttempts: sensitive ? SENSITIVE_MAX_ATTEMPTS : MAX_ATTEMPTS,
+    deliverBy: sensitive ? new Date(Date.now() + SENSITIVE_TTL_MS) : undefined,
+  });
+
+  // Don't make the customer wait for the next poll
+  setImmediate(() => {
+    deliverNext(new Date(), { _id: email._id }).catch(error => {
+      console.error('[emailOutbox] Immediate delivery failed:', error.message);
+    });
+  });
+  return email;
+}
+
+// Sensitive emails too late to be of use; those queued before deadlines existed count from creation
+const pastDeadlineFilter = now => ({
+  sensitive: true,
+  $or: [
+    { deliverBy: { $lte: now } },
+    { deliverBy: { $exists: false }, createdAt: { $lte: new Date(now.getTime() - SENSITIVE_TTL_MS) } },
+  ],
+});
+
+function claimNext(now, filter = {}) {
+  return OutboxEmail.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+      // Past their deadline: left to expireSensitiveEmails
+      $nor: [pastDeadlineFilter(now)],
+    },
+    { $set: { status: 'sending', lockedAt: now, lockedBy: WORKER_ID }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function deliver(email) {
+  const attemptedAt = new Date();
+  let transport = null;
+  const update = (set, logEntry, unset = {}) => OutboxEmail.updateOne(
+    { _id: email._id, lockedBy: WORKER_ID },
+    {
+      $set: set,
+      $unset: { lockedAt: '', lockedBy: '', ...unset },
+      $push: {
+        deliveryLog: {
+          $each: [{ attemptedAt, transport: transport ? transport.name : undefined, ...logEntry }],
+          $slice: -DELIVERY_LOG_LIMIT
+        }
+      },
+    }
+  );
+
+  try {
+    // Inside the try: a misconfigured transport is a failed attempt like any other
+    transport = getMailTransport();
+    const { messageId } = (await transport.send({
+      to: email.to,
+      from: { email: email.from.email, name: email.from.name },
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      headers: email.headers || undefined,
+    })) || {};
+
+    const sentAt = new Date();
+    await update(
+      {
+        status: 'sent',
+        sentAt,
+        transport: transport.name,
+        messageId,
+        expiresAt: new Date(sentAt.getTime() + SENT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+      },
+      { success: true, messageId },
+      // Codes and reset links are not kept once delivered
+      { lastError: '', ...(email.sensitive && { html: '', text: '' }) }
+    );
+    console.log(`[emailOutbox] Sent ${email.kind} email via ${transport.name} to:`, email.to.join(', '));
+  } catch (error) {
+    console.error(`[emailOutbox] Failed to send ${email.kind} email`, {
+      emailId: email._id.toString(),
+      attempt: email.attempts,
+      error: error.message
+    });
+
+    const logEntry = { success: false, error: error.message };
+    const delay = Math.min(MAX_RETRY_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (email.attempts - 1));
+    const pastDeadline = email.deliverBy && Date.now() + delay > email.deliverBy.getTime();
+    if (email.attempts >= email.maxAttempts || pastDeadline) {
+      // A code or reset link is stale by now; the user requests a new one instead
+      await update(
+        { status: 'failed', failedAt: new Date(), lastError: error.message },
+        logEntry,
+        email.sensitive ? { html: '', text: '' } : undefined
+      );
+      return;
+    }
+    await update(
+      { status: 'pending', nextAttemptAt: new Date(Date.now() + delay), lastError: error.message },
+      logEntry
+    );
+  }
+}
+
+async function deliverNext(now, filter) {
+  const email = await claimNext(now, filter);
+  if (!email) return false;
+  await deliver(email);
+  return true;
+}
+
+/**
+ * Fail the sensitive emails that were not delivered by their deadline and delete their bodies
+ * @param {Date} now
+ * @returns {Promise<number>}
+ */
+async function expireSensitiveEmails(now) {
+  const result = await OutboxEmail.updateMany(
+    {
+      $and: [
+        pastDeadlineFilter(now),
+        {
+          $or: [
+            { status: 'pending' },
+            { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+          ],
+        },
+      ],
+    },
+    {
+      $set: { status: 'failed', failedAt: now, lastError: 'Not delivered in time; the user should request a new one' },
+      $unset: { html: '', text: '', lockedAt: '', lockedBy: '' },
+    }
+  );
+  return result.modifiedCount || 0;
+}
+
+/**
+ * Deliver the emails that are due now
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of delivery attempts
+ */
+async function runOutbox(now = new Date()) {
+  const expired = await expireSensitiveEmails(now);
+  if (expired) console.warn(`[emailOutbox] ${expired} email(s) with codes or one-time links expired undelivered`);
+  let count = 0;
+  while (count < EMAILS_PER_POLL && await deliverNext(now)) {
+    count += 1;
+  }
+  return count;
+}
+
+/**
+ * Queue a failed email for delivery again, with a fresh set of attempts. Sensitive emails (codes,
+ * one-time links) can't be resent: their bodies are gone and the user should ask for a new one.
+ * @param {string} id
+ * @param {string} [adminId]
+ * @returns {Promise<Object|null>} The outbox entry, or null when there is none with that id
+ */
+async function resendEmail(id, adminId) {
+  const email = await OutboxEmail.findById(id);
+  if (!email) return null;
+  if (email.sensitive) {
+    const error = new Error('Emails with codes or one-time links cannot be resent; the user should request a new one');
+    error.isResendRejected = true;
+    throw error;
+  }
+
+  const resent = await OutboxEmail.findOneAndUpdate(
+    { _id: email._id, status: 'failed', sensitive: { $ne: true } },
+    {
+      $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), resentAt: new Date(), resentBy: adminId },
+      $unset: { failedAt: '', lastError: '' },
+    },
+    { new: true }
+  );
+  if (!resent) {
+    const error = new Error(`Only failed emails can be resent (this one is ${email.status})`);
+    error.isResendRejected = true;
+    throw error;
+  }
+
+  setImmediate(() => {
+    deliverNext(new Date(), { _id: resent._id }).catch(error => {
+      console.error('[emailOutbox] Immediate delivery failed:', error.message);
+    });
+  });
+  return resent;
+}
+
+/**
+ * Outbox entry as shown to admins. Bodies of sensitive emails are never included.
+ * @param {Object} email
+ * @param {Object} [options]
+ * @param {boolean} [options.includeBody]
+ */
+function describeOutboxEmail(email, { includeBody = false } = {}) {
+  return {
+    id: email._id.toString(),
+    kind: email.kind,
+    template: email.template,
+    locale: email.locale,
+    to: email.to,
+    subject: email.subject,
+    status: email.status,
+    attempts: email.attempts,
+    maxAttempts: email.maxAttempts,
+    nextAttemptAt: email.status === 'pending' ? email.nextAttemptAt : null,
+    lastError: email.lastError || null,
+    transport: email.transport || null,
+    sentAt: email.sentAt || null,
+    failedAt: email.failedAt || null,
+    resentAt: email.resentAt || null,
+    createdAt: email.createdAt,
+    deliveryLog: email.deliveryLog,
+    sensitive: email.sensitive,
+    ...(includeBody && !email.sensitive && { html: email.html, text: email.text }),
+  };
+}
+
+/**
+ * Start polling the outbox for emails that are due (retries, and anything queued while the
+ * previous server was shutting down)
+ */
+function startEmailOutbox() {
+  const poll = () => {
+    if (polling) return;
+    polling = true;
+    runOutbox()
+      .catch(error => console.error('[emailOutbox] Poll failed:', error.message))
+      .finally(() => { polling = false; });
+  };
+  poll();
+  if (!pollTimer) {
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    pollTimer.unref();
+  }
+}
+
+module.exports = {
+  enqueueEmail,
+  runOutbox,
+  resendEmail,
+  describeOutboxEmail,
+  startEmailOutbox,
+};
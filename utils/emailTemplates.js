@@ -0,0 +1,363 @@
+// Renders the Handlebars templates in templates/: transactional emails (HTML + plain text) and the
+// few HTML pages the API serves itself (e.g. the email verification result).
+//
+// Layout:
+//   templates/locales/<locale>.json        subjects, headings and shared strings, per language
+//   templates/email/layouts/               frame around every email (default.html.hbs / default.text.hbs)
+//   templates/email/partials/              reusable blocks, e.g. {{> html/button}}
+//   templates/email/<locale>/<name>.*.hbs  body of each email, per language
+//   templates/pages/...                    same structure for pages
+//
+// A template missing in a language falls back to DEFAULT_LOCALE. Strings in the locale files are
+// Handlebars too, so they can use the template's variables ({{brand}}, {{name}}, ...).
+
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { businessProfile } = require('../config/businessProfile');
+const { BUSINESS_TIMEZONE } = require('./dateUtils');
+
+const TEMPLATE_ROOT = path.join(__dirname, '..', 'templates');
+const SUPPORTED_LOCALES = ['en', 'ms'];
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'en';
+
+const sampleBooking = {
+  name: 'Aisyah Rahman',
+  bookingId: '665f1c2ab4d3e8a1f0c9d123',
+  serviceName: 'Wedding Catering Package',
+  scheduledDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+  numPeople: 150,
+  installmentLabel: 'deposit',
+  amount: 1500,
+  bookingUrl: 'https://example.com/bookings/665f1c2ab4d3e8a1f0c9d123',
+};
+
+// Every email template: header colour, which footer it gets, and the sample data the admin
+// preview renders it with (see GET /api/admin/email-templates). `sensitive` emails carry a code
+// or one-time link, which the outbox does not keep after sending. Emails with a `category` are
+// optional (utils/notificationPreferences.js) and get an unsubscribe link in the footer.
+const EMAIL_TEMPLATES = {
+  verifyEmail: {
+    color: '#4CAF50',
+    footer: 'default',
+    sensitive: true,
+    sample: { verificationUrl: 'https://example.com/api/auth/verify-email?token=sample-token' },
+  },
+  mfaCode: {
+    color: '#2196F3',
+    footer: 'security',
+    security: true,
+    sensitive: true,
+    sample: { mfaCode: '482913' },
+  },
+  passwordReset: {
+    color: '#FF9800',
+    footer: 'security',
+    security: true,
+    sensitive: true,
+    sample: { resetUrl: 'https://example.com/reset-password?token=sample-token' },
+  },
+  recoveryCodeUsed: {
+    color: '#f44336',
+    footer: 'security',
+    security: true,
+    sample: { usedAt: new Date(), remaining: 7, device: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)' },
+  },
+  bookingExpiryWarning: {
+    color: '#FF9800',
+    footer: 'booking',
+    sample: { ...sampleBooking, amountDue: 1500, expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) },
+  },
+  eventReminder: {
+    color: '#2196F3',
+    footer: 'booking',
+    category: 'reminders',
+    sample: {
+      ...sampleBooking,
+      daysBefore: 7,
+      eventType: 'Wedding',
+      qrCode: 'BK-665F1C2A-7Q2M',
+      outstandingAmount: 3500,
+      unsubscribeUrl: 'https://example.com/api/auth/unsubscribe?token=sample-token',
+    },
+  },
+  bookingCreated: {
+    color: '#4CAF50',
+    footer: 'booking',
+    sample: {
+      ...sampleBooking,
+      totalAmount: 5000,
+      amountDue: 1500,
+      dueDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+      expiresAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+    },
+  },
+  receiptReceived: {
+    color: '#2196F3',
+    footer: 'booking',
+    sample: sampleBooking,
+  },
+  receiptApproved: {
+    color: '#4CAF50',
+    footer: 'booking',
+    sample: { ...sampleBooking, outstandingAmount: 3500 },
+  },
+  receiptRejected: {
+    color: '#f44336',
+    footer: 'booking',
+    sample: { ...sampleBooking, reason: 'Amount does not match', comment: 'The receipt shows RM 1,000.00.' },
+  },
+  adminReceiptAlert: {
+    color: '#FF9800',
+    footer: 'admin',
+    signoff: false,
+    sample: {
+      ...sampleBooking,
+      customerName: sampleBooking.name,
+      customerEmail: 'aisyah@example.com',
+      duplicateBookingIds: ['665f1c2ab4d3e8a1f0c9d456'],
+      queueUrl: 'https://example.com/admin',
+    },
+  },
+};
+
+const PAGE_TEMPLATES = {
+  verifyEmail: {
+    // One page, one state per outcome of the verification link
+    states: ['missing_token', 'not_found', 'already_verified', 'verified', 'invalid'],
+  },
+  unsubscribe: {
+    // The link only shows `confirm`; the change is made by the form's POST (RFC 8058)
+    states: ['confirm', 'unsubscribed', 'invalid'],
+  },
+};
+
+const hbs = Handlebars.create();
+const compiled = new Map();
+const locales = new Map();
+
+/**
+ * Map a requested language ("ms", "ms-MY", "EN") onto a supported locale
+ * @param {string} [value]
+ * @returns {string}
+ */
+function resolveLocale(value) {
+  const language = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Best supported locale from a request's Accept-Language header
+ * @param {Object} req
+ * @returns {string}
+ */
+function localeFromRequest(req) {
+  const accepted = String(req.headers['accept-language'] || '')
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { language: tag.toLowerCase().split('-')[0], q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(entry => SUPPORTED_LOCALES.includes(entry.language) && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+  return accepted.length > 0 ? accepted[0].language : DEFAULT_LOCALE;
+}
+
+function loadLocale(locale) {
+  if (!locales.has(locale)) {
+    const file = path.join(TEMPLATE_ROOT, 'locales', `${locale}.json`);
+    locales.set(locale, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return locales.get(locale);
+}
+
+// Locale string by dotted key, falling back to the default locale
+function lookupString(locale, key) {
+  const find = strings => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), strings);
+  const value = find(loadLocale(locale));
+  return value === undefined && locale !== DEFAULT_LOCALE ? find(loadLocale(DEFAULT_LOCALE)) : value;
+}
+
+// Text templates are not HTML-escaped; strings from the locale files are escaped (if at all)
+// where they are inserted
+function compile(source, cacheKey, { text = false } = {}) {
+  const key = `${text ? 'text' : 'html'}:${cacheKey}`;
+  if (!compiled.has(key)) compiled.set(key, hbs.compile(source, { noEscape: text }));
+  return compiled.get(key);
+}
+
+function compileFile(relativePath, options) {
+  return compile(fs.readFileSync(path.join(TEMPLATE_ROOT, relativePath), 'utf8'), relativePath, options);
+}
+
+function interpolate(locale, key, context) {
+  const source = lookupString(locale, key);
+  if (typeof source !== 'string') return '';
+  return compile(source, `${locale}:${key}`, { text: true })(context);
+}
+
+// Path of a template in the locale, or the default locale's when it has no translation
+function localizedPath(dir, locale, file) {
+  const localized = path.join(dir, locale, file);
+  if (fs.existsSync(path.join(TEMPLATE_ROOT, localized))) return localized;
+  return path.join(dir, DEFAULT_LOCALE, file);
+}
+
+function registerPartials() {
+  const partialsDir = path.join(TEMPLATE_ROOT, 'email', 'partials');
+  const walk = dir => fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return walk(file);
+    if (!entry.name.endsWith('.hbs')) return;
+    // partials/html/button.hbs -> {{> html/button}}
+    const name = path.relative(partialsDir, file).replace(/\\/g, '/').replace(/\.hbs$/, '');
+    hbs.registerPartial(name, fs.readFileSync(file, 'utf8'));
+  });
+  walk(partialsDir);
+}
+
+const rootLocale = options => options.data.root.locale || DEFAULT_LOCALE;
+const intlLocale = locale => lookupString(locale, 'intlLocale') || locale;
+
+// {{t "common.viewBooking"}}: a locale string, rendered with the template's variables plus any hash arguments
+hbs.registerHelper('t', function (key, options) {
+  return interpolate(rootLocale(options), key, { ...options.data.root, ...options.hash });
+});
+
+hbs.registerHelper('money', function (amount) {
+  return `${businessProfile.currency} ${Number(amount || 0).toLocaleString('en-MY', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+});
+
+// {{date scheduledDate}}, {{date scheduledDate style="full"}}; a missing date reads "To be confirmed"
+hbs.registerHelper('date', function (value, options) {
+  const locale = rootLocale(options);
+  if (!value) return lookupString(locale, 'common.toBeConfirmed');
+  return new Date(value).toLocaleDateString(intlLocale(locale), {
+    timeZone: BUSINESS_TIMEZONE,
+    dateStyle: options.hash.style || 'medium',
+  });
+});
+
+hbs.registerHelper('dateTime', function (value, options) {
+  return new Date(value).toLocaleString(intlLocale(rootLocale(options)), {
+    timeZone: BUSINESS_TIMEZONE,
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+});
+
+hbs.registerHelper('eq', (a, b) => a === b);
+hbs.registerHelper('gt', (a, b) => Number(a) > Number(b));
+hbs.registerHelper('join', (list, separator) => (Array.isArray(list) ? list.join(typeof separator === 'string' ? separator : ', ') : ''));
+
+registerPartials();
+
+function baseContext(locale, data) {
+  return {
+    brand: businessProfile.name,
+    supportEmail: businessProfile.email,
+    year: new Date().getFullYear(),
+    ...data,
+    // Name of a notification category (reminders, ...) in the language, for unsubscribe wording
+    ...(data.category && { categoryName: lookupString(locale, `notificationCategories.${data.category}`) || data.category }),
+    locale,
+  };
+}
+
+/**
+ * Render an email in a language
+ * @param {string} name - Key of EMAIL_TEMPLATES
+ * @param {string} [locale] - Anything resolveLocale accepts; defaults to DEFAULT_LOCALE
+ * @param {Object} [data] - Template variables
+ * @returns {{ subject: string, html: string, text: string, fromName: string, locale: string, sensitive: boolean, category: string|null }}
+ */
+function renderEmail(name, locale, data = {}) {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  const lang = resolveLocale(locale);
+  const context = baseContext(lang, { ...data, category: template.category });
+
+  const frame = {
+    ...context,
+    color: template.color,
+    heading: interpolate(lang, `emails.${name}.heading`, context),
+    footer: interpolate(lang, `layout.footer.${template.footer}`, context),
+    signoff: template.signoff === false ? '' : interpolate(lang, 'layout.signoff', context),
+  };
+
+  return {
+    subject: interpolate(lang, `emails.${name}.subject`, context),
+    html: compileFile('email/layouts/default.html.hbs')({
+      ...frame,
+      body: compileFile(localizedPath('email', lang, `${name}.html.hbs`))(context),
+    }),
+    text: compileFile('email/layouts/default.text.hbs', { text: true })({
+      ...frame,
+      body: compileFile(localizedPath('email', lang, `${name}.text.hbs`), { text: true })(context).trim(),
+    }).replace(/\n{3,}/g, '\n\n'),
+    fromName: interpolate(lang, template.security ? 'layout.fromNameSecurity' : 'layout.fromName', context),
+    locale: lang,
+    sensitive: Boolean(template.sensitive),
+    category: template.category || null,
+  };
+}
+
+/**
+ * Render one of the HTML pages the API serves
+ * @param {string} name - Key of PAGE_TEMPLATES
+ * @param {string} [locale]
+ * @param {Object} data - Must include `state`; `category` adds its localised `categoryName`
+ * @returns {string} HTML
+ */
+function renderPage(name, locale, data) {
+  const page = PAGE_TEMPLATES[name];
+  if (!page) throw new Error(`Unknown page template: ${name}`);
+  if (!page.states.includes(data.state)) throw new Error(`Unknown ${name} page state: ${data.state}`);
+  const lang = resolveLocale(locale);
+  const context = baseContext(lang, data);
+
+  return compileFile('pages/layouts/default.html.hbs')({
+    ...context,
+    title: interpolate(lang, `pages.${name}.${data.state}.title`, context),
+    body: compileFile(localizedPath('pages', lang, `${name}.html.hbs`))(context),
+  });
+}
+
+/**
+ * Render an email with its sample data, for previews
+ * @param {string} name
+ * @param {string} [locale]
+ * @param {Object} [overrides] - Replaces individual sample variables
+ */
+function renderSampleEmail(name, locale, overrides = {}) {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  const lang = resolveLocale(locale);
+  const sample = { email: 'customer@example.com', ...template.sample, ...overrides };
+  // Installment labels are localised by kind in real emails too
+  if (sample.installmentLabel) sample.installmentLabel = installmentLabel(sample.installmentLabel, lang);
+  return renderEmail(name, lang, sample);
+}
+
+/**
+ * Label of a payment installment kind (deposit, balance, ...) in a language
+ * @param {string} kind
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function installmentLabel(kind, locale) {
+  return lookupString(resolveLocale(locale), `installments.${kind}`) || kind;
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  EMAIL_TEMPLATES,
+  resolveLocale,
+  localeFromRequest,
+  renderEmail,
+  renderPage,
+  renderSampleEmail,
+  installmentLabel,
+};
@@ -0,0 +1,135 @@
+// Reminder emails before a booking's event, sent by the job scheduler (utils/jobScheduler.js).
+//
+// One job per booking, reminder offset and event date. Jobs are (re)scheduled when a booking is
+// created or its date changes; a job for a date the booking no longer has just skips. Each sent
+// reminder is recorded on the booking (remindersSent) so it is never sent twice.
+
+const Booking = require('../models/Booking');
+const { eventReminders } = require('../config/bookingPolicy');
+const { toDateKey, addDaysToKey, businessTimeToDate } = require('./dateUtils');
+const { currentLifecycleStatus } = require('./bookingLifecycle');
+const { approvedAmount, outstandingBalance, CANCELLED_PAYMENT_STATUSES } = require('./paymentSchedule');
+const { scheduleJob, registerJobHandler } = require('./jobScheduler');
+const { sendEventReminderEmail } = require('./emailUtils');
+const { wantsNotification } = require('./notificationPreferences');
+
+const EVENT_REMINDER_JOB = 'event_reminder';
+// Bookings past these are not going ahead (or already happened)
+const INACTIVE_LIFECYCLE_STATUSES = ['cancelled', 'expired', 'delivered', 'no_show', 'closed'];
+
+const reminderKey = (bookingId, daysBefore, dateKey) => `${EVENT_REMINDER_JOB}:${bookingId}:${daysBefore}:${dateKey}`;
+
+/**
+ * Schedule the reminders for a booking's current date; reminders already due are left out
+ * @param {Object} booking
+ * @returns {Promise<number>} Number of reminders scheduled
+ */
+async function scheduleEventReminders(booking) {
+  if (!booking.scheduledDate) return 0;
+  const dateKey = toDateKey(booking.scheduledDate);
+  const now = Date.now();
+
+  let scheduled = 0;
+  for (const daysBefore of eventReminders.daysBefore) {
+    const runAt = businessTimeToDate(addDaysToKey(dateKey, -daysBefore), eventReminders.hour);
+    if (runAt.getTime() <= now) continue;
+    const bookingId = booking._id.toString();
+    await scheduleJob(EVENT_REMINDER_JOB, runAt, { bookingId, daysBefore, dateKey }, {
+      key: reminderKey(bookingId, daysBefore, dateKey),
+    });
+    scheduled += 1;
+  }
+  return scheduled;
+}
+
+/**
+ * Schedule reminders for every active booking with an upcoming event. Run at startup, so
+ * bookings made before reminders existed (or with a changed reminder configuration) are covered;
+ * reminders that are already scheduled are left as they are.
+ * @returns {Promise<number>} Number of bookings checked
+ */
+async function scheduleUpcomingEventReminders() {
+  if (eventReminders.daysBefore.length === 0) return 0;
+  const bookings = await Booking.find(
+    { scheduledDate: { $gte: new Date() }, paymentStatus: { $nin: CANCELLED_PAYMENT_STATUSES } },
+    'scheduledDate'
+  );
+  for (const booking of bookings) {
+    await scheduleEventReminders(booking);
+  }
+  return bookings.length;
+}
+
+// Why a reminder should not be sent, or null
+function reminderSkipReason(booking, { daysBefore, dateKey }) {
+  if (!booking) return 'booking no longer exists';
+  if (!booking.scheduledDate || toDateKey(booking.scheduledDate) !== dateKey) return 'event date changed';
+  if (CANCELLED_PAYMENT_STATUSES.includes(booking.paymentStatus)
+    || INACTIVE_LIFECYCLE_STATUSES.includes(currentLifecycleStatus(booking))) {
+    return 'booking is not active';
+  }
+  // Nothing approved yet; unpaid bookings get payment reminders (utils/bookingExpiry.js) instead
+  if (approvedAmount(booking) <= 0) return 'booking is unpaid';
+  if ((booking.remindersSent || []).some(r => r.daysBefore === daysBefore && r.dateKey === dateKey)) {
+    return 'reminder already sent';
+  }
+  return null;
+}
+
+// Job handler
+async function sendEventReminder(payload) {
+  const { bookingId, daysBefore, dateKey } = payload;
+  const booking = await Booking.findById(bookingId).populate('userId', 'name email preferredLanguage notificationPreferences');
+
+  const skipReason = reminderSkipReason(booking, payload);
+  if (skipReason) return { skipped: skipReason };
+  if (!booking.userId || !booking.userId.email) return { skipped: 'customer has no email address' };
+  if (!wantsNotification(booking.userId, 'reminders')) return { skipped: 'customer unsubscribed from reminders' };
+
+  // Record the reminder before sending: if two servers get here, only one wins this update
+  const sentAt = new Date();
+  const claim = await Booking.updateOne(
+    { _id: booking._id, remindersSent: { $not: { $elemMatch: { daysBefore, dateKey } } } },
+    { $push: { remindersSent: { daysBefore, dateKey, sentAt } } }
+  );
+  if (!claim.modifiedCount) return { skipped: 'reminder already sent' };
+
+  try {
+    await sendEventReminderEmail(booking.userId.email, {
+      locale: booking.userId.preferredLanguage,
+      userId: booking.userId._id,
+      name: booking.userId.name,
+      bookingId: booking._id.toString(),
+      serviceName: booking.serviceName,
+      scheduledDate: booking.scheduledDate,
+      daysBefore,
+      numPeople: booking.serviceDetails ? booking.serviceDetails.numPeople : null,
+      eventType: booking.serviceDetails ? booking.serviceDetails.eventType : null,
+      qrCode: booking.qrCode,
+      outstandingAmount: outstandingBalance(booking),
+    });
+  } catch (error) {
+    // Not queued after all; let the job retry
+    await Booking.updateOne({ _id: booking._id }, { $pull: { remindersSent: { daysBefore, dateKey, sentAt } } });
+    throw error;
+  }
+  return `queued for ${booking.userId.email}`;
+}
+
+/**
+ * Register the reminder job handler and schedule reminders for upcoming bookings.
+ * Call before startJobScheduler.
+ */
+function startEventReminders() {
+  registerJobHandler(EVENT_REMINDER_JOB, sendEventReminder);
+  scheduleUpcomingEventReminders().catch(error => {
+    console.error('[eventReminders] Failed to schedule upcoming reminders:', error.message);
+  });
+}
+
+module.exports = {
+  EVENT_REMINDER_JOB,
+  scheduleEventReminders,
+  scheduleUpcomingEventReminders,
+  startEventReminders,
+};
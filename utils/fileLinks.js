@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+// Signed links are for <img>/<iframe> embedding, where no Authorization header can be sent
+const DEFAULT_LINK_TTL_SECONDS = (Number(process.env.FILE_LINK_TTL_MINUTES) || 15) * 60;
+const MAX_LINK_TTL_SECONDS = 24 * 60 * 60;
+
+let warnedAboutSecret = false;
+
+function linkSecret() {
+  if (process.env.FILE_LINK_SECRET) return process.env.FILE_LINK_SECRET;
+  if (!warnedAboutSecret) {
+    console.warn('⚠️  FILE_LINK_SECRET is not set, deriving file link signing key from JWT_SECRET');
+    warnedAboutSecret = true;
+  }
+  return crypto.createHmac('sha256', process.env.JWT_SECRET || '').update('booking-file-links').digest('hex');
+}
+
+const sign = payload => crypto.createHmac('sha256', linkSecret()).update(payload).digest('base64url');
+
+const backendUrl = () => (process.env.BACKEND_URL || 'https://fyp-project-backend.onrender.com').replace(/\/*$/, '');
+
+// Storage key of a receipt; receipts from before storage keys were written to uploads/receipts
+function receiptStorageKey(receipt) {
+  return receipt.storageKey || `receipts/${receipt.filename}`;
+}
+
+function refundProofStorageKey(refund) {
+  if (refund.proofKey) return refund.proofKey;
+  return refund.proofFilename ? `refunds/${refund.proofFilename}` : null;
+}
+
+/**
+ * Token granting read access to one stored file of one booking until it expires
+ * @param {string} bookingId
+ * @param {string} key - Storage key
+ * @param {number} [ttlSeconds]
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function createFileToken(bookingId, key, ttlSeconds = DEFAULT_LINK_TTL_SECONDS) {
+  const expires = Math.floor(Date.now() / 1000) + Math.min(ttlSeconds, MAX_LINK_TTL_SECONDS);
+  const payload = Buffer.from(JSON.stringify({ b: String(bookingId), k: key, e: expires })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expires * 1000) };
+}
+
+/**
+ * Check a file token
+ * @param {string} token
+ * @returns {{valid: boolean, reason?: string, bookingId?: string, key?: string}}
+ *   reason is 'malformed', 'invalid_signature' or 'expired'
+ */
+function verifyFileToken(token) {
+  const [payload, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+  if (!payload || !signature || extra !== undefined) return { valid: false, reason: 'malformed' };
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (!claims || typeof claims.b !== 'string' || typeof claims.k !== 'string' || !Number.isFinite(claims.e)) {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (claims.e * 1000 < Date.now()) return { valid: false, reason: 'expired' };
+
+  return { valid: true, bookingId: claims.b, key: claims.k };
+}
+
+/**
+ * Short-lived URL to a booking's stored file
+ * @param {string} bookingId
+ * @param {string} key - Storage key
+ * @param {number} [ttlSeconds]
+ * @returns {{url: string, expiresAt: Date}}
+ */
+function signedFileUrl(bookingId, key, ttlSeconds) {
+  const { token, expiresAt } = createFileToken(bookingId, key, ttlSeconds);
+  return { url: `${backendUrl()}/api/files/${token}`, expiresAt };
+}
+
+/**
+ * Signed link to one of a booking's receipts
+ * @param {Object} booking
+ * @param {Object} receipt
+ * @returns {{url: string, expiresAt: Date}}
+ */
+function receiptLink(booking, receipt) {
+  return signedFileUrl(booking._id.toString(), receiptStorageKey(receipt));
+}
+
+/**
+ * Signed link to the proof attached to a booking's refund, or null if there is none
+ * @param {Object} booking
+ * @param {Object} [refund] - One of booking.overpaymentRefunds; the cancellation refund by default
+ * @returns {{url: string, expiresAt: Date}|null}
+ */
+function refundProofLink(booking, refund = booking.refund) {
+  const key = refund ? refundProofStorageKey(refund) : null;
+  return key ? signedFileUrl(booking._id.toString(), key) : null;
+}
+
+/**
+ * Whether a storage key is one of the booking's files (a receipt or a refund proof)
+ * @param {Object} booking
+ * @param {string} key
+ * @returns {boolean}
+ */
+function bookingOwnsFile(booking, key) {
+  if ((booking.receiptUploads || []).some(receipt => receiptStorageKey(receipt) === key)) return true;
+  if ((booking.overpaymentRefunds || []).some(refund => refundProofStorageKey(refund) === key)) return true;
+  return !!(booking.refund && refundProofStorageKey(booking.refund) === key);
+}
+
+/**
+ * Send a stored file as the response. Files are never cached by shared caches.
+ * @param {Object} res - Express response
+ * @param {string} key - Storage key
+ * @param {string} [filename] - Name shown to the browser
+ * @returns {Promise<boolean>} false if the file does not exist (nothing was sent)
+ */
+async function sendStoredFile(res, key, filename) {
+  const object = await getStorage().get(key);
+  if (!object) return false;
+
+  res.set({
+    'Content-Type': object.contentType,
+    'Content-Length': object.size,
+    'Content-Disposition': `inline; filename="${(filename || key.split('/').pop()).replace(/"/g, '')}"`,
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(object.body);
+  return true;
+}
+
+module.exports = {
+  DEFAULT_LINK_TTL_SECONDS,
+  receiptStorageKey,
+  refundProofStorageKey,
+  createFileToken,
+  verifyFileToken,
+  signedFileUrl,
+  receiptLink,
+  refundProofLink,
+  bookingOwnsFile,
+  sendStoredFile,
+};
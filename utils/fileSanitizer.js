@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// File types accepted as receipts / refund proofs, recognised by their leading bytes
+const FILE_SIGNATURES = [
+  { mimeType: 'image/png', extension: '.png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mimeType: 'image/jpeg', extension: '.jpg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+  { mimeType: 'application/pdf', extension: '.pdf', magic: Buffer.from('%PDF-', 'latin1') },
+];
+
+// PDF names that run code or programs when the document is opened or clicked
+const DANGEROUS_PDF_NAMES = ['/JavaScript', '/JS', '/Launch'];
+// Upper bound on inflated stream data we scan, so a compression bomb can't exhaust memory
+const MAX_INFLATED_BYTES = 50 * 1024 * 1024;
+
+// PNG ancillary chunks that carry metadata (EXIF, text, timestamps)
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+// JPEG APPn segments with metadata: APP1 (EXIF, XMP) and APP13 (Photoshop / IPTC)
+const JPEG_METADATA_MARKERS = [0xe1, 0xed];
+const JPEG_COMMENT_MARKER = 0xfe;
+const JPEG_START_OF_SCAN = 0xda;
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+// Build an error that the upload error handler turns into a 400 response
+function uploadRejectedError(message) {
+  const error = new Error(message);
+  error.errorCode = 'INVALID_FILE';
+  error.isUploadRejected = true;
+  return error;
+}
+
+/**
+ * Identify a file from its content, ignoring the name and type the client claimed
+ * @param {Buffer} buffer
+ * @returns {{mimeType: string, extension: string}|null}
+ */
+function detectFileType(buffer) {
+  const match = FILE_SIGNATURES.find(signature =>
+    buffer.length >= signature.magic.length && buffer.subarray(0, signature.magic.length).equals(signature.magic));
+  return match ? { mimeType: match.mimeType, extension: match.extension } : null;
+}
+
+// Names can be written with #xx escapes (/J#61vaScript); decode them before matching
+function decodePdfNames(text) {
+  return text.replace(/\/[^\s/<>[\]()%{}]+/g, name =>
+    name.replace(/#([0-9A-Fa-f]{2})/g, (escape, hex) => String.fromCharCode(parseInt(hex, 16))));
+}
+
+function findDangerousPdfName(text) {
+  const decoded = decodePdfNames(text);
+  return DANGEROUS_PDF_NAMES.find(name => new RegExp(`${name.replace('/', '\\/')}(?![A-Za-z0-9])`).test(decoded)) || null;
+}
+
+/**
+ * Look for JavaScript and launch actions in the document's dictionaries: the text outside
+ * streams, plus Flate-compressed object streams (which can hide dictionaries from a plain
+ * text search). Other stream data (images, fonts) is skipped, as random binary bytes would
+ * eventually spell out a name.
+ * @param {Buffer} buffer
+ * @returns {string|null} The offending name, if any
+ */
+function findDangerousPdfContent(buffer) {
+  const text = buffer.toString('latin1');
+  const outsideStreams = [];
+  let cursor = 0;
+  let inflatedTotal = 0;
+
+  const streamPattern = /stream\r?\n/g;
+  let match;
+  while ((match = streamPattern.exec(text)) !== null) {
+    const start = match.index + match[0].length;
+    const end = text.indexOf('endstream', start);
+    if (end === -1) break;
+
+    outsideStreams.push(text.slice(cursor, match.index));
+    const dictionary = text.slice(Math.max(cursor, text.lastIndexOf('obj', match.index)), match.index);
+    cursor = end + 'endstream'.length;
+    streamPattern.lastIndex = cursor;
+
+    if (!/\/Type\s*\/ObjStm/.test(decodePdfNames(dictionary))) continue;
+
+    const remaining = MAX_INFLATED_BYTES - inflatedTotal;
+    if (remaining <= 0) throw uploadRejectedError('PDF is too large to inspect');
+    let inflated;
+    try {
+      inflated = zlib.inflateSync(buffer.subarray(start, end), { maxOutputLength: remaining });
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw uploadRejectedError('PDF is too large to inspect');
+      // Not Flate data; nothing we can read
+      continue;
+    }
+    inflatedTotal += inflated.length;
+    const found = findDangerousPdfName(inflated.toString('latin1'));
+    if (found) return found;
+  }
+  outsideStreams.push(text.slice(cursor));
+
+  return findDangerousPdfName(outsideStreams.join('\n'));
+}
+
+function pngChunks(buffer) {
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const end = offset + 12 + length;
+    if (end > buffer.length) throw uploadRejectedError('PNG file is corrupt');
+    chunks.push({ type: buffer.toString('latin1', offset + 4, offset + 8), data: buffer.subarray(offset, end) });
+    offset = end;
+    if (chunks[chunks.length - 1].type === 'IEND') break;
+  }
+  return chunks;
+}
+
+/**
+ * Drop metadata chunks from a PNG
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+function stripPngMetadata(buffer) {
+  const kept = pngChunks(buffer).filter(chunk => !PNG_METADATA_CHUNKS.includes(chunk.type));
+  return Buffer.concat([buffer.subarray(0, 8), ...kept.map(chunk => chunk.data)]);
+}
+
+// Read the Orientation tag from an EXIF APP1 payload; phone photos rely on it to display upright
+function readExifOrientation(payload) {
+  if (!payload.subarray(0, EXIF_HEADER.length).equals(EXIF_HEADER)) return null;
+  const tiff = payload.subarray(EXIF_HEADER.length);
+  if (tiff.length < 8) return null;
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = at => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const u32 = at => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+
+  const ifd = u32(4);
+  if (ifd + 2 > tiff.length) return null;
+  const entries = u16(ifd);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) return null;
+    if (u16(entry) === EXIF_ORIENTATION_TAG) {
+      const value = u16(entry + 8);
+      return value >= 1 && value <= 8 ? value : null;
+    }
+  }
+  return null;
+}
+
+// APP1 segment holding nothing but the Orientation tag
+function orientationOnlyExifSegment(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4); // IFD0 follows the header
+  tiff.writeUInt16BE(1, 8); // one entry
+  tiff.writeUInt16BE(EXIF_ORIENTATION_TAG, 10);
+  tiff.writeUInt16BE(3, 12); // SHORT
+  tiff.writeUInt32BE(1, 14); // count
+  tiff.writeUInt16BE(orientation, 18);
+  tiff.writeUInt32BE(0, 22); // no next IFD
+  const payload = Buffer.concat([EXIF_HEADER, tiff]);
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Drop EXIF/XMP/IPTC segments and comments from a JPEG. The image data is copied unchanged;
+ * only the orientation is carried over into a minimal EXIF segment.
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+function stripJpegMetadata(buffer) {
+  const kept = [buffer.subarray(0, 2)];
+  let orientation = null;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) throw uploadRejectedError('JPEG file is corrupt');
+    const marker = buffer[offset + 1];
+    // Fill bytes between segments
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    // Entropy-coded data follows; everything from here on is image data
+    if (marker === JPEG_START_OF_SCAN) {
+      kept.push(buffer.subarray(offset));
+      break;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    if (length < 2 || end > buffer.length) throw uploadRejectedError('JPEG file is corrupt');
+
+    const segment = buffer.subarray(offset, end);
+    if (marker === 0xe1 && orientation === null) {
+      orientation = readExifOrientation(segment.subarray(4));
+    }
+    if (!JPEG_METADATA_MARKERS.includes(marker) && marker !== JPEG_COMMENT_MARKER) {
+      kept.push(segment);
+    }
+    offset = end;
+  }
+
+  if (orientation && orientation !== 1) {
+    // After SOI and JFIF APP0 (if present), where EXIF normally sits
+    const insertAt = kept.length > 1 && kept[1][1] === 0xe0 ? 2 : 1;
+    kept.splice(insertAt, 0, orientationOnlyExifSegment(orientation));
+  }
+  return Buffer.concat(kept);
+}
+
+/**
+ * Check an uploaded file by content and remove what shouldn't be kept
+ * @param {Buffer} buffer - Uploaded bytes
+ * @returns {{buffer: Buffer, mimeType: string, extension: string, sha256: string}}
+ *   The sanitized file; sha256 is of the sanitized bytes, i.e. what is stored
+ * @throws Error flagged isUploadRejected when the file is not an acceptable PNG, JPEG or PDF
+ */
+function sanitizeUploadedFile(buffer) {
+  const type = detectFileType(buffer);
+  if (!type) {
+    throw uploadRejectedError('File content is not a PNG, JPG or PDF file.');
+  }
+
+  let sanitized = buffer;
+  if (type.mimeType === 'application/pdf') {
+    const found = findDangerousPdfContent(buffer);
+    if (found) {
+      throw uploadRejectedError(`PDF files containing scripts or actions (${found}) are not accepted.`);
+    }
+  } else if (type.mimeType === 'image/png') {
+    sanitized = stripPngMetadata(buffer);
+  } else {
+    sanitized = stripJpegMetadata(buffer);
+  }
+
+  return {
+    buffer: sanitized,
+    mimeType: type.mimeType,
+    extension: type.extension,
+    sha256: crypto.createHash('sha256').update(sanitized).digest('hex'),
+  };
+}
+
+module.exports = {
+  detectFileType,
+  findDangerousPdfContent,
+  stripPngMetadata,
+  stripJpegMetadata,
+  sanitizeUploadedFile,
+};
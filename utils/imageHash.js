@@ -0,0 +1,143 @@
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+// dHash grid: each of the 8 rows compares 9 neighbouring cells, giving 64 bits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+// Phone photos of receipts are well under this; larger images aren't worth decoding in-process
+const MAX_RESOLUTION_MP = 40;
+// A decode that takes longer than this is abandoned (no hash)
+const WORKER_TIMEOUT_MS = 15 * 1000;
+
+// Width and height from the PNG header (IHDR is always the first chunk), without inflating anything
+function pngDimensions(buffer) {
+  if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+// Decode to RGBA pixels; null when the image can't be read or is too large
+function decodeImage(buffer, mimeType) {
+  try {
+    if (mimeType === 'image/png') {
+      // A small, highly compressed PNG can declare enough pixels to inflate to gigabytes
+      const size = pngDimensions(buffer);
+      if (!size || size.width * size.height > MAX_RESOLUTION_MP * 1000 * 1000) {
+        console.warn('[imageHash] Skipping PNG over the resolution limit:', size ? `${size.width}x${size.height}` : 'no header');
+        return null;
+      }
+      const image = PNG.sync.read(buffer);
+      return { width: image.width, height: image.height, data: image.data };
+    }
+    if (mimeType === 'image/jpeg') {
+      return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_RESOLUTION_MP });
+    }
+  } catch (err) {
+    console.warn('[imageHash] Could not decode image:', err.message);
+  }
+  return null;
+}
+
+// Shrink to a HASH_WIDTH x HASH_HEIGHT grid of average brightness (transparent pixels count as white)
+function brightnessGrid({ width, height, data }) {
+  const grid = new Float64Array(HASH_WIDTH * HASH_HEIGHT);
+  for (let row = 0; row < HASH_HEIGHT; row++) {
+    const top = Math.floor((row * height) / HASH_HEIGHT);
+    const bottom = Math.max(top + 1, Math.floor(((row + 1) * height) / HASH_HEIGHT));
+    for (let col = 0; col < HASH_WIDTH; col++) {
+      const left = Math.floor((col * width) / HASH_WIDTH);
+      const right = Math.max(left + 1, Math.floor(((col + 1) * width) / HASH_WIDTH));
+      let sum = 0;
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+          const i = (y * width + x) * 4;
+          const alpha = data[i + 3] / 255;
+          const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+          sum += luma * alpha + 255 * (1 - alpha);
+        }
+      }
+      grid[row * HASH_WIDTH + col] = sum / ((bottom - top) * (right - left));
+    }
+  }
+  return grid;
+}
+
+/**
+ * Perceptual (difference) hash of an image. Re-saved, resized or recompressed copies of the
+ * same picture hash to the same or a nearby value.
+ * @param {Buffer} buffer
+ * @param {string} mimeType - 'image/png' | 'image/jpeg'
+ * @returns {string|null} 16 hex characters, or null for other types or unreadable images
+ */
+function perceptualHash(buffer, mimeType) {
+  const image = decodeImage(buffer, mimeType);
+  if (!image || image.width < 2 || image.height < 2) return null;
+
+  const grid = brightnessGrid(image);
+  let hash = '';
+  for (let row = 0; row < HASH_HEIGHT; row++) {
+    let byte = 0;
+    for (let col = 0; col < HASH_WIDTH - 1; col++) {
+      byte = (byte << 1) | (grid[row * HASH_WIDTH + col] < grid[row * HASH_WIDTH + col + 1] ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+  return hash;
+}
+
+/**
+ * Number of differing bits between two perceptual hashes
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function hashDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let diff = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * perceptualHash in a worker thread, so decoding a large image doesn't block other requests
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @returns {Promise<string|null>} Null also when the worker fails or times out
+ */
+function perceptualHashInWorker(buffer, mimeType) {
+  return new Promise((resolve) => {
+    const worker = new Worker(__filename, { workerData: { imageHash: { buffer, mimeType } } });
+    const finish = (hash) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(hash);
+    };
+    const timer = setTimeout(() => {
+      console.warn('[imageHash] Hashing timed out');
+      finish(null);
+    }, WORKER_TIMEOUT_MS);
+
+    worker.once('message', finish);
+    worker.once('error', (err) => {
+      console.warn('[imageHash] Hashing worker failed:', err.message);
+      finish(null);
+    });
+    worker.once('exit', () => finish(null));
+  });
+}
+
+if (!isMainThread && workerData && workerData.imageHash) {
+  const { buffer, mimeType } = workerData.imageHash;
+  parentPort.postMessage(perceptualHash(Buffer.from(buffer), mimeType));
+}
+
+module.exports = {
+  perceptualHash,
+  perceptualHashInWorker,
+  hashDistance,
+};
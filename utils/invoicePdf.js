@@ -0,0 +1,218 @@
+const PDFDocument = require('pdfkit');
+const { businessProfile } = require('../config/businessProfile');
+const { expandServiceDetails } = require('./serviceDetailsUtils');
+const { describePaymentSchedule, INSTALLMENT_LABELS } = require('./paymentSchedule');
+const { toDateKey } = require('./dateUtils');
+const { renderQRCodeImage } = require('./qrCodeUtils');
+
+const PAGE_MARGIN = 50;
+const QR_PRINT_SIZE = 80;
+const CANCELLED_STATUSES = ['cancelled', 'refund_pending', 'refunded'];
+
+const money = amount => `${businessProfile.currency} ${Number(amount || 0).toFixed(2)}`;
+const dateText = value => (value ? toDateKey(value) : '-');
+
+/**
+ * Document number printed on the PDF, stable for a booking.
+ * Fully paid bookings get an official receipt (OR-), everything else an invoice (INV-).
+ * @param {Object} booking
+ * @returns {{kind: string, title: string, number: string}}
+ */
+function invoiceMetaFor(booking) {
+  const suffix = booking._id.toString().slice(-6).toUpperCase();
+  const datePart = dateText(booking.createdAt).replace(/-/g, '');
+  const isReceipt = booking.paymentStatus === 'completed';
+  return {
+    kind: isReceipt ? 'receipt' : 'invoice',
+    title: isReceipt ? 'OFFICIAL RECEIPT' : 'INVOICE',
+    number: `${isReceipt ? 'OR' : 'INV'}-${datePart}-${suffix}`,
+  };
+}
+
+// Draw one table row; columns are [{text, width, align}]
+function drawRow(doc, columns, { bold = false } = {}) {
+  const y = doc.y;
+  let x = PAGE_MARGIN;
+  let rowHeight = 0;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  columns.forEach(column => {
+    const height = doc.heightOfString(column.text, { width: column.width - 6 });
+    doc.text(column.text, x, y, { width: column.width - 6, align: column.align || 'left' });
+    rowHeight = Math.max(rowHeight, height);
+    x += column.width;
+  });
+  doc.x = PAGE_MARGIN;
+  doc.y = y + rowHeight + 4;
+}
+
+function drawRule(doc) {
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).lineWidth(0.5).stroke();
+  doc.moveDown(0.3);
+}
+
+function sectionHeading(doc, text) {
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(11).text(text, PAGE_MARGIN);
+  doc.moveDown(0.3);
+}
+
+/**
+ * Render the invoice / official receipt for a booking
+ * @param {Object} booking - Booking document or plain object
+ * @param {Object} customer - User with name, email, phone
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+async function renderBookingInvoice(booking, customer) {
+  const b = booking.toObject ? booking.toObject() : booking;
+  const meta = invoiceMetaFor(b);
+  const details = expandServiceDetails(b.serviceDetails, b.priceBreakdown);
+  const schedule = describePaymentSchedule(b);
+  const qrImage = await renderQRCodeImage(b.qrCode, 'png', { size: 240, errorCorrection: 'M', margin: 1 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: { Title: `${meta.title} ${meta.number}`, Author: businessProfile.name },
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+
+    // Business header
+    doc.font('Helvetica-Bold').fontSize(16).text(businessProfile.name, PAGE_MARGIN, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(9);
+    [
+      businessProfile.registrationNo ? `Reg. No. ${businessProfile.registrationNo}` : null,
+      businessProfile.address || null,
+      [businessProfile.phone, businessProfile.email].filter(Boolean).join('  |  ') || null,
+    ].filter(Boolean).forEach(line => doc.text(line));
+
+    doc.font('Helvetica-Bold').fontSize(18)
+      .text(meta.title, PAGE_MARGIN, PAGE_MARGIN, { width: contentWidth, align: 'right' });
+    doc.font('Helvetica').fontSize(9)
+      .text(`No: ${meta.number}`, { width: contentWidth, align: 'right' })
+      .text(`Issued: ${dateText(new Date())}`, { width: contentWidth, align: 'right' });
+
+    doc.x = PAGE_MARGIN;
+    doc.y = Math.max(doc.y, PAGE_MARGIN + 70);
+    drawRule(doc);
+
+    // Customer and booking reference
+    const infoTop = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill to', PAGE_MARGIN, infoTop);
+    doc.font('Helvetica').fontSize(9);
+    [customer && customer.name, customer && customer.email, customer && customer.phone]
+      .filter(Boolean)
+      .forEach(line => doc.text(line, PAGE_MARGIN));
+    const leftBottom = doc.y;
+
+    const rightX = PAGE_MARGIN + contentWidth / 2;
+    doc.font('Helvetica-Bold').fontSize(10).text('Booking', rightX, infoTop);
+    doc.font('Helvetica').fontSize(9);
+    [
+      `Reference (QR): ${b.qrCode}`,
+      `Event date: ${dateText(b.scheduledDate)}`,
+      `Event type: ${details.eventType || '-'}`,
+      `Guests: ${details.numPeople || '-'}`,
+      `Payment status: ${b.paymentStatus}`,
+    ].forEach(line => doc.text(line, rightX));
+
+    doc.x = PAGE_MARGIN;
+    doc.y = Math.max(leftBottom, doc.y);
+
+    // Line items
+    sectionHeading(doc, 'Items');
+    const itemColumns = [contentWidth * 0.46, contentWidth * 0.14, contentWidth * 0.2, contentWidth * 0.2];
+    drawRow(doc, [
+      { text: 'Description', width: itemColumns[0] },
+      { text: 'Qty', width: itemColumns[1], align: 'right' },
+      { text: 'Unit price', width: itemColumns[2], align: 'right' },
+      { text: 'Amount', width: itemColumns[3], align: 'right' },
+    ], { bold: true });
+    drawRule(doc);
+    (b.priceBreakdown || []).forEach(line => {
+      drawRow(doc, [
+        { text: line.name + (line.priceType === 'per_pax' ? ' (per guest)' : ''), width: itemColumns[0] },
+        { text: String(line.quantity), width: itemColumns[1], align: 'right' },
+        { text: money(line.unitPrice), width: itemColumns[2], align: 'right' },
+        { text: money(line.amount), width: itemColumns[3], align: 'right' },
+      ]);
+    });
+    drawRule(doc);
+
+    const totalsLabelWidth = itemColumns[0] + itemColumns[1] + itemColumns[2];
+    const totals = [['Total', money(b.totalAmount)], ['Paid', money(schedule.amountApproved)]];
+    if (CANCELLED_STATUSES.includes(b.paymentStatus)) {
+      if (b.cancellation) totals.push(['Refund due', money(b.cancellation.refundAmount)]);
+      if (b.refund) totals.push(['Refunded', money(b.refund.amount)]);
+    } else {
+      totals.push(['Balance due', money(schedule.outstandingAmount)]);
+    }
+    totals.forEach(([label, value]) => {
+      drawRow(doc, [
+        { text: label, width: totalsLabelWidth, align: 'right' },
+        { text: value, width: itemColumns[3], align: 'right' },
+      ], { bold: label === 'Total' });
+    });
+
+    if (details.specialRequests) {
+      sectionHeading(doc, 'Special requests');
+      doc.font('Helvetica').fontSize(9).text(details.specialRequests, PAGE_MARGIN, doc.y, { width: contentWidth });
+    }
+
+    // Payment history
+    sectionHeading(doc, 'Payments');
+    const paymentColumns = [contentWidth * 0.3, contentWidth * 0.18, contentWidth * 0.18, contentWidth * 0.16, contentWidth * 0.18];
+    drawRow(doc, [
+      { text: 'Installment', width: paymentColumns[0] },
+      { text: 'Due', width: paymentColumns[1] },
+      { text: 'Status', width: paymentColumns[2] },
+      { text: 'Paid on', width: paymentColumns[3] },
+      { text: 'Amount', width: paymentColumns[4], align: 'right' },
+    ], { bold: true });
+    drawRule(doc);
+    schedule.installments
+      .filter(installment => installment.status !== 'superseded')
+      .forEach(installment => {
+        drawRow(doc, [
+          { text: INSTALLMENT_LABELS[installment.kind] || installment.kind, width: paymentColumns[0] },
+          { text: installment.dueDate || '-', width: paymentColumns[1] },
+          { text: installment.status === 'completed' ? 'paid' : installment.status, width: paymentColumns[2] },
+          { text: installment.status === 'completed' ? dateText(installment.completedAt) : '-', width: paymentColumns[3] },
+          { text: money(installment.amount), width: paymentColumns[4], align: 'right' },
+        ]);
+      });
+    if (b.refund) {
+      drawRow(doc, [
+        { text: `Refund (ref ${b.refund.bankReference})`, width: paymentColumns[0] },
+        { text: '-', width: paymentColumns[1] },
+        { text: 'refunded', width: paymentColumns[2] },
+        { text: dateText(b.refund.refundedAt), width: paymentColumns[3] },
+        { text: `-${money(b.refund.amount)}`, width: paymentColumns[4], align: 'right' },
+      ]);
+    }
+
+    doc.moveDown(1);
+    if (doc.y + QR_PRINT_SIZE > doc.page.height - PAGE_MARGIN * 2) doc.addPage();
+    doc.image(qrImage, PAGE_MARGIN + (contentWidth - QR_PRINT_SIZE) / 2, doc.y, { width: QR_PRINT_SIZE });
+    doc.y += QR_PRINT_SIZE + 6;
+
+    doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+      `Please quote ${b.qrCode} in all correspondence. This is a computer-generated document; no signature is required.`,
+      PAGE_MARGIN,
+      doc.y,
+      { width: contentWidth, align: 'center' }
+    );
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  invoiceMetaFor,
+  renderBookingInvoice,
+};
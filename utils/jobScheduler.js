@@ -0,0 +1,173 @@
+// Persisted background jobs.
+//
+// Jobs are stored in the ScheduledJob collection with the time they are due. Every server polls
+// for due jobs and claims them one at a time with an atomic update, so a job runs once even with
+// several servers, and jobs scheduled before a restart still run after it.
+//
+// A handler receives the job's payload and may return:
+//   - a string: summary stored on the job
+//   - { skipped: 'reason' }: nothing needed doing (e.g. the booking was cancelled)
+// Throwing retries the job with exponential backoff until maxAttempts is reached.
+
+const crypto = require('crypto');
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+
+const POLL_INTERVAL_MS = (Number(process.env.JOB_POLL_SECONDS) || 60) * 1000;
+// A running job whose server hasn't finished it by then is assumed lost and run again
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// How long finished jobs are kept
+const FINISHED_JOB_RETENTION_DAYS = 30;
+const JOBS_PER_POLL = 50;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const handlers = new Map();
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type
+ * @param {Function} handler - async (payload, job) => string | { skipped: string } | undefined
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Schedule a job. With a key, scheduling the same key again is a no-op, so callers can
+ * (re)schedule freely without creating duplicates.
+ * @param {string} type
+ * @param {Date} runAt
+ * @param {Object} [payload]
+ * @param {Object} [options]
+ * @param {string} [options.key]
+ * @param {number} [options.maxAttempts]
+ * @returns {Promise<Object>} The job
+ */
+async function scheduleJob(type, runAt, payload = {}, { key, maxAttempts } = {}) {
+  const job = { type, runAt, payload, status: 'pending', ...(maxAttempts && { maxAttempts }) };
+  if (!key) return ScheduledJob.create(job);
+
+  return ScheduledJob.findOneAndUpdate(
+    { key },
+    { $setOnInsert: { ...job, key } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+/**
+ * Cancel pending jobs matching a filter (e.g. { type, 'payload.bookingId': id })
+ * @param {Object} filter
+ * @returns {Promise<number>} Number of jobs cancelled
+ */
+async function cancelJobs(filter) {
+  const result = await ScheduledJob.updateMany(
+    { ...filter, status: 'pending' },
+    { $set: { status: 'cancelled', finishedAt: new Date(), expiresAt: retentionEnd(new Date()) } }
+  );
+  return result.modifiedCount;
+}
+
+function retentionEnd(from) {
+  return new Date(from.getTime() + FINISHED_JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Take the next due job (or one abandoned by a crashed server) for this server
+function claimNextJob(now) {
+  return ScheduledJob.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const finish = (status, fields) => ScheduledJob.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    {
+      $set: { status, finishedAt: new Date(), expiresAt: retentionEnd(new Date()), ...fields },
+      $unset: { lockedAt: '', lockedBy: '' },
+    }
+  );
+
+  try {
+    const outcome = await handler(job.payload || {}, job);
+    if (outcome && outcome.skipped) {
+      await finish('skipped', { result: outcome.skipped });
+    } else {
+      await finish('completed', { result: typeof outcome === 'string' ? outcome : undefined });
+    }
+  } catch (error) {
+    console.error(`[jobScheduler] Job ${job.type} failed`, {
+      jobId: job._id.toString(),
+      attempt: job.attempts,
+      error: error.message
+    });
+
+    if (job.attempts >= job.maxAttempts) {
+      await finish('failed', { lastError: error.message });
+      return;
+    }
+    const delay = Math.min(MAX_RETRY_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1));
+    await ScheduledJob.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: { status: 'pending', runAt: new Date(Date.now() + delay), lastError: error.message },
+        $unset: { lockedAt: '', lockedBy: '' },
+      }
+    );
+  }
+}
+
+/**
+ * Run the jobs that are due now
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of jobs run
+ */
+async function runDueJobs(now = new Date()) {
+  let count = 0;
+  while (count < JOBS_PER_POLL) {
+    const job = await claimNextJob(now);
+    if (!job) break;
+    await runJob(job);
+    count += 1;
+  }
+  return count;
+}
+
+/**
+ * Start polling for due jobs. Register the handlers first.
+ */
+function startJobScheduler() {
+  const poll = () => {
+    if (polling) return;
+    polling = true;
+    runDueJobs()
+      .catch(error => console.error('[jobScheduler] Poll failed:', error.message))
+      .finally(() => { polling = false; });
+  };
+  poll();
+  if (!pollTimer) {
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    pollTimer.unref();
+  }
+}
+
+module.exports = {
+  registerJobHandler,
+  scheduleJob,
+  cancelJobs,
+  runDueJobs,
+  startJobScheduler,
+};
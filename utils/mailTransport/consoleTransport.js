@@ -0,0 +1,25 @@
+/**
+ * Prints every email's plain-text version to the console instead of sending it.
+ * For local development; never use it in production (emails carry codes and reset links).
+ * @returns {Object} Mail transport
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    async send({ to, from, subject, text }) {
+      console.log([
+        '[mail:console] ----------------------------------------',
+        `From: ${from.name ? `${from.name} <${from.email}>` : from.email}`,
+        `To: ${Array.isArray(to) ? to.join(', ') : to}`,
+        `Subject: ${subject}`,
+        '',
+        text,
+        '--------------------------------------------------------',
+      ].join('\n'));
+      return {};
+    },
+  };
+}
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,37 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Writes every email to `dir` as an .eml file (open it in any mail client) instead of sending it.
+ * For local development.
+ * @param {Object} options
+ * @param {string} options.dir
+ * @returns {Object} Mail transport
+ */
+function createFileTransport({ dir }) {
+  // Builds the MIME message without sending it anywhere
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+
+    async send({ to, from, subject, html, text, headers }) {
+      const info = await composer.sendMail({
+        to,
+        from: from.name ? { name: from.name, address: from.email } : from.email,
+        subject,
+        html,
+        text,
+        headers,
+      });
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.round(Math.random() * 1e9)}.eml`);
+      await fs.writeFile(file, info.message);
+      console.log(`[mail:file] ${subject} -> ${file}`);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,76 @@
+const os = require('os');
+const path = require('path');
+const { createSendGridTransport } = require('./sendgridTransport');
+const { createSmtpTransport } = require('./smtpTransport');
+const { createFileTransport } = require('./fileTransport');
+const { createConsoleTransport } = require('./consoleTransport');
+
+/*
+ * How emails leave the server. Every transport implements:
+ *   send({ to, from: { email, name }, subject, html, text, headers? }) -> Promise<{ messageId? }>
+ * and rejects when the message was not accepted. Emails are not sent directly by request
+ * handlers: they are queued in the outbox (utils/emailOutbox.js), which calls the transport
+ * and retries failures.
+ */
+
+const MAIL_TRANSPORTS = ['sendgrid', 'smtp', 'file', 'console'];
+
+// SendGrid when it is configured; otherwise console output, except in production where a
+// missing configuration should fail visibly (in the outbox) rather than print emails to the logs
+function defaultTransportName() {
+  if (process.env.SENDGRID_API_KEY || process.env.NODE_ENV === 'production') return 'sendgrid';
+  return 'console';
+}
+
+function createTransportFromEnv() {
+  const transportName = (process.env.EMAIL_TRANSPORT || defaultTransportName()).toLowerCase();
+
+  switch (transportName) {
+    case 'sendgrid':
+      return createSendGridTransport();
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || undefined,
+        secure: process.env.SMTP_SECURE === undefined ? undefined : process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER || process.env.EMAIL_USER,
+        pass: process.env.SMTP_PASS || process.env.EMAIL_PASS,
+      });
+    case 'file':
+      return createFileTransport({
+        dir: process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'booking-emails'),
+      });
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${transportName}" (expected one of: ${MAIL_TRANSPORTS.join(', ')})`);
+  }
+}
+
+let transport = null;
+
+/**
+ * The configured mail transport, created on first use
+ * @returns {Object}
+ */
+function getMailTransport() {
+  if (!transport) {
+    transport = createTransportFromEnv();
+    console.log(`[Mail] Using ${transport.name} mail transport`);
+  }
+  return transport;
+}
+
+/**
+ * Replace the mail transport (tests use one that records messages)
+ * @param {Object} replacement
+ */
+function setMailTransport(replacement) {
+  transport = replacement;
+}
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  getMailTransport,
+  setMailTransport,
+};
@@ -0,0 +1,24 @@
+const { initializeSendGrid, getSendGridClient } = require('../../config/emailConfig');
+
+/**
+ * SendGrid mail transport (SENDGRID_API_KEY)
+ * @returns {Object} Mail transport
+ */
+function createSendGridTransport() {
+  let client = null;
+
+  return {
+    name: 'sendgrid',
+
+    async send(message) {
+      if (!client) {
+        if (!initializeSendGrid()) throw new Error('Email service unavailable');
+        client = getSendGridClient();
+      }
+      const [response] = await client.send(message);
+      return { messageId: response && response.headers ? response.headers['x-message-id'] : undefined };
+    },
+  };
+}
+
+module.exports = { createSendGridTransport };
@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP mail transport through nodemailer
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} [options.port] - 587 by default; 465 implies TLS from the start
+ * @param {boolean} [options.secure]
+ * @param {string} [options.user]
+ * @param {string} [options.pass]
+ * @returns {Object} Mail transport
+ */
+function createSmtpTransport({ host, port = 587, secure, user, pass }) {
+  if (!host) {
+    throw new Error('SMTP mail transport needs SMTP_HOST');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: secure === undefined ? port === 465 : secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ to, from, subject, html, text, headers }) {
+      const info = await transporter.sendMail({
+        to,
+        from: from.name ? { name: from.name, address: from.email } : from.email,
+        subject,
+        html,
+        text,
+        headers,
+      });
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+module.exports = { createSmtpTransport };
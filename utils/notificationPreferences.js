@@ -0,0 +1,89 @@
+// Which optional emails a user wants, and the signed unsubscribe links in those emails.
+//
+// Transactional emails (account security, bookings, payments) are always sent. Everything else
+// belongs to a category the user can turn off, from their settings or with the unsubscribe link
+// in the email itself, which works without logging in.
+
+const crypto = require('crypto');
+
+// Optional email categories and whether they are on for a user who never chose
+const NOTIFICATION_DEFAULTS = {
+  reminders: true,
+  promotions: false,
+  newsletters: false,
+};
+const NOTIFICATION_CATEGORIES = Object.keys(NOTIFICATION_DEFAULTS);
+
+/**
+ * Whether a user wants emails of a category
+ * @param {Object} user
+ * @param {string} [category] - Omitted or 'transactional' for emails that are always sent
+ * @returns {boolean}
+ */
+function wantsNotification(user, category) {
+  if (!category || category === 'transactional') return true;
+  const value = user && user.notificationPreferences ? user.notificationPreferences[category] : undefined;
+  return typeof value === 'boolean' ? value : NOTIFICATION_DEFAULTS[category];
+}
+
+/**
+ * A user's notification settings as shown to them
+ * @param {Object} user
+ * @returns {Object} { transactional: true, reminders, promotions, newsletters }
+ */
+function describeNotificationPreferences(user) {
+  const settings = { transactional: true };
+  for (const category of NOTIFICATION_CATEGORIES) {
+    settings[category] = wantsNotification(user, category);
+  }
+  return settings;
+}
+
+// Unsubscribe links never expire, so they are signed with their own secret when one is set;
+// rotating it invalidates every link already sent
+const unsubscribeSecret = () => process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+
+const signature = payload => crypto
+  .createHmac('sha256', unsubscribeSecret())
+  .update(`unsubscribe:${payload}`)
+  .digest('base64url');
+
+/**
+ * Token for an unsubscribe link: who, from what, and a signature over both
+ * @param {string} userId
+ * @param {string} category
+ * @returns {string}
+ */
+function createUnsubscribeToken(userId, category) {
+  if (!NOTIFICATION_CATEGORIES.includes(category)) {
+    throw new Error(`Unknown notification category: ${category}`);
+  }
+  const payload = `${userId}.${category}`;
+  return `${payload}.${signature(payload)}`;
+}
+
+/**
+ * Check an unsubscribe token
+ * @param {string} token
+ * @returns {{ userId: string, category: string } | null} Null when invalid or tampered with
+ */
+function verifyUnsubscribeToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const [userId, category, given] = parts;
+  if (!NOTIFICATION_CATEGORIES.includes(category)) return null;
+
+  const expected = Buffer.from(signature(`${userId}.${category}`));
+  const actual = Buffer.from(given);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  return { userId, category };
+}
+
+module.exports = {
+  NOTIFICATION_DEFAULTS,
+  NOTIFICATION_CATEGORIES,
+  wantsNotification,
+  describeNotificationPreferences,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+};
@@ -0,0 +1,310 @@
+// Deposit / balance payment schedules.
+//
+// Every booking carries a list of installments whose amounts add up to totalAmount.
+// Receipts pay one installment, admins approve or reject installments one at a time,
+// and paymentStatus is derived from the installments rather than set by hand.
+
+const { roundCurrency } = require('./pricingUtils');
+const { toDateKey, todayKey, addDaysToKey, daysBetweenKeys } = require('./dateUtils');
+const { paymentPlan } = require('../config/bookingPolicy');
+const { assertPaymentTransition, applyPaymentTransition } = require('./bookingLifecycle');
+
+// Installment states that still need money from the customer
+const PAYABLE_STATUSES = ['pending', 'rejected'];
+// Installment states in which the customer has (or claims to have) paid
+const COMMITTED_STATUSES = ['completed', 'receipt_submitted'];
+// How installments are named to customers (emails, invoices)
+const INSTALLMENT_LABELS = {
+  full: 'Full payment',
+  deposit: 'Deposit',
+  balance: 'Balance',
+  supplementary: 'Additional payment',
+};
+// Payment states that mean the booking has already been cancelled (or expired unpaid)
+const CANCELLED_PAYMENT_STATUSES = ['cancelled', 'refund_pending', 'refunded', 'expired'];
+
+const sumAmounts = installments => roundCurrency(installments.reduce((sum, i) => sum + i.amount, 0));
+
+// Earliest due date first; installments without one go last
+const byDueDate = (a, b) => (a.dueDate || '9999-12-31').localeCompare(b.dueDate || '9999-12-31');
+
+/**
+ * Build the installments for a new booking
+ * @param {number} total - Booking totalAmount
+ * @param {Date|string} scheduledDate - Event date
+ * @param {Date} [bookedAt] - When the booking is made
+ * @returns {Array<{kind: string, amount: number, dueDate: string, status: string}>}
+ */
+function buildPaymentSchedule(total, scheduledDate, bookedAt = new Date()) {
+  const eventKey = scheduledDate ? toDateKey(scheduledDate) : null;
+  let firstDue = addDaysToKey(toDateKey(bookedAt), paymentPlan.depositDueDays);
+  if (eventKey && daysBetweenKeys(firstDue, eventKey) < 0) firstDue = eventKey;
+
+  const balanceDue = eventKey ? addDaysToKey(eventKey, -paymentPlan.balanceDueDaysBeforeEvent) : null;
+  const deposit = roundCurrency(total * paymentPlan.depositPercent / 100);
+
+  // Small bookings, and bookings made too close to the event for two payments, are paid in one go
+  const splitPayment = total >= paymentPlan.depositMinimumTotal
+    && deposit > 0 && deposit < total
+    && balanceDue && daysBetweenKeys(firstDue, balanceDue) > 0;
+
+  if (!splitPayment) {
+    return [{ kind: 'full', amount: roundCurrency(total), dueDate: firstDue, status: 'pending' }];
+  }
+
+  return [
+    { kind: 'deposit', amount: deposit, dueDate: firstDue, status: 'pending' },
+    { kind: 'balance', amount: roundCurrency(total - deposit), dueDate: balanceDue, status: 'pending' },
+  ];
+}
+
+// Single installment mirroring the payment status of a booking made before payment schedules existed
+function legacyInstallments(booking) {
+  const status = ['completed', 'receipt_submitted', 'rejected'].includes(booking.paymentStatus)
+    ? booking.paymentStatus
+    : 'pending';
+  return [{
+    kind: 'full',
+    amount: booking.totalAmount,
+    dueDate: toDateKey(booking.scheduledDate || booking.createdAt || new Date()),
+    status,
+    completedAt: status === 'completed' ? booking.paymentCompletedAt : undefined,
+  }];
+}
+
+// Installments that are part of the current schedule
+function activeInstallments(booking) {
+  const installments = booking.installments && booking.installments.length > 0
+    ? booking.installments
+    : legacyInstallments(booking);
+  return installments.filter(i => i.status !== 'superseded');
+}
+
+/**
+ * Give a booking made before payment schedules existed its legacy installment,
+ * so it can be paid and reviewed like any other. No-op for bookings that already have a schedule.
+ * @param {Document} booking
+ */
+function ensurePaymentSchedule(booking) {
+  if (booking.installments && booking.installments.length > 0) return;
+  booking.installments = legacyInstallments(booking);
+}
+
+// Overpayments already paid back to the customer after the total was lowered
+function refundedOverpayment(booking) {
+  return sumAmounts(booking.overpaymentRefunds || []);
+}
+
+// Total approved by an admin, less overpayments paid back
+function approvedAmount(booking) {
+  return roundCurrency(sumAmounts(activeInstallments(booking).filter(i => i.status === 'completed'))
+    - refundedOverpayment(booking));
+}
+
+// Total approved or with a receipt under review, less overpayments paid back
+function committedAmount(booking) {
+  return roundCurrency(sumAmounts(activeInstallments(booking).filter(i => COMMITTED_STATUSES.includes(i.status)))
+    - refundedOverpayment(booking));
+}
+
+// Overpayment still owed back to the customer
+function refundDueAmount(booking) {
+  return booking.refundDue ? booking.refundDue.amount : 0;
+}
+
+// Amount still to be paid and approved; receipts under review do not count as paid yet
+function outstandingBalance(booking) {
+  if (CANCELLED_PAYMENT_STATUSES.includes(booking.paymentStatus)) return 0;
+  return Math.max(0, roundCurrency(booking.totalAmount - approvedAmount(booking)));
+}
+
+// Installments the customer can still pay, earliest due first
+function payableInstallments(booking) {
+  return activeInstallments(booking).filter(i => PAYABLE_STATUSES.includes(i.status)).sort(byDueDate);
+}
+
+function findInstallment(booking, installmentId) {
+  if (!installmentId) return null;
+  return (booking.installments || []).find(i => i._id && i._id.toString() === String(installmentId)) || null;
+}
+
+// Oldest receipt awaiting review
+function installmentUnderReview(booking) {
+  return activeInstallments(booking).find(i => i.status === 'receipt_submitted') || null;
+}
+
+/**
+ * Payment status implied by the installments
+ * @param {Document} booking
+ * @returns {string}
+ */
+function derivePaymentStatus(booking) {
+  const installments = activeInstallments(booking);
+  const approved = approvedAmount(booking);
+
+  if (approved > 0 && approved >= roundCurrency(booking.totalAmount)) return 'completed';
+  if (approved > 0) return 'partially_paid';
+  if (installments.some(i => i.status === 'receipt_submitted')) return 'receipt_submitted';
+  if (installments.some(i => i.status === 'rejected')) return 'rejected';
+  return 'pending';
+}
+
+/**
+ * Bring paymentStatus in line with the installments (does not save)
+ * @param {Document} booking
+ * @param {string} actor - 'user' | 'admin' | 'system'
+ * @returns {{from: string, to: string, changed: boolean}}
+ */
+function syncPaymentStatus(booking, actor) {
+  return applyPaymentTransition(booking, derivePaymentStatus(booking), actor);
+}
+
+/**
+ * Set a payment status directly (legacy status endpoints) by moving the installments to match.
+ * The requested move is checked against the transition table first.
+ * @param {Document} booking
+ * @param {string} status - 'pending' | 'receipt_submitted' | 'completed' | 'rejected'
+ * @param {string} actor - 'user' | 'admin'
+ * @param {string} [approvedBy] - Admin user id recorded on approved installments
+ * @returns {{from: string, to: string, changed: boolean}}
+ */
+function setPaymentStatus(booking, status, actor, approvedBy) {
+  assertPaymentTransition(booking, status, actor);
+  ensurePaymentSchedule(booking);
+
+  const installments = activeInstallments(booking);
+  if (status === 'completed') {
+    installments.filter(i => i.status !== 'completed').forEach(i => {
+      i.status = 'completed';
+      i.completedAt = new Date();
+      i.approvedBy = approvedBy;
+    });
+  } else if (status === 'pending') {
+    installments.forEach(i => {
+      i.status = 'pending';
+      i.completedAt = undefined;
+      i.approvedBy = undefined;
+    });
+  } else if (status === 'rejected') {
+    installments.filter(i => i.status === 'receipt_submitted').forEach(i => { i.status = 'rejected'; });
+  } else if (status === 'receipt_submitted') {
+    // Admins send approved payments back for review; customers flag the next payment as sent
+    const approved = installments.filter(i => i.status === 'completed');
+    const targets = actor === 'admin' && approved.length > 0 ? approved : payableInstallments(booking).slice(0, 1);
+    targets.forEach(i => {
+      i.status = 'receipt_submitted';
+      i.completedAt = undefined;
+      i.approvedBy = undefined;
+    });
+  }
+
+  return syncPaymentStatus(booking, actor);
+}
+
+/**
+ * Re-plan the unpaid part of the schedule after the booking total or date changed (does not save).
+ * Unpaid installments are superseded; paid ones stand. A booking with nothing paid gets a fresh
+ * schedule, otherwise the remainder becomes one balance (or, if it was fully paid, supplementary) installment.
+ * When the new total is below what was already paid or is under review, the difference is recorded as
+ * booking.refundDue (and on the revision) for an admin to pay back.
+ * @param {Document} booking - Booking with its new totalAmount / scheduledDate already set
+ * @param {number} revision - Revision number the change was recorded under
+ * @returns {Array} Installments added
+ */
+function rescheduleUnpaid(booking, revision) {
+  ensurePaymentSchedule(booking);
+
+  const wasFullyPaid = booking.paymentStatus === 'completed';
+  const committed = committedAmount(booking);
+  payableInstallments(booking).forEach(i => { i.status = 'superseded'; });
+
+  const remaining = roundCurrency(booking.totalAmount - committed);
+  // Replaces any earlier overpayment: a later revision may have raised the total again
+  booking.refundDue = remaining < 0 ? { amount: -remaining, revision, recordedAt: new Date() } : undefined;
+  const entry = (booking.revisions || []).find(r => r.revision === revision);
+  if (entry) entry.refundDue = remaining < 0 ? -remaining : undefined;
+  if (remaining <= 0) return [];
+
+  let added;
+  if (committed === 0) {
+    added = buildPaymentSchedule(booking.totalAmount, booking.scheduledDate, new Date());
+  } else {
+    // Usual balance due date, but never sooner than a new deposit would be due nor after the event
+    const eventKey = booking.scheduledDate ? toDateKey(booking.scheduledDate) : null;
+    const earliest = addDaysToKey(todayKey(), paymentPlan.depositDueDays);
+    let dueDate = eventKey ? addDaysToKey(eventKey, -paymentPlan.balanceDueDaysBeforeEvent) : earliest;
+    if (dueDate < earliest) dueDate = earliest;
+    if (eventKey && dueDate > eventKey) dueDate = eventKey;
+    added = [{
+      kind: wasFullyPaid ? 'supplementary' : 'balance',
+      amount: remaining,
+      dueDate,
+      status: 'pending',
+    }];
+  }
+
+  added.forEach(installment => {
+    booking.installments.push({
+      ...installment,
+      reason: `Booking modification (revision ${revision})`,
+      revision,
+    });
+  });
+  return booking.installments.slice(-added.length);
+}
+
+/**
+ * Schedule summary for API responses
+ * @param {Object} booking - Booking document or plain object
+ * @returns {Object}
+ */
+function describePaymentSchedule(booking) {
+  const today = todayKey();
+  const describe = i => ({
+    id: i._id ? i._id.toString() : null,
+    kind: i.kind,
+    amount: i.amount,
+    dueDate: i.dueDate || null,
+    status: i.status,
+    overdue: PAYABLE_STATUSES.includes(i.status) && !!i.dueDate && i.dueDate < today,
+    reason: i.reason || null,
+    revision: i.revision || null,
+    createdAt: i.createdAt,
+    completedAt: i.completedAt || null,
+  });
+  const source = booking.installments && booking.installments.length > 0
+    ? booking.installments
+    : legacyInstallments(booking);
+  const cancelled = CANCELLED_PAYMENT_STATUSES.includes(booking.paymentStatus);
+  const next = cancelled ? null : payableInstallments(booking)[0];
+
+  return {
+    installments: source.map(describe),
+    amountApproved: approvedAmount(booking),
+    amountUnderReview: sumAmounts(activeInstallments(booking).filter(i => i.status === 'receipt_submitted')),
+    outstandingAmount: outstandingBalance(booking),
+    refundDueAmount: refundDueAmount(booking),
+    nextInstallment: next ? describe(next) : null,
+  };
+}
+
+module.exports = {
+  PAYABLE_STATUSES,
+  CANCELLED_PAYMENT_STATUSES,
+  INSTALLMENT_LABELS,
+  buildPaymentSchedule,
+  ensurePaymentSchedule,
+  activeInstallments,
+  approvedAmount,
+  committedAmount,
+  refundDueAmount,
+  outstandingBalance,
+  payableInstallments,
+  findInstallment,
+  installmentUnderReview,
+  derivePaymentStatus,
+  syncPaymentStatus,
+  setPaymentStatus,
+  rescheduleUnpaid,
+  describePaymentSchedule,
+};
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+
+// Amounts are compared after rounding to cents; anything within this tolerance is a match
+const PRICE_TOLERANCE = 0.01;
+
+function roundCurrency(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+// Build an error that controllers can translate directly into a 400 response
+function pricingError(message, field, errorCode = 'INVALID_SERVICE_DETAILS') {
+  const error = new Error(message);
+  error.errorCode = errorCode;
+  error.field = field;
+  error.isPricingError = true;
+  return error;
+}
+
+/**
+ * Parse serviceDetails coming from the client.
+ * The frontend sends either a JSON string or a plain object.
+ * @param {string|Object} input
+ * @returns {Object}
+ */
+function parseServiceDetails(input) {
+  if (input && typeof input === 'object' && !Array.isArray(input)) return input;
+
+  if (typeof input === 'string' && input.trim()) {
+    try {
+      const parsed = JSON.parse(input);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (e) {
+      // fall through to the error below
+    }
+  }
+
+  throw pricingError('Service details must be a valid JSON object.', 'serviceDetails');
+}
+
+// Accepts an ObjectId string, a catalog code, or an object carrying either
+function toReference(value) {
+  if (value == null || value === '') return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (typeof value === 'object') {
+    return toReference(value._id || value.id || value.code);
+  }
+  return String(value).trim();
+}
+
+async function findCatalogItem(value, category, field) {
+  const ref = toReference(value);
+  if (!ref) return null;
+
+  const query = mongoose.Types.ObjectId.isValid(ref)
+    ? { $or: [{ _id: ref }, { code: ref.toLowerCase() }] }
+    : { code: ref.toLowerCase() };
+
+  const item = await Service.findOne({ ...query, category, isActive: true });
+  if (!item) {
+    throw pricingError(`Unknown or unavailable ${category}: ${ref}`, field, 'UNKNOWN_SERVICE');
+  }
+  return item;
+}
+
+function lineItemFor(item, numPeople) {
+  const quantity = item.priceType === 'per_pax' ? numPeople : 1;
+  return {
+    serviceId: item._id,
+    code: item.code,
+    name: item.name,
+    category: item.category,
+    priceType: item.priceType,
+    unitPrice: item.price,
+    quantity,
+    amount: roundCurrency(item.price * quantity),
+  };
+}
+
+/**
+ * Price a booking from its service details using the catalog.
+ * @param {Object} details - Parsed serviceDetails (foodPackage, numPeople, selectedSides, drink, dessert)
+ * @returns {Promise<{total: number, lineItems: Array, foodPackage: Object, numPeople: number}>}
+ */
+async function calculateBookingPrice(details = {}) {
+  const numPeople = Number(details.numPeople);
+  if (!Number.isInteger(numPeople) || numPeople < 1) {
+    throw pricingError('Number of people must be a whole number of at least 1.', 'serviceDetails.numPeople');
+  }
+
+  if (!toReference(details.foodPackage)) {
+    throw pricingError('A food package must be selected.', 'serviceDetails.foodPackage');
+  }
+
+  const foodPackage = await findCatalogItem(details.foodPackage, 'foodPackage', 'serviceDetails.foodPackage');
+
+  if (foodPackage.minPax && numPeople < foodPackage.minPax) {
+    throw pricingError(
+      `${foodPackage.name} requires at least ${foodPackage.minPax} people.`,
+      'serviceDetails.numPeople'
+    );
+  }
+  if (foodPackage.maxPax && numPeople > foodPackage.maxPax) {
+    throw pricingError(
+      `${foodPackage.name} allows at most ${foodPackage.maxPax} people.`,
+      'serviceDetails.numPeople'
+    );
+  }
+
+  const lineItems = [lineItemFor(foodPackage, numPeople)];
+
+  const sides = Array.isArray(details.selectedSides)
+    ? details.selectedSides
+    : details.selectedSides ? [details.selectedSides] : [];
+
+  const seenSides = new Set();
+  for (const side of sides) {
+    const item = await findCatalogItem(side, 'side', 'serviceDetails.selectedSides');
+    if (!item || seenSides.has(item._id.toString())) continue;
+    seenSides.add(item._id.toString());
+    lineItems.push(lineItemFor(item, numPeople));
+  }
+
+  const drink = await findCatalogItem(details.drink, 'drink', 'serviceDetails.drink');
+  if (drink) lineItems.push(lineItemFor(drink, numPeople));
+
+  const dessert = await findCatalogItem(details.dessert, 'dessert', 'serviceDetails.dessert');
+  if (dessert) lineItems.push(lineItemFor(dessert, numPeople));
+
+  const total = roundCurrency(lineItems.reduce((sum, line) => sum + line.amount, 0));
+
+  return { total, lineItems, foodPackage, numPeople };
+}
+
+/**
+ * Check a client-supplied total against the server-computed one.
+ * @returns {boolean} True when no total was supplied or it matches
+ */
+function amountsMatch(clientAmount, serverAmount) {
+  if (clientAmount === undefined || clientAmount === null || clientAmount === '') return true;
+  const amount = Number(clientAmount);
+  if (Number.isNaN(amount)) return false;
+  return Math.abs(roundCurrency(amount) - roundCurrency(serverAmount)) < PRICE_TOLERANCE;
+}
+
+module.exports = {
+  parseServiceDetails,
+  calculateBookingPrice,
+  amountsMatch,
+  roundCurrency,
+  pricingError,
+};
@@ -1,90 +1,102 @@
 const crypto = require('crypto');
-const Booking = require('../models/Booking');
+const QRCode = require('qrcode');
+const RevokedQRCode = require('../models/RevokedQRCode');
+
+const QR_IMAGE_MIN_SIZE = 64;
+const QR_IMAGE_MAX_SIZE = 2048;
+const QR_ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Rendering defaults for QR images; size is the image width in pixels
+const defaultErrorCorrection = (process.env.QR_ERROR_CORRECTION || 'M').toUpperCase();
+const QR_IMAGE_DEFAULTS = {
+  size: Number(process.env.QR_IMAGE_SIZE) || 300,
+  errorCorrection: QR_ERROR_CORRECTION_LEVELS.includes(defaultErrorCorrection) ? defaultErrorCorrection : 'M',
+  margin: 4,
+};
+
+// Signed:  QR-{issuedAt ms}-{booking id}-{HMAC}    e.g. QR-1702224600000-65A1F0C2B3D4E5F60718293A-9F3C2A7B1E5D4C60
+// Legacy:  QR-{timestamp}-{random}-{random}      e.g. QR-1702224600000-A3F9B2-7E4C (issued before signing; checked against the database)
+const SIGNED_QR_PATTERN = /^QR-(\d{13})-([A-F0-9]{24})-([A-F0-9]{16})$/;
+const LEGACY_QR_PATTERN = /^QR-\d{13}-[A-F0-9]{6}-[A-F0-9]{4}$/;
+
+// How long after the event a revoked code is still remembered
+const REVOCATION_RETENTION_DAYS = 30;
+const REVOCATION_REFRESH_MS = (Number(process.env.QR_REVOCATION_REFRESH_MINUTES) || 5) * 60 * 1000;
+
+let warnedAboutSecret = false;
 
 /**
- * Generate a unique QR code for a booking
- * Format: QR-{timestamp}-{random}-{checksum}
- * Example: QR-1702224600000-A3F9B2-7E4C
- * 
- * @param {number} maxRetries - Maximum number of attempts to generate unique code
- * @returns {Promise<string>} Unique QR code
+ * Secrets QR codes are signed with: the current one first, then any still-accepted previous ones
+ * @returns {string[]}
  */
-async function generateUniqueQRCode(maxRetries = 5) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      // Generate components
-      const timestamp = Date.now();
-      const randomHex = crypto.randomBytes(3).toString('hex').toUpperCase();
-      const randomSuffix = crypto.randomBytes(2).toString('hex').toUpperCase();
-      
-      // Create QR code with format: QR-timestamp-random-checksum
-      const qrCode = `QR-${timestamp}-${randomHex}-${randomSuffix}`;
-      
-      // Check if this QR code already exists in database
-      const existing = await Booking.findOne({ qrCode });
-      
-      if (!existing) {
-        console.log(`[QRCode] Generated unique QR code: ${qrCode} (attempt ${attempt})`);
-        return qrCode;
-      }
-      
-      console.warn(`[QRCode] Collision detected: ${qrCode} already exists (attempt ${attempt})`);
-      
-      // Add small delay before retry to ensure different timestamp
-      if (attempt < maxRetries) {
-        await new Promise(resolve => setTimeout(resolve, 10));
-      }
-    } catch (error) {
-      console.error(`[QRCode] Error during generation attempt ${attempt}:`, error);
-      if (attempt === maxRetries) {
-        throw new Error('Failed to generate unique QR code after maximum retries');
-      }
+function signingSecrets() {
+  let current = process.env.QR_SIGNING_SECRET;
+  if (!current) {
+    if (!warnedAboutSecret) {
+      console.warn('⚠️  QR_SIGNING_SECRET is not set, deriving QR signing key from JWT_SECRET');
+      warnedAboutSecret = true;
     }
+    current = crypto.createHmac('sha256', process.env.JWT_SECRET || '').update('booking-qr-signing').digest('hex');
   }
-  
-  throw new Error('Failed to generate unique QR code after maximum retries');
+  const previous = (process.env.QR_SIGNING_PREVIOUS_SECRETS || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+  return [current, ...previous];
+}
+
+function signPayload(bookingId, issuedAt, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${String(bookingId).toLowerCase()}:${issuedAt}`)
+    .digest('hex')
+    .slice(0, 16)
+    .toUpperCase();
 }
 
 /**
- * Validate QR code format
- * @param {string} qrCode - QR code to validate
- * @returns {boolean} True if valid format
+ * Create the signed QR code for a booking
+ * @param {string|ObjectId} bookingId
+ * @param {number} [issuedAt] - Issue time in ms
+ * @returns {string}
  */
-function isValidQRCodeFormat(qrCode) {
-  if (!qrCode || typeof qrCode !== 'string') {
-    return false;
-  }
-  
-  // Format: QR-{13-digit-timestamp}-{6-hex-chars}-{4-hex-chars}
-  const qrCodePattern = /^QR-\d{13}-[A-F0-9]{6}-[A-F0-9]{4}$/;
-  return qrCodePattern.test(qrCode);
+function createSignedQRCode(bookingId, issuedAt = Date.now()) {
+  const id = String(bookingId).toUpperCase();
+  return `QR-${issuedAt}-${id}-${signPayload(id, issuedAt, signingSecrets()[0])}`;
 }
 
 /**
- * Generate QR code with collision detection and retry logic
- * @param {Object} bookingData - Booking data for context
- * @returns {Promise<string>} Unique QR code
+ * Generate the QR code for a booking; the booking id must be known (pre-generate the _id)
+ * @param {Object} bookingData - Booking data, must include _id
+ * @returns {Promise<string>} Signed QR code
  */
 async function generateBookingQRCode(bookingData = {}) {
   try {
+    if (!bookingData._id) {
+      throw new Error('A booking id is required to generate its QR code');
+    }
+
     console.log('[QRCode] Generating QR code for booking', {
+      bookingId: bookingData._id.toString(),
       userId: bookingData.userId?.toString() || 'UNKNOWN',
       serviceName: bookingData.serviceName || 'UNKNOWN'
     });
-    
-    const qrCode = await generateUniqueQRCode();
-    
+
+    const qrCode = createSignedQRCode(bookingData._id);
+
     // Validate format before returning
     if (!isValidQRCodeFormat(qrCode)) {
-      throw new Error(`Generated QR code has invalid format: ${qrCode}`);
+      throw new Error('Generated QR code has invalid format');
     }
-    
-    console.log('[QRCode] Successfully generated and validated QR code:', qrCode);
+
+    // The code itself admits the booking, so it is never logged
+    console.log('[QRCode] Successfully generated signed QR code', { bookingId: bookingData._id.toString() });
     return qrCode;
   } catch (error) {
     console.error('[QRCode] Failed to generate QR code', {
       error: error.message,
       bookingData: {
+        bookingId: bookingData._id?.toString() || 'UNKNOWN',
         userId: bookingData.userId?.toString() || 'UNKNOWN',
         serviceName: bookingData.serviceName || 'UNKNOWN'
       }
@@ -93,8 +105,212 @@ async function generateBookingQRCode(bookingData = {}) {
   }
 }
 
+/**
+ * Validate QR code format (signed or legacy); says nothing about authenticity
+ * @param {string} qrCode - QR code to validate
+ * @returns {boolean} True if valid format
+ */
+function isValidQRCodeFormat(qrCode) {
+  if (!qrCode || typeof qrCode !== 'string') {
+    return false;
+  }
+  return SIGNED_QR_PATTERN.test(qrCode) || LEGACY_QR_PATTERN.test(qrCode);
+}
+
+// ===== REVOCATION LIST =====
+// Kept in memory and refreshed from the RevokedQRCode collection, so verification never waits on the database
+
+let revokedCodes = new Set();
+let revocationTimer = null;
+
+async function refreshRevokedCodes() {
+  const entries = await RevokedQRCode.find({}, 'code').lean();
+  revokedCodes = new Set(entries.map(entry => entry.code));
+  return revokedCodes.size;
+}
+
+/**
+ * Load the revocation list now and keep it fresh in the background
+ */
+function startRevocationSync() {
+  const refresh = () => refreshRevokedCodes().catch(error => {
+    console.error('[QRCode] Failed to refresh revoked QR codes:', error.message);
+  });
+  refresh();
+  if (!revocationTimer) {
+    revocationTimer = setInterval(refresh, REVOCATION_REFRESH_MS);
+    revocationTimer.unref();
+  }
+}
+
+function isQRCodeRevoked(qrCode) {
+  return revokedCodes.has(qrCode);
+}
+
+/**
+ * Check a scanned code without touching the database
+ * @param {string} qrCode
+ * @returns {{valid: boolean|null, status: string, bookingId: string|null, issuedAt: Date|null}}
+ *   status is 'valid', 'revoked', 'forged', 'malformed', or 'legacy' (unsigned; valid is null
+ *   and the booking must be looked up to know)
+ */
+function verifyQRCode(qrCode) {
+  const code = typeof qrCode === 'string' ? qrCode.trim() : '';
+  const result = (valid, status, bookingId = null, issuedAt = null) => ({ valid, status, bookingId, issuedAt });
+
+  if (LEGACY_QR_PATTERN.test(code)) {
+    return isQRCodeRevoked(code) ? result(false, 'revoked') : result(null, 'legacy');
+  }
+
+  const match = SIGNED_QR_PATTERN.exec(code);
+  if (!match) return result(false, 'malformed');
+
+  const [, issuedAtText, id, signature] = match;
+  const issuedAt = Number(issuedAtText);
+  const bookingId = id.toLowerCase();
+
+  const authentic = signingSecrets().some(secret => crypto.timingSafeEqual(
+    Buffer.from(signPayload(id, issuedAt, secret)),
+    Buffer.from(signature)
+  ));
+  if (!authentic) return result(false, 'forged');
+  if (isQRCodeRevoked(code)) return result(false, 'revoked', bookingId, new Date(issuedAt));
+
+  return result(true, 'valid', bookingId, new Date(issuedAt));
+}
+
+// Record a code as revoked everywhere; this server stops accepting it immediately
+async function addRevokedCode(booking, reason, revokedBy, note) {
+  const eventDate = booking.scheduledDate ? new Date(booking.scheduledDate) : new Date();
+  await RevokedQRCode.updateOne(
+    { code: booking.qrCode },
+    {
+      $setOnInsert: {
+        code: booking.qrCode,
+        bookingId: booking._id,
+        reason,
+        note: note || undefined,
+        revokedBy: revokedBy || undefined,
+        revokedAt: new Date(),
+        expiresAt: new Date(eventDate.getTime() + REVOCATION_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+      },
+    },
+    { upsert: true }
+  );
+  revokedCodes.add(booking.qrCode);
+}
+
+/**
+ * Revoke a booking's code without replacing it (does not save the booking)
+ * @param {Document} booking
+ * @param {Object} [options] - { revokedBy, note }
+ */
+async function revokeBookingQRCode(booking, { revokedBy, note } = {}) {
+  await addRevokedCode(booking, 'revoked', revokedBy, note);
+  booking.qrRevokedAt = new Date();
+}
+
+/**
+ * Put the code of a cancelled or expired booking on the revocation list, so scanners that verify
+ * offline turn it away too. Call once the booking is saved; the booking itself is not changed.
+ * @param {Object} booking
+ * @param {string} reason - 'cancelled' | 'expired'
+ * @param {string} [revokedBy]
+ */
+async function revokeInactiveBookingQRCode(booking, reason, revokedBy) {
+  await addRevokedCode(booking, reason, revokedBy);
+}
+
+/**
+ * Revoke a booking's current code and give it a new one (does not save the booking)
+ * @param {Document} booking
+ * @param {Object} [options] - { revokedBy, note }
+ * @returns {Promise<string>} The new code
+ */
+async function reissueBookingQRCode(booking, { revokedBy, note } = {}) {
+  await addRevokedCode(booking, 'reissued', revokedBy, note);
+  const issuedAt = Date.now();
+  booking.qrCode = createSignedQRCode(booking._id, issuedAt);
+  booking.qrIssuedAt = new Date(issuedAt);
+  booking.qrRevokedAt = undefined;
+  return booking.qrCode;
+}
+
+// Build an error that controllers can translate directly into a 400 response
+function qrImageError(message, field) {
+  const error = new Error(message);
+  error.errorCode = 'VALIDATION_ERROR';
+  error.field = field;
+  error.isQRImageError = true;
+  return error;
+}
+
+/**
+ * Read image options from a request query (?size=&ecc=&margin=), falling back to the defaults
+ * @param {Object} query
+ * @returns {{size: number, errorCorrection: string, margin: number}}
+ */
+function parseQRImageOptions(query = {}) {
+  const options = { ...QR_IMAGE_DEFAULTS };
+
+  if (query.size !== undefined) {
+    const size = Number(query.size);
+    if (!Number.isInteger(size) || size < QR_IMAGE_MIN_SIZE || size > QR_IMAGE_MAX_SIZE) {
+      throw qrImageError(`size must be a whole number between ${QR_IMAGE_MIN_SIZE} and ${QR_IMAGE_MAX_SIZE}`, 'size');
+    }
+    options.size = size;
+  }
+
+  const ecc = query.ecc !== undefined ? query.ecc : query.errorCorrection;
+  if (ecc !== undefined) {
+    const level = String(ecc).toUpperCase();
+    if (!QR_ERROR_CORRECTION_LEVELS.includes(level)) {
+      throw qrImageError(`ecc must be one of: ${QR_ERROR_CORRECTION_LEVELS.join(', ')}`, 'ecc');
+    }
+    options.errorCorrection = level;
+  }
+
+  if (query.margin !== undefined) {
+    const margin = Number(query.margin);
+    if (!Number.isInteger(margin) || margin < 0 || margin > 16) {
+      throw qrImageError('margin must be a whole number between 0 and 16', 'margin');
+    }
+    options.margin = margin;
+  }
+
+  return options;
+}
+
+/**
+ * Render a booking's QR code as a scannable image
+ * @param {string} qrCode - Value to encode
+ * @param {string} format - 'png' | 'svg'
+ * @param {Object} [options] - Result of parseQRImageOptions
+ * @returns {Promise<Buffer|string>} PNG bytes or SVG markup
+ */
+async function renderQRCodeImage(qrCode, format, options = QR_IMAGE_DEFAULTS) {
+  const renderOptions = {
+    errorCorrectionLevel: options.errorCorrection,
+    margin: options.margin,
+    width: options.size,
+  };
+
+  if (format === 'svg') {
+    return QRCode.toString(qrCode, { ...renderOptions, type: 'svg' });
+  }
+  return QRCode.toBuffer(qrCode, { ...renderOptions, type: 'png' });
+}
+
 module.exports = {
-  generateUniqueQRCode,
+  createSignedQRCode,
   generateBookingQRCode,
-  isValidQRCodeFormat
+  isValidQRCodeFormat,
+  verifyQRCode,
+  startRevocationSync,
+  refreshRevokedCodes,
+  revokeBookingQRCode,
+  revokeInactiveBookingQRCode,
+  reissueBookingQRCode,
+  parseQRImageOptions,
+  renderQRCodeImage
 };
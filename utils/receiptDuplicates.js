@@ -0,0 +1,93 @@
+const Booking = require('../models/Booking');
+const { perceptualHashInWorker, hashDistance } = require('./imageHash');
+const { duplicateReceiptMaxDistance } = require('../config/bookingPolicy');
+
+// Reviewers only need a few examples; a slip matching more bookings than this is obviously reused
+const MAX_MATCHES = 10;
+
+/**
+ * Index keys for a perceptual hash: one per byte (image row). Two hashes within 7 bits of each
+ * other always share at least one, so candidates can be found with an indexed $in query.
+ * @param {string} hash
+ * @returns {string[]}
+ */
+function hashBands(hash) {
+  const bands = [];
+  for (let i = 0; i < hash.length; i += 2) {
+    bands.push(`${i / 2}:${hash.slice(i, i + 2)}`);
+  }
+  return bands;
+}
+
+/**
+ * Hashes identifying an uploaded receipt (after sanitizeUpload)
+ * @param {Object} file - req.file
+ * @returns {Promise<{sha256: string, perceptualHash: string|null, perceptualHashBands: string[]|undefined}>}
+ */
+async function receiptFingerprint(file) {
+  const hash = file.detectedType === 'application/pdf'
+    ? null
+    : await perceptualHashInWorker(file.buffer, file.detectedType);
+  return {
+    sha256: file.sha256,
+    perceptualHash: hash,
+    perceptualHashBands: hash ? hashBands(hash) : undefined,
+  };
+}
+
+/**
+ * Receipts on other bookings (of any user) that are the same file or a near-identical image
+ * @param {Object} booking - Booking the receipt is being uploaded to
+ * @param {Object} fingerprint - Result of receiptFingerprint
+ * @returns {Promise<Array<{bookingId, filename, userId, match: string, distance?: number}>>}
+ *   Exact matches first
+ */
+async function findDuplicateReceipts(booking, fingerprint) {
+  const conditions = [];
+  if (fingerprint.sha256) conditions.push({ 'receiptUploads.sha256': fingerprint.sha256 });
+  if (fingerprint.perceptualHash) {
+    conditions.push({ 'receiptUploads.perceptualHashBands': { $in: fingerprint.perceptualHashBands } });
+  }
+  if (conditions.length === 0) return [];
+
+  const candidates = await Booking.find(
+    { _id: { $ne: booking._id }, $or: conditions },
+    'userId receiptUploads.filename receiptUploads.sha256 receiptUploads.perceptualHash'
+  ).lean();
+
+  const matches = [];
+  candidates.forEach(candidate => {
+    (candidate.receiptUploads || []).forEach(receipt => {
+      const match = { bookingId: candidate._id, filename: receipt.filename, userId: candidate.userId };
+      if (fingerprint.sha256 && receipt.sha256 === fingerprint.sha256) {
+        matches.push({ ...match, match: 'exact' });
+      } else if (fingerprint.perceptualHash && receipt.perceptualHash) {
+        const distance = hashDistance(fingerprint.perceptualHash, receipt.perceptualHash);
+        if (distance <= duplicateReceiptMaxDistance) matches.push({ ...match, match: 'similar', distance });
+      }
+    });
+  });
+
+  return matches
+    .sort((a, b) => (a.match === b.match ? (a.distance || 0) - (b.distance || 0) : a.match === 'exact' ? -1 : 1))
+    .slice(0, MAX_MATCHES);
+}
+
+/**
+ * Bookings whose receipts match any of this booking's receipts, for the admin queue
+ * @param {Object} booking
+ * @returns {string[]} Booking ids
+ */
+function duplicateReceiptBookingIds(booking) {
+  const ids = new Set();
+  (booking.receiptUploads || []).forEach(receipt => {
+    (receipt.duplicateMatches || []).forEach(match => ids.add(match.bookingId.toString()));
+  });
+  return [...ids];
+}
+
+module.exports = {
+  receiptFingerprint,
+  findDuplicateReceipts,
+  duplicateReceiptBookingIds,
+};
@@ -0,0 +1,167 @@
+const { receiptRejectionReasons, OTHER_REJECTION_REASON } = require('../config/bookingPolicy');
+const { activeInstallments } = require('./paymentSchedule');
+const { receiptLink } = require('./fileLinks');
+
+// Review outcome implied by the state of the installment a receipt pays
+const REVIEW_STATUS_FOR_INSTALLMENT = {
+  receipt_submitted: 'pending',
+  completed: 'accepted',
+  rejected: 'rejected',
+};
+
+function plain(value) {
+  return value && value.toObject ? value.toObject() : value;
+}
+
+// Receipts uploaded before payment schedules have no installmentId; they paid the only installment
+function paysInstallment(booking, receipt, installment) {
+  if (receipt.installmentId) return !!installment._id && receipt.installmentId.toString() === installment._id.toString();
+  return activeInstallments(booking).length === 1 && installment.kind === 'full';
+}
+
+/**
+ * Find a rejection reason by code
+ * @param {string} code
+ * @returns {{code: string, label: string}|null}
+ */
+function findRejectionReason(code) {
+  return receiptRejectionReasons.find(reason => reason.code === code) || null;
+}
+
+/**
+ * Rejection reason code for a review request. Older admin clients send only a free-text
+ * `reason`, which is recorded under the 'other' code.
+ * @param {string} [reasonCode]
+ * @param {string} [comment]
+ * @returns {string|undefined}
+ */
+function rejectionReasonCode(reasonCode, comment) {
+  if (!reasonCode && comment) return OTHER_REJECTION_REASON.code;
+  return reasonCode || undefined;
+}
+
+/**
+ * Reason and comment as the customer sees them; for 'other' the comment is the reason
+ * @param {string} [reasonCode]
+ * @param {string} [comment]
+ * @returns {{reason: string|undefined, comment: string|undefined}}
+ */
+function describeRejection(reasonCode, comment) {
+  if (reasonCode === OTHER_REJECTION_REASON.code && comment) return { reason: comment, comment: undefined };
+  const reason = findRejectionReason(reasonCode);
+  return { reason: reason ? reason.label : undefined, comment };
+}
+
+/**
+ * The newest receipt on an installment that is still waiting for review
+ * @param {Object} booking
+ * @param {Object} installment
+ * @returns {Object|null} The receipt subdocument
+ */
+function receiptAwaitingReview(booking, installment) {
+  const receipts = (booking.receiptUploads || []).filter(receipt => paysInstallment(booking, receipt, installment));
+  for (let i = receipts.length - 1; i >= 0; i--) {
+    const status = receipts[i].reviewStatus;
+    if (!status || status === 'pending') return receipts[i];
+  }
+  return null;
+}
+
+/**
+ * Record an admin's decision on a receipt (does not save)
+ * @param {Object} receipt - Receipt subdocument
+ * @param {string} decision - 'accept' | 'reject'
+ * @param {Object} review
+ * @param {string} review.reviewerId
+ * @param {string} [review.reasonCode] - Required when rejecting
+ * @param {string} [review.comment]
+ */
+function applyReceiptReview(receipt, decision, { reviewerId, reasonCode, comment }) {
+  receipt.reviewStatus = decision === 'accept' ? 'accepted' : 'rejected';
+  receipt.reviewedBy = reviewerId;
+  receipt.reviewedAt = new Date();
+  receipt.rejectionReason = decision === 'reject' ? reasonCode : undefined;
+  receipt.rejectionComment = decision === 'reject' && comment ? comment : undefined;
+}
+
+/**
+ * Bring receipts under review in line with their installments after the payment status was set
+ * directly (legacy status endpoints), where no specific receipt was reviewed (does not save)
+ * @param {Document} booking
+ * @param {string} reviewerId
+ */
+function settleReceiptReviews(booking, reviewerId) {
+  activeInstallments(booking).forEach(installment => {
+    const status = REVIEW_STATUS_FOR_INSTALLMENT[installment.status];
+    if (!status || status === 'pending') return;
+    const receipt = receiptAwaitingReview(booking, installment);
+    if (receipt) applyReceiptReview(receipt, status === 'accepted' ? 'accept' : 'reject', { reviewerId });
+  });
+}
+
+/**
+ * Receipts with their review state, for API responses. Receipts from before reviews were
+ * tracked take the state of their installment if they are its latest upload, otherwise null.
+ * @param {Object} booking
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDuplicates] - Add the receipt fingerprints and the other bookings
+ *   each receipt matches (admins only)
+ * @returns {Array}
+ */
+function describeReceipts(booking, { includeDuplicates = false } = {}) {
+  const receipts = (booking.receiptUploads || []).map(plain);
+  const installments = activeInstallments(booking);
+
+  return receipts.map((receipt, index) => {
+    const link = receiptLink(booking, receipt);
+    let reviewStatus = receipt.reviewStatus || null;
+    if (!reviewStatus) {
+      const installment = installments.find(i => paysInstallment(booking, receipt, i));
+      const isLatest = installment && !receipts.slice(index + 1).some(later => paysInstallment(booking, later, installment));
+      reviewStatus = isLatest ? REVIEW_STATUS_FOR_INSTALLMENT[installment.status] || null : null;
+    }
+    const reason = receipt.rejectionReason ? findRejectionReason(receipt.rejectionReason) : null;
+
+    // Listed field by field: storage keys and fingerprints are not for customers
+    return {
+      filename: receipt.filename,
+      mimeType: receipt.mimeType,
+      detectedType: receipt.detectedType || null,
+      size: receipt.size,
+      uploadedAt: receipt.uploadedAt,
+      // Expiring link for embedding; owners and admins can also fetch downloadPath with their token
+      url: link.url,
+      urlExpiresAt: link.expiresAt,
+      downloadPath: `/api/bookings/${booking._id}/receipts/${encodeURIComponent(receipt.filename)}`,
+      installmentId: receipt.installmentId ? receipt.installmentId.toString() : null,
+      reviewStatus,
+      reviewedBy: receipt.reviewedBy ? receipt.reviewedBy.toString() : null,
+      reviewedAt: receipt.reviewedAt || null,
+      rejectionReason: receipt.rejectionReason || null,
+      // Reasons removed from the configuration since still show their code
+      rejectionReasonLabel: reason ? reason.label : receipt.rejectionReason || null,
+      rejectionComment: receipt.rejectionComment || null,
+      ...(includeDuplicates && {
+        sha256: receipt.sha256 || null,
+        perceptualHash: receipt.perceptualHash || null,
+        duplicateMatches: (receipt.duplicateMatches || []).map(match => ({
+          bookingId: match.bookingId.toString(),
+          filename: match.filename,
+          userId: match.userId ? match.userId.toString() : null,
+          match: match.match,
+          distance: match.distance === undefined ? null : match.distance,
+        })),
+      }),
+    };
+  });
+}
+
+module.exports = {
+  findRejectionReason,
+  rejectionReasonCode,
+  describeRejection,
+  receiptAwaitingReview,
+  applyReceiptReview,
+  settleReceiptReviews,
+  describeReceipts,
+};
@@ -0,0 +1,73 @@
+// Single-use MFA recovery codes, for signing in when the email or authenticator app is out of reach.
+//
+// Users see the codes once, when they are generated; only hashes are stored. The codes are random
+// enough that a plain SHA-256 is sufficient, and it lets a code be looked up directly.
+
+const crypto = require('crypto');
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_LENGTH = 10;
+// No 0/o, 1/l/i: the codes are often written down or read out
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+// Lowercase without spaces or dashes, so "ABCDE-FGHJK" and "abcdefghjk" are the same code
+const normalizeRecoveryCode = code => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Whether a submitted MFA code is shaped like a recovery code (rather than a 6-digit code)
+ * @param {string} code
+ * @returns {boolean}
+ */
+function looksLikeRecoveryCode(code) {
+  const normalized = normalizeRecoveryCode(code);
+  return normalized.length === RECOVERY_CODE_LENGTH
+    && [...normalized].every(char => RECOVERY_CODE_ALPHABET.includes(char));
+}
+
+/**
+ * Stored hash of a recovery code
+ * @param {string} code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(`recovery:${normalizeRecoveryCode(code)}`).digest('hex');
+}
+
+function randomCode() {
+  let code = '';
+  for (let i = 0; i < RECOVERY_CODE_LENGTH; i += 1) {
+    code += RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)];
+  }
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+/**
+ * A new set of recovery codes
+ * @returns {{ codes: string[], entries: Array<{ hash: string, usedAt: null }> }} Codes to show the
+ *   user once, and the entries to store in place of the previous set
+ */
+function generateRecoveryCodes() {
+  const codes = new Set();
+  while (codes.size < RECOVERY_CODE_COUNT) codes.add(randomCode());
+  return {
+    codes: [...codes],
+    entries: [...codes].map(code => ({ hash: hashRecoveryCode(code), usedAt: null })),
+  };
+}
+
+/**
+ * How many of a user's recovery codes are still unused
+ * @param {Object} user
+ * @returns {number}
+ */
+function remainingRecoveryCodes(user) {
+  return (user.mfaRecoveryCodes || []).filter(entry => !entry.usedAt).length;
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  looksLikeRecoveryCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  remainingRecoveryCodes,
+};
@@ -0,0 +1,120 @@
+const Booking = require('../models/Booking');
+const { sanitizeText } = require('./sanitize');
+const { pricingError } = require('./pricingUtils');
+
+const SPECIAL_REQUESTS_MAX_LENGTH = 1000;
+
+// Match a free-text event type onto the schema enum ("Wedding " -> "wedding")
+function normalizeEventType(value) {
+  if (value == null || value === '') return 'other';
+  const eventType = String(value).trim().toLowerCase();
+  return Booking.EVENT_TYPES.includes(eventType) ? eventType : null;
+}
+
+/**
+ * Build the typed serviceDetails subdocument from client input and its resolved pricing.
+ * Catalog selections are taken from the priced line items, so they are always valid Service ids.
+ * @param {Object} details - Parsed client serviceDetails
+ * @param {Object} pricing - Result of calculateBookingPrice(details)
+ * @returns {Object}
+ */
+function buildServiceDetails(details, pricing) {
+  const eventType = normalizeEventType(details.eventType);
+  if (!eventType) {
+    throw pricingError(
+      `Event type must be one of: ${Booking.EVENT_TYPES.join(', ')}`,
+      'serviceDetails.eventType'
+    );
+  }
+
+  if (pricing.numPeople > Booking.MAX_PEOPLE_PER_BOOKING) {
+    throw pricingError(
+      `Number of people cannot exceed ${Booking.MAX_PEOPLE_PER_BOOKING}.`,
+      'serviceDetails.numPeople'
+    );
+  }
+
+  // Older clients send the free-text field as `notes`
+  const rawRequests = details.specialRequests || details.notes;
+  const specialRequests = rawRequests ? sanitizeText(rawRequests) : undefined;
+  if (specialRequests && specialRequests.length > SPECIAL_REQUESTS_MAX_LENGTH) {
+    throw pricingError(
+      `Special requests cannot exceed ${SPECIAL_REQUESTS_MAX_LENGTH} characters.`,
+      'serviceDetails.specialRequests'
+    );
+  }
+
+  const idsFor = category => pricing.lineItems
+    .filter(line => line.category === category)
+    .map(line => line.serviceId);
+
+  return {
+    eventType,
+    numPeople: pricing.numPeople,
+    foodPackage: pricing.foodPackage._id,
+    selectedSides: idsFor('side'),
+    drink: idsFor('drink')[0],
+    dessert: idsFor('dessert')[0],
+    specialRequests: specialRequests || undefined,
+  };
+}
+
+/**
+ * Convert stored serviceDetails back into the plain shape accepted by calculateBookingPrice
+ * @param {Object} details - Booking.serviceDetails
+ * @returns {Object}
+ */
+function toEditableDetails(details) {
+  if (!details) return {};
+  const d = details.toObject ? details.toObject() : details;
+  const id = value => (value ? value.toString() : undefined);
+  return {
+    eventType: d.eventType,
+    numPeople: d.numPeople,
+    foodPackage: id(d.foodPackage),
+    selectedSides: (d.selectedSides || []).map(id),
+    drink: id(d.drink),
+    dessert: id(d.dessert),
+    specialRequests: d.specialRequests,
+  };
+}
+
+/**
+ * Expand stored serviceDetails for API responses, naming catalog items from the price breakdown
+ * @param {Object} details - Booking.serviceDetails
+ * @param {Array} priceBreakdown - Booking.priceBreakdown
+ * @returns {Object}
+ */
+function expandServiceDetails(details, priceBreakdown = []) {
+  const d = details || {};
+  const lines = new Map(
+    (priceBreakdown || [])
+      .filter(line => line.serviceId)
+      .map(line => [line.serviceId.toString(), line])
+  );
+  const describe = value => {
+    if (!value) return null;
+    const line = lines.get(value.toString());
+    return line
+      ? { id: value.toString(), code: line.code, name: line.name }
+      : { id: value.toString(), code: null, name: null };
+  };
+
+  return {
+    eventType: d.eventType || null,
+    numPeople: d.numPeople || null,
+    foodPackage: describe(d.foodPackage),
+    selectedSides: (d.selectedSides || []).map(describe),
+    drink: describe(d.drink),
+    dessert: describe(d.dessert),
+    notes: d.specialRequests || null,
+    specialRequests: d.specialRequests || null,
+  };
+}
+
+module.exports = {
+  normalizeEventType,
+  buildServiceDetails,
+  toEditableDetails,
+  expandServiceDetails,
+};
@@ -0,0 +1,85 @@
+const path = require('path');
+const { createLocalDriver } = require('./localDriver');
+const { createMemoryDriver } = require('./memoryDriver');
+
+/*
+ * Where uploaded files (payment receipts, refund proofs) are kept.
+ * Every driver implements:
+ *   put(key, body, { contentType }) -> Promise<{ key, size }>
+ *   get(key)                       -> Promise<{ body, contentType, size } | null>
+ *   delete(key)                    -> Promise<void>
+ * Bookings store the key. Nothing is publicly readable: files are served through the API
+ * (see utils/fileLinks.js).
+ */
+
+const STORAGE_DRIVERS = ['local', 's3', 'memory'];
+
+function createDriverFromEnv() {
+  const driverName = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  switch (driverName) {
+    case 's3': {
+      // Required here so the AWS SDK is only loaded by deployments that use it
+      const { createS3Driver } = require('./s3Driver');
+      return createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_KEY_PREFIX || '',
+      });
+    }
+    case 'memory':
+      return createMemoryDriver();
+    case 'local':
+      return createLocalDriver({
+        root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '..', '..', 'uploads'),
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driverName}" (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+  }
+}
+
+let driver = null;
+
+/**
+ * The configured storage driver, created on first use
+ * @returns {Object}
+ */
+function getStorage() {
+  if (!driver) {
+    driver = createDriverFromEnv();
+    console.log(`[Storage] Using ${driver.name} storage driver`);
+  }
+  return driver;
+}
+
+/**
+ * Replace the storage driver (tests use the memory driver)
+ * @param {Object} replacement
+ */
+function setStorageDriver(replacement) {
+  driver = replacement;
+}
+
+/**
+ * New key for an uploaded file, e.g. receipts/1702224600000-123456789.jpg
+ * @param {string} prefix - 'receipts' | 'refunds'
+ * @param {string} extension - Including the dot, e.g. '.jpg'
+ * @returns {string}
+ */
+function createStorageKey(prefix, extension) {
+  const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+  return `${prefix}/${uniqueSuffix}${(extension || '').toLowerCase()}`;
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  getStorage,
+  setStorageDriver,
+  createStorageKey,
+  createLocalDriver,
+  createMemoryDriver,
+};
@@ -0,0 +1,57 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.pdf': 'application/pdf',
+};
+
+/**
+ * Local filesystem storage driver. Files live under `root`, one directory per key prefix.
+ * Only suitable for a single instance with a persistent disk.
+ * @param {Object} options
+ * @param {string} options.root - Directory objects are stored in
+ * @returns {Object} Storage driver
+ */
+function createLocalDriver({ root }) {
+  const resolvedRoot = path.resolve(root);
+
+  // Keys come from our own code, but never let one point outside the root
+  const pathFor = (key) => {
+    const target = path.resolve(resolvedRoot, key);
+    if (!target.startsWith(resolvedRoot + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body, { contentType } = {}) {
+      const target = pathFor(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, body);
+      return { key, size: body.length, contentType };
+    },
+
+    async get(key) {
+      try {
+        const body = await fs.readFile(pathFor(key));
+        const contentType = CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+        return { body, contentType, size: body.length };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await fs.rm(pathFor(key), { force: true });
+    },
+  };
+}
+
+module.exports = { createLocalDriver };
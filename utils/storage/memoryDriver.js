@@ -0,0 +1,35 @@
+/**
+ * In-memory storage driver: nothing touches the disk or the network. Objects are lost when the
+ * process exits, so this is for tests and local experiments only.
+ * @returns {Object} Storage driver
+ */
+function createMemoryDriver() {
+  const objects = new Map();
+
+  return {
+    name: 'memory',
+
+    async put(key, body, { contentType } = {}) {
+      const buffer = Buffer.from(body);
+      objects.set(key, { body: buffer, contentType: contentType || 'application/octet-stream' });
+      return { key, size: buffer.length };
+    },
+
+    async get(key) {
+      const object = objects.get(key);
+      if (!object) return null;
+      return { body: Buffer.from(object.body), contentType: object.contentType, size: object.body.length };
+    },
+
+    async delete(key) {
+      objects.delete(key);
+    },
+
+    // Drop everything (between tests)
+    clear() {
+      objects.clear();
+    },
+  };
+}
+
+module.exports = { createMemoryDriver };
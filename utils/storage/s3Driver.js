@@ -0,0 +1,61 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+/**
+ * S3-compatible object storage driver (AWS S3, MinIO, Cloudflare R2, ...).
+ * For MinIO set `endpoint` (e.g. http://localhost:9000) and `forcePathStyle`.
+ * @param {Object} options
+ * @param {string} options.bucket
+ * @param {string} [options.region]
+ * @param {string} [options.endpoint] - Custom endpoint for non-AWS services
+ * @param {boolean} [options.forcePathStyle] - Use bucket-in-path URLs (needed by MinIO)
+ * @param {string} [options.accessKeyId]
+ * @param {string} [options.secretAccessKey]
+ * @param {string} [options.prefix] - Prepended to every key, to share a bucket between environments
+ * @returns {Object} Storage driver
+ */
+function createS3Driver({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix = '' }) {
+  if (!bucket) {
+    throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: !!forcePathStyle,
+    // Without explicit keys the SDK's default credential chain (env, instance role) is used
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  const objectKey = key => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: body,
+        ContentType: contentType,
+      }));
+      return { key, size: body.length, contentType };
+    },
+
+    async get(key) {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        const body = Buffer.from(await result.Body.transformToByteArray());
+        return { body, contentType: result.ContentType || 'application/octet-stream', size: body.length };
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+  };
+}
+
+module.exports = { createS3Driver };
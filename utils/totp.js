@@ -0,0 +1,160 @@
+// Time-based one-time passwords (RFC 6238) for authenticator apps, on top of HOTP (RFC 4226).
+//
+// Secrets are shown to the user once, base32-encoded, and stored encrypted (AES-256-GCM) with a
+// key derived from MFA_ENCRYPTION_KEY, or JWT_SECRET when that is not set.
+
+const crypto = require('crypto');
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step before or after are accepted too, for clock drift
+const TOTP_WINDOW = 1;
+const SECRET_BYTES = 20;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random secret, base32-encoded as authenticator apps expect
+ * @returns {string}
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+// HOTP value for a counter (RFC 4226 section 5.3)
+function hotp(secretBuffer, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', secretBuffer).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * The code an authenticator app shows at a given time
+ * @param {string} secret - Base32
+ * @param {number} [time] - Milliseconds since the epoch
+ * @returns {string}
+ */
+function totpCode(secret, time = Date.now()) {
+  return hotp(base32Decode(secret), timeStep(time));
+}
+
+/**
+ * Check a code against a secret
+ * @param {string} secret - Base32
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number} [options.time]
+ * @param {number} [options.afterStep] - Reject codes from this time step or earlier (already used)
+ * @returns {number|null} Time step the code belongs to, or null when it doesn't match
+ */
+function verifyTotp(secret, code, { time = Date.now(), afterStep = -1 } = {}) {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(given) || given.length !== TOTP_DIGITS) return null;
+
+  const secretBuffer = base32Decode(secret);
+  const current = timeStep(time);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step += 1) {
+    if (step <= afterStep) continue;
+    const expected = hotp(secretBuffer, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return step;
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for enrolling in an authenticator app (usually shown as a QR code)
+ * @param {string} secret - Base32
+ * @param {string} accountName - e.g. the user's email
+ * @param {string} issuer - e.g. the business name
+ * @returns {string}
+ */
+function otpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(`totp:${process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET}`)
+  .digest();
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} secret
+ * @returns {string} iv.tag.ciphertext, base64url
+ */
+function encryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {string} stored - From encryptTotpSecret
+ * @returns {string} Base32 secret
+ */
+function decryptTotpSecret(stored) {
+  const [iv, tag, ciphertext] = String(stored).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  TOTP_STEP_SECONDS,
+  TOTP_DIGITS,
+  generateTotpSecret,
+  totpCode,
+  verifyTotp,
+  otpauthUri,
+  encryptTotpSecret,
+  decryptTotpSecret,
+};